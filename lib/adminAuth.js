@@ -0,0 +1,62 @@
+// lib/adminAuth.js - Admin identities and role checks
+const crypto = require("crypto");
+
+// Higher number = more privileges
+const ROLE_LEVELS = {
+  viewer: 1,
+  operator: 2,
+};
+
+// ADMIN_API_KEYS="alice:operator:<key>,dashboard:viewer:<key>"
+function parseAdminKeys(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, role, ...rest] = entry.split(":");
+      return { name, role, key: rest.join(":") };
+    })
+    .filter((admin) => admin.name && ROLE_LEVELS[admin.role] && admin.key);
+}
+
+// ADMIN_WALLETS="<walletAddress>:operator,<walletAddress>:viewer"
+function parseAdminWallets(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [walletAddress, role] = entry.split(":");
+      return { walletAddress, role };
+    })
+    .filter((admin) => admin.walletAddress && ROLE_LEVELS[admin.role]);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function findAdminByKey(admins, key) {
+  if (!key) return null;
+  return admins.find((admin) => safeEqual(admin.key, key)) || null;
+}
+
+function findAdminByWallet(admins, walletAddress) {
+  return admins.find((admin) => admin.walletAddress === walletAddress) || null;
+}
+
+function hasRole(role, requiredRole) {
+  return (ROLE_LEVELS[role] || 0) >= (ROLE_LEVELS[requiredRole] || Infinity);
+}
+
+module.exports = {
+  ROLE_LEVELS,
+  parseAdminKeys,
+  parseAdminWallets,
+  findAdminByKey,
+  findAdminByWallet,
+  hasRole,
+};
@@ -0,0 +1,200 @@
+// lib/analytics.js - Aggregation pipelines for leaderboards and stats
+//
+// Round pipelines run on the rounds collection, vote pipelines on votes, each
+// for one table. Period buckets use $dateTrunc (MongoDB 5.0+), weeks start on
+// Monday.
+const { DEFAULT_TABLE_ID } = require("./tables");
+const { BETS } = require("./fairness");
+
+const PERIODS = ["day", "week"];
+
+function parsePeriod(value) {
+  return PERIODS.includes(value) ? value : "day";
+}
+
+function periodStart(field, period) {
+  return {
+    $dateTrunc: {
+      date: field,
+      unit: period,
+      ...(period === "week" ? { startOfWeek: "monday" } : {}),
+    },
+  };
+}
+
+// Total of a round's per-bet tally (votes or tickets)
+function sumBets(tally) {
+  return { $add: BETS.map((bet) => ({ $ifNull: [`$${tally}.${bet}`, 0] })) };
+}
+
+// Rounds: wallets that won the most draws, or the most prize money
+function topWinnersPipeline({ tableId = DEFAULT_TABLE_ID, by = "wins", limit = 10 }) {
+  const sort =
+    by === "prizes"
+      ? { totalPrize: -1, wins: -1 }
+      : { wins: -1, totalPrize: -1 };
+
+  return [
+    { $match: { tableId, status: "completed", "winners.0": { $exists: true } } },
+    { $unwind: "$winners" },
+    {
+      $group: {
+        _id: "$winners.walletAddress",
+        wins: { $sum: 1 },
+        totalPrize: { $sum: "$winners.amount" },
+        lastWonAt: { $max: "$endTime" },
+      },
+    },
+    { $sort: { ...sort, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        walletAddress: "$_id",
+        wins: 1,
+        totalPrize: 1,
+        lastWonAt: 1,
+      },
+    },
+  ];
+}
+
+// Votes: wallets that played the most rounds (cancelled rounds void their
+// votes, so those don't count)
+function mostActivePipeline({ tableId = DEFAULT_TABLE_ID, limit = 10 }) {
+  return [
+    { $match: { tableId, voided: { $ne: true } } },
+    {
+      $group: {
+        _id: "$walletAddress",
+        roundsPlayed: { $sum: 1 },
+        tickets: { $sum: { $ifNull: ["$tickets", 1] } },
+        lastPlayedAt: { $max: "$timestamp" },
+      },
+    },
+    { $sort: { roundsPlayed: -1, lastPlayedAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        walletAddress: "$_id",
+        roundsPlayed: 1,
+        tickets: 1,
+        lastPlayedAt: 1,
+      },
+    },
+  ];
+}
+
+// Rounds: how often each color came up, per period
+function resultDistributionPipeline({ tableId = DEFAULT_TABLE_ID, period, since }) {
+  return [
+    { $match: { tableId, status: "completed", endTime: { $gte: since } } },
+    {
+      $group: {
+        _id: periodStart("$endTime", period),
+        rounds: { $sum: 1 },
+        red: { $sum: { $cond: [{ $eq: ["$winningColor", "red"] }, 1, 0] } },
+        black: { $sum: { $cond: [{ $eq: ["$winningColor", "black"] }, 1, 0] } },
+        green: { $sum: { $cond: [{ $eq: ["$winningColor", "green"] }, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: "$_id", rounds: 1, red: 1, black: 1, green: 1 } },
+  ];
+}
+
+// Rounds: participation in the latest completed rounds
+function participationPipeline({ tableId = DEFAULT_TABLE_ID, limit = 50 }) {
+  return [
+    { $match: { tableId, status: "completed" } },
+    { $sort: { roundNumber: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        roundNumber: 1,
+        endTime: 1,
+        winningNumber: 1,
+        winningColor: 1,
+        participants: { $size: { $ifNull: ["$participants", []] } },
+        votes: sumBets("votes"),
+        tickets: sumBets("tickets"),
+      },
+    },
+  ];
+}
+
+// Rounds: rounds, votes and prizes per period
+function roundRollupPipeline({ tableId = DEFAULT_TABLE_ID, period, since }) {
+  return [
+    { $match: { tableId, status: "completed", endTime: { $gte: since } } },
+    {
+      $group: {
+        _id: periodStart("$endTime", period),
+        rounds: { $sum: 1 },
+        votes: { $sum: sumBets("votes") },
+        prizes: { $sum: "$prizeAmount" },
+        roundsWithWinner: {
+          $sum: { $cond: [{ $ifNull: ["$winner", false] }, 1, 0] },
+        },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+// Votes: distinct players per period (voided votes left out)
+function playerRollupPipeline({ tableId = DEFAULT_TABLE_ID, period, since }) {
+  return [
+    { $match: { tableId, voided: { $ne: true }, timestamp: { $gte: since } } },
+    {
+      $group: {
+        _id: periodStart("$timestamp", period),
+        wallets: { $addToSet: "$walletAddress" },
+      },
+    },
+    { $project: { players: { $size: "$wallets" } } },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+// Join the round and player rollups on their period, oldest first
+function mergeRollups(roundRows, playerRows) {
+  const periods = new Map();
+  const rowFor = (date) => {
+    const key = new Date(date).toISOString();
+    if (!periods.has(key)) {
+      periods.set(key, {
+        period: new Date(date),
+        rounds: 0,
+        votes: 0,
+        prizes: 0,
+        roundsWithWinner: 0,
+        players: 0,
+      });
+    }
+    return periods.get(key);
+  };
+
+  for (const { _id, rounds, votes, prizes, roundsWithWinner } of roundRows) {
+    Object.assign(rowFor(_id), { rounds, votes, prizes, roundsWithWinner });
+  }
+  for (const { _id, players } of playerRows) {
+    rowFor(_id).players = players;
+  }
+
+  return [...periods.values()].sort((a, b) => a.period - b.period);
+}
+
+module.exports = {
+  PERIODS,
+  parsePeriod,
+  topWinnersPipeline,
+  mostActivePipeline,
+  resultDistributionPipeline,
+  participationPipeline,
+  roundRollupPipeline,
+  playerRollupPipeline,
+  mergeRollups,
+};
@@ -0,0 +1,112 @@
+// lib/balanceProviders.js - Where token balances come from
+//
+// A balance provider is any object with
+//   getTokenBalance(walletAddress, tokenMint) -> Promise<number> (base units)
+// that throws when the balance can't be read. Select one with BALANCE_PROVIDER:
+//   solana - live RPC (default)
+//   memory - in-process balances, optionally seeded from a JSON fixture, so the
+//            game runs fully offline
+// Either can be wrapped in createCachedBalanceProvider to absorb repeat lookups.
+const fs = require("fs");
+const { PublicKey } = require("@solana/web3.js");
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require("@solana/spl-token");
+const { systemClock } = require("./clock");
+const { createTtlCache } = require("./ttlCache");
+
+// Sums every account holding the mint, under both the classic Token program
+// and Token-2022
+function createSolanaBalanceProvider(connection) {
+  return {
+    name: "solana",
+
+    async getTokenBalance(walletAddress, tokenMint) {
+      const owner = new PublicKey(walletAddress);
+      const mint = new PublicKey(tokenMint).toBase58();
+
+      const responses = await Promise.all(
+        [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map((programId) =>
+          connection.getParsedTokenAccountsByOwner(owner, { programId })
+        )
+      );
+
+      let total = 0n;
+      for (const response of responses) {
+        for (const { account } of response.value) {
+          const info = account.data.parsed.info;
+          if (info.mint === mint) total += BigInt(info.tokenAmount.amount);
+        }
+      }
+
+      return Number(total);
+    },
+  };
+}
+
+// balances: { [walletAddress]: amount } or { [tokenMint]: { [walletAddress]: amount } }
+function createMemoryBalanceProvider(balances = {}, defaultBalance = 0) {
+  const store = new Map();
+
+  const provider = {
+    name: "memory",
+
+    setBalance(walletAddress, amount, tokenMint = "*") {
+      store.set(`${tokenMint}:${walletAddress}`, amount);
+    },
+
+    async getTokenBalance(walletAddress, tokenMint) {
+      const key = store.has(`${tokenMint}:${walletAddress}`)
+        ? `${tokenMint}:${walletAddress}`
+        : `*:${walletAddress}`;
+      return store.has(key) ? store.get(key) : defaultBalance;
+    },
+  };
+
+  for (const [key, value] of Object.entries(balances)) {
+    if (typeof value === "object") {
+      for (const [walletAddress, amount] of Object.entries(value)) {
+        provider.setBalance(walletAddress, amount, key);
+      }
+    } else {
+      provider.setBalance(key, value);
+    }
+  }
+
+  return provider;
+}
+
+// Remembers each balance for ttlMs and shares in-flight lookups, so repeated
+// requests for the same wallet cost one RPC call. Failures aren't cached.
+function createCachedBalanceProvider(provider, { ttlMs, clock = systemClock }) {
+  const cache = createTtlCache({ ttlMs, clock });
+
+  return {
+    name: `${provider.name}+cache`,
+
+    async getTokenBalance(walletAddress, tokenMint) {
+      return cache.wrap(`${tokenMint}:${walletAddress}`, () =>
+        provider.getTokenBalance(walletAddress, tokenMint)
+      );
+    },
+  };
+}
+
+function createBalanceProvider(env, connection) {
+  if (env.BALANCE_PROVIDER === "memory") {
+    const fixture = env.BALANCE_FIXTURE
+      ? JSON.parse(fs.readFileSync(env.BALANCE_FIXTURE, "utf8"))
+      : {};
+    return createMemoryBalanceProvider(
+      fixture,
+      parseInt(env.MOCK_DEFAULT_BALANCE) || 0
+    );
+  }
+
+  return createSolanaBalanceProvider(connection);
+}
+
+module.exports = {
+  createSolanaBalanceProvider,
+  createMemoryBalanceProvider,
+  createCachedBalanceProvider,
+  createBalanceProvider,
+};
@@ -0,0 +1,66 @@
+// lib/clock.js - Time source for the game engine
+//
+// The engine never calls Date.now() or the timer globals directly, so tests can
+// swap in a manual clock and play whole rounds in milliseconds.
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (handle) => clearInterval(handle),
+};
+
+// Time only moves when advance() is called; due timers run in order and async
+// callbacks are awaited before the next one fires
+function createManualClock(startTime = Date.UTC(2025, 0, 1)) {
+  let current = startTime;
+  let nextId = 1;
+  let timers = [];
+
+  function schedule(fn, ms, interval) {
+    const timer = { id: nextId++, at: current + Math.max(0, ms || 0), fn, interval };
+    timers.push(timer);
+    return timer.id;
+  }
+
+  function cancel(id) {
+    timers = timers.filter((timer) => timer.id !== id);
+  }
+
+  return {
+    now: () => current,
+    setTimeout: (fn, ms) => schedule(fn, ms, null),
+    clearTimeout: cancel,
+    setInterval: (fn, ms) => schedule(fn, ms, Math.max(1, ms)),
+    clearInterval: cancel,
+
+    pendingTimers: () => timers.length,
+
+    async advance(ms) {
+      const target = current + ms;
+
+      for (;;) {
+        const due = timers
+          .filter((timer) => timer.at <= target)
+          .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+
+        current = due.at;
+        if (due.interval) {
+          due.at += due.interval;
+        } else {
+          cancel(due.id);
+        }
+        await due.fn();
+      }
+
+      current = target;
+    },
+  };
+}
+
+module.exports = {
+  systemClock,
+  createManualClock,
+};
@@ -0,0 +1,142 @@
+// lib/cluster.js - Leader election and instance heartbeats
+//
+// Every instance serves the API and sockets, but only the holder of the
+// "round-scheduler" lease drives the game engine. Each heartbeat the node
+// renews (or tries to take) the lease and records its connected client count,
+// so any instance can report cluster-wide numbers. The leader and follower
+// ticks let the engine pick up changes made through other instances.
+const crypto = require("crypto");
+const os = require("os");
+const { systemClock } = require("./clock");
+
+const SCHEDULER_LEASE = "round-scheduler";
+
+function createInstanceId() {
+  return `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+function createClusterNode({
+  store,
+  instanceId = createInstanceId(),
+  clock = systemClock,
+  leaseTtl = 10000,
+  heartbeatInterval = 2000,
+  getConnectedClients = () => 0,
+  onElected = () => {},
+  onDemoted = () => {},
+  onFollowerTick = () => {},
+  onLeaderTick = () => {},
+  logger = console,
+}) {
+  let isLeader = false;
+  let heartbeatTimer = null;
+  let beating = false;
+  const startedAt = new Date(clock.now());
+
+  async function heartbeat() {
+    // A slow database must not stack up overlapping heartbeats
+    if (beating) return;
+    beating = true;
+    try {
+      await beat();
+    } finally {
+      beating = false;
+    }
+  }
+
+  async function beat() {
+    const now = new Date(clock.now());
+
+    try {
+      const holdsLease = await store.acquireLease(
+        SCHEDULER_LEASE,
+        instanceId,
+        leaseTtl,
+        now
+      );
+
+      if (holdsLease && !isLeader) {
+        isLeader = true;
+        logger.log(`👑 ${instanceId} is now the round scheduler leader`);
+        await onElected();
+      } else if (!holdsLease && isLeader) {
+        isLeader = false;
+        logger.log(`🪑 ${instanceId} lost the scheduler lease`);
+        await onDemoted();
+      } else if (holdsLease) {
+        await onLeaderTick();
+      } else {
+        await onFollowerTick();
+      }
+    } catch (error) {
+      // Can't prove we still hold the lease, so stop scheduling
+      logger.error("❌ Lease heartbeat failed:", error);
+      if (isLeader) {
+        isLeader = false;
+        await onDemoted();
+      }
+    }
+
+    try {
+      await store.saveInstance({
+        id: instanceId,
+        connectedClients: getConnectedClients(),
+        isLeader,
+        startedAt,
+        lastSeen: now,
+      });
+    } catch (error) {
+      logger.error("❌ Instance heartbeat failed:", error);
+    }
+  }
+
+  async function start() {
+    await heartbeat();
+    heartbeatTimer = clock.setInterval(heartbeat, heartbeatInterval);
+  }
+
+  async function stop() {
+    if (heartbeatTimer) clock.clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+
+    if (isLeader) {
+      isLeader = false;
+      await onDemoted();
+      await store.releaseLease(SCHEDULER_LEASE, instanceId);
+    }
+    await store.removeInstance(instanceId);
+  }
+
+  // Instances that sent a heartbeat recently enough to count as alive
+  async function getClusterStats() {
+    const seenSince = new Date(clock.now() - heartbeatInterval * 3);
+    const instances = await store.listInstances(seenSince);
+    const leader = instances.find((instance) => instance.isLeader);
+
+    return {
+      instances: instances.length,
+      connectedClients: instances.reduce(
+        (total, instance) => total + (instance.connectedClients || 0),
+        0
+      ),
+      leader: leader ? leader._id : null,
+    };
+  }
+
+  return {
+    instanceId,
+    get isLeader() {
+      return isLeader;
+    },
+    start,
+    stop,
+    heartbeat,
+    getClusterStats,
+  };
+}
+
+module.exports = {
+  SCHEDULER_LEASE,
+  createInstanceId,
+  createClusterNode,
+};
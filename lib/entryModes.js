@@ -0,0 +1,57 @@
+// lib/entryModes.js - How many tickets a wallet's vote is worth
+//
+//   single   - one wallet, one ticket (default)
+//   weighted - one ticket per `ticketUnit` tokens held, optionally capped
+//   tiered   - tickets by balance band, e.g. 1M -> 1, 10M -> 3, 100M -> 10
+
+const ENTRY_MODES = ["single", "weighted", "tiered"];
+
+// ENTRY_TIERS="1000000:1,10000000:3,100000000:10"
+function parseTiers(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [minBalance, tickets] = entry.split(":").map(Number);
+      return { minBalance, tickets };
+    })
+    .filter((tier) => tier.minBalance >= 0 && tier.tickets > 0)
+    .sort((a, b) => a.minBalance - b.minBalance);
+}
+
+function buildEntryMode(env) {
+  const mode = ENTRY_MODES.includes(env.ENTRY_MODE) ? env.ENTRY_MODE : "single";
+
+  return {
+    mode,
+    ticketUnit: parseInt(env.ENTRY_TICKET_UNIT) || 1000000,
+    maxTickets: parseInt(env.ENTRY_MAX_TICKETS) || null,
+    tiers: parseTiers(env.ENTRY_TIERS),
+  };
+}
+
+function computeTickets(balance, entryMode) {
+  if (!entryMode || entryMode.mode === "single") return 1;
+
+  let tickets = 1;
+
+  if (entryMode.mode === "weighted") {
+    tickets = Math.floor(balance / entryMode.ticketUnit);
+    if (entryMode.maxTickets) tickets = Math.min(tickets, entryMode.maxTickets);
+  } else if (entryMode.mode === "tiered") {
+    // Highest band the balance reaches
+    for (const tier of entryMode.tiers || []) {
+      if (balance >= tier.minBalance) tickets = tier.tickets;
+    }
+  }
+
+  return Math.max(1, tickets);
+}
+
+module.exports = {
+  ENTRY_MODES,
+  parseTiers,
+  buildEntryMode,
+  computeTickets,
+};
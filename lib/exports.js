@@ -0,0 +1,353 @@
+// lib/exports.js - Data exports for accounting and per-round audit reports
+//
+// /api/admin/export streams one dataset of a table as CSV or NDJSON:
+//   dataset        rounds | votes | payouts
+//   format         csv (default) | ndjson
+//   from, to       ISO dates (rounds: start time, votes: cast time,
+//                  payouts: creation time)
+//   fromRound,     round number range, inclusive
+//   toRound
+// Rows are written as the Mongo cursor yields them, so an export never holds
+// more than a batch in memory. Server seeds only appear for completed rounds.
+const { DEFAULT_TABLE_ID } = require("./tables");
+
+const EXPORT_DATASETS = ["rounds", "votes", "payouts"];
+const EXPORT_FORMATS = ["csv", "ndjson"];
+// Votes reference their round by a string id: bounded round ranges become
+// an index-friendly $in list up to this many rounds
+const MAX_ROUND_LIST = 5000;
+
+const COLUMNS = {
+  rounds: [
+    "tableId",
+    "roundNumber",
+    "status",
+    "startTime",
+    "endTime",
+    "winningNumber",
+    "winningColor",
+    "winningBets",
+    "winners",
+    "prizeAmount",
+    "payoutStatus",
+    "participants",
+    "votes",
+    "tickets",
+    "settingsVersion",
+    "serverSeedHash",
+    "serverSeed",
+    "clientSeed",
+    "cancelReason",
+  ],
+  votes: [
+    "tableId",
+    "roundNumber",
+    "walletAddress",
+    "bet",
+    "category",
+    "tickets",
+    "timestamp",
+    "disqualified",
+    "disqualificationReason",
+    "voided",
+  ],
+  payouts: [
+    "tableId",
+    "roundNumber",
+    "walletAddress",
+    "amount",
+    "status",
+    "txSignature",
+    "receivedAmount",
+    "failureReason",
+    "paidAt",
+    "paidBy",
+    "createdAt",
+  ],
+};
+
+const DATE_FIELDS = { rounds: "startTime", votes: "timestamp", payouts: "createdAt" };
+const SORTS = {
+  rounds: { roundNumber: 1 },
+  votes: { timestamp: 1 },
+  payouts: { roundNumber: 1, walletAddress: 1 },
+};
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date`);
+  return date;
+}
+
+function parseRoundNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} must be a round number`);
+  }
+  return number;
+}
+
+function roundRangeQuery(dataset, fromRound, toRound) {
+  if (dataset !== "votes") {
+    const range = {};
+    if (fromRound !== undefined) range.$gte = fromRound;
+    if (toRound !== undefined) range.$lte = toRound;
+    return { roundNumber: range };
+  }
+
+  if (fromRound !== undefined && toRound !== undefined && toRound - fromRound < MAX_ROUND_LIST) {
+    const ids = [];
+    for (let number = fromRound; number <= toRound; number++) ids.push(String(number));
+    return { roundId: { $in: ids } };
+  }
+
+  const bounds = [];
+  if (fromRound !== undefined) bounds.push({ $gte: [{ $toInt: "$roundId" }, fromRound] });
+  if (toRound !== undefined) bounds.push({ $lte: [{ $toInt: "$roundId" }, toRound] });
+  return { $expr: { $and: bounds } };
+}
+
+// Returns { dataset, format, query, sort } for the export, or { error }
+function buildExportQuery(params = {}, tableId = DEFAULT_TABLE_ID) {
+  const dataset = params.dataset;
+  const format = params.format || "csv";
+
+  if (!EXPORT_DATASETS.includes(dataset)) {
+    return { error: `dataset must be one of: ${EXPORT_DATASETS.join(", ")}` };
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` };
+  }
+
+  const query = { tableId };
+
+  try {
+    if (params.from !== undefined || params.to !== undefined) {
+      const range = {};
+      if (params.from !== undefined) range.$gte = parseDate(params.from, "from");
+      if (params.to !== undefined) range.$lte = parseDate(params.to, "to");
+      query[DATE_FIELDS[dataset]] = range;
+    }
+
+    if (params.fromRound !== undefined || params.toRound !== undefined) {
+      const fromRound =
+        params.fromRound !== undefined ? parseRoundNumber(params.fromRound, "fromRound") : undefined;
+      const toRound =
+        params.toRound !== undefined ? parseRoundNumber(params.toRound, "toRound") : undefined;
+      if (fromRound !== undefined && toRound !== undefined && fromRound > toRound) {
+        throw new Error("fromRound must not be after toRound");
+      }
+      Object.assign(query, roundRangeQuery(dataset, fromRound, toRound));
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { dataset, format, query, sort: SORTS[dataset] };
+}
+
+function sumTally(tally = {}) {
+  return Object.values(tally).reduce((sum, count) => sum + (count || 0), 0);
+}
+
+// Flat export rows from lean documents
+const ROW_MAPPERS = {
+  rounds: (round) => ({
+    tableId: round.tableId,
+    roundNumber: round.roundNumber,
+    status: round.status,
+    startTime: round.startTime,
+    endTime: round.endTime,
+    winningNumber: round.winningNumber,
+    winningColor: round.winningColor,
+    winningBets: round.winningBets || [],
+    winners: (round.winners || []).map(({ walletAddress, category, bet, rank, amount }) => ({
+      walletAddress,
+      category,
+      bet,
+      rank,
+      amount,
+    })),
+    prizeAmount: round.prizeAmount,
+    payoutStatus: round.payoutStatus,
+    participants: (round.participants || []).length,
+    votes: sumTally(round.votes),
+    tickets: sumTally(round.tickets),
+    settingsVersion: round.settings ? round.settings.version : null,
+    serverSeedHash: round.serverSeedHash,
+    serverSeed: round.status === "completed" ? round.serverSeed : null,
+    clientSeed: round.clientSeed,
+    cancelReason: round.cancelReason,
+  }),
+  votes: (vote) => ({
+    tableId: vote.tableId,
+    roundNumber: Number(vote.roundId),
+    walletAddress: vote.walletAddress,
+    bet: vote.bet,
+    category: vote.category,
+    tickets: vote.tickets,
+    timestamp: vote.timestamp,
+    disqualified: vote.disqualified,
+    disqualificationReason: vote.disqualificationReason,
+    voided: vote.voided,
+  }),
+  payouts: (payout) => ({
+    tableId: payout.tableId,
+    roundNumber: payout.roundNumber,
+    walletAddress: payout.walletAddress,
+    amount: payout.amount,
+    status: payout.status,
+    txSignature: payout.txSignature,
+    receivedAmount: payout.receivedAmount,
+    failureReason: payout.failureReason,
+    paidAt: payout.paidAt,
+    paidBy: payout.paidBy,
+    createdAt: payout.createdAt,
+  }),
+};
+
+function toRow(dataset, doc) {
+  return ROW_MAPPERS[dataset](doc);
+}
+
+// One CSV cell: lists of plain values joined with "|", other objects as JSON.
+// Text starting like a formula gets a leading quote so spreadsheets show it
+// as text.
+function csvCell(value) {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString();
+
+  let text;
+  if (Array.isArray(value) && value.every((item) => typeof item !== "object")) {
+    text = value.join("|");
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvCell).join(",")}\n`;
+}
+
+// Resolves once a full output drains, or closes (then no drain ever comes)
+function writable(output) {
+  return new Promise((resolve) => {
+    const done = () => {
+      output.off("drain", done);
+      output.off("close", done);
+      resolve();
+    };
+    output.on("drain", done);
+    output.on("close", done);
+  });
+}
+
+// Write every document from `source` (a cursor or any async iterable) to
+// `output` as rows, waiting whenever the output is full. Stops early if the
+// output is closed (the client went away). Returns the number of rows written.
+async function streamRows(source, output, { dataset, format }) {
+  const columns = COLUMNS[dataset];
+  let count = 0;
+
+  const write = async (chunk) => {
+    if (!output.write(chunk) && !output.destroyed) await writable(output);
+  };
+
+  if (format === "csv") await write(csvLine(columns));
+
+  for await (const doc of source) {
+    if (output.destroyed) break;
+
+    const row = toRow(dataset, doc);
+    await write(
+      format === "csv"
+        ? csvLine(columns.map((column) => row[column]))
+        : `${JSON.stringify(row)}\n`
+    );
+    count++;
+  }
+
+  return count;
+}
+
+// Everything needed to audit one round offline: the round with its revealed
+// seed, every vote, each winner's payout and, once completed, the fairness
+// check (lib/fairness.js verifyRound result)
+function buildAuditReport({ round, votes, payouts, verification = null, generatedAt = new Date() }) {
+  const roundRow = toRow("rounds", round);
+
+  return {
+    generatedAt,
+    round: roundRow,
+    winners: roundRow.winners.map((winner) => {
+      const payout = payouts.find((entry) => entry.walletAddress === winner.walletAddress);
+      return {
+        ...winner,
+        payoutStatus: payout ? payout.status : null,
+        txSignature: payout ? payout.txSignature || null : null,
+        paidAt: payout ? payout.paidAt || null : null,
+      };
+    }),
+    votes: votes.map((vote) => toRow("votes", vote)),
+    verification,
+  };
+}
+
+// The report as CSV: one line per vote, with the round's result and the
+// voter's prize and payout alongside
+const AUDIT_CSV_COLUMNS = [
+  "tableId",
+  "roundNumber",
+  "winningNumber",
+  "winningColor",
+  "serverSeedHash",
+  "serverSeed",
+  "clientSeed",
+  "walletAddress",
+  "bet",
+  "tickets",
+  "timestamp",
+  "disqualified",
+  "voided",
+  "won",
+  "amount",
+  "payoutStatus",
+  "txSignature",
+];
+
+function auditReportCsv(report) {
+  const { round } = report;
+  const lines = [csvLine(AUDIT_CSV_COLUMNS)];
+
+  for (const vote of report.votes) {
+    const winner = report.winners.find((entry) => entry.walletAddress === vote.walletAddress);
+    const row = {
+      ...round,
+      ...vote,
+      won: Boolean(winner),
+      amount: winner ? winner.amount : null,
+      payoutStatus: winner ? winner.payoutStatus : null,
+      txSignature: winner ? winner.txSignature : null,
+    };
+    lines.push(csvLine(AUDIT_CSV_COLUMNS.map((column) => row[column])));
+  }
+
+  return lines.join("");
+}
+
+module.exports = {
+  EXPORT_DATASETS,
+  EXPORT_FORMATS,
+  COLUMNS,
+  buildExportQuery,
+  toRow,
+  csvCell,
+  streamRows,
+  buildAuditReport,
+  auditReportCsv,
+};
@@ -0,0 +1,299 @@
+// lib/fairness.js - Provably fair commit-reveal outcome derivation and the wheel
+//
+// Standalone: depends only on Node's crypto module so players can copy this
+// file and check any completed round offline:
+//
+//   curl https://www.redorblack.fun/api/rounds/42/verify > round.json
+//   node fairness.js round.json
+//
+const crypto = require("crypto");
+
+// European wheel: 0 (green) to 36. Every category is drawn separately; the
+// dozens, odd/even and low/high bets all lose on 0.
+const WHEEL_SIZE = 37;
+const RED_NUMBERS = [1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36];
+const BET_CATEGORIES = {
+  color: ["red", "black", "green"],
+  parity: ["odd", "even"],
+  range: ["low", "high"], // 1-18, 19-36
+  dozen: ["dozen1", "dozen2", "dozen3"], // 1-12, 13-24, 25-36
+};
+const BETS = Object.values(BET_CATEGORIES).flat();
+
+function betCategory(bet) {
+  return (
+    Object.keys(BET_CATEGORIES).find((category) =>
+      BET_CATEGORIES[category].includes(bet)
+    ) || null
+  );
+}
+
+// Votes from before bet categories only had a color
+function voteBet(vote) {
+  return vote.bet || vote.color;
+}
+
+function numberColor(number) {
+  if (number === 0) return "green";
+  return RED_NUMBERS.includes(number) ? "red" : "black";
+}
+
+// The winning bet of each category for a number (null: nobody wins it)
+function winningBets(number) {
+  if (number === 0) {
+    return { color: "green", parity: null, range: null, dozen: null };
+  }
+  return {
+    color: numberColor(number),
+    parity: number % 2 === 1 ? "odd" : "even",
+    range: number <= 18 ? "low" : "high",
+    dozen: `dozen${Math.ceil(number / 12)}`,
+  };
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function createServerSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// Commitment published when the round opens
+function hashServerSeed(serverSeed) {
+  return sha256(serverSeed);
+}
+
+// Client seed = hash of every vote cast, so players contribute entropy the
+// server could not know when it committed to its seed
+function computeClientSeed(votes) {
+  const lines = votes
+    .map((vote) => `${vote.walletAddress}:${voteBet(vote)}`)
+    .sort();
+  return sha256(lines.join("\n"));
+}
+
+// Uniform float in [0, 1) from 52 bits of HMAC(serverSeed, message)
+function deriveFloat(serverSeed, message) {
+  const digest = crypto
+    .createHmac("sha256", serverSeed)
+    .update(message)
+    .digest("hex");
+  return parseInt(digest.slice(0, 13), 16) / 2 ** 52;
+}
+
+function deriveWinningNumber(serverSeed, clientSeed, roundNumber) {
+  const roll = deriveFloat(serverSeed, `${clientSeed}:${roundNumber}:number`);
+  return Math.floor(roll * WHEEL_SIZE);
+}
+
+// Red/black coin flip of the rounds played before the wheel
+function deriveWinningColor(serverSeed, clientSeed, roundNumber) {
+  const roll = deriveFloat(serverSeed, `${clientSeed}:${roundNumber}:color`);
+  return roll < 0.5 ? "red" : "black";
+}
+
+// Winning ticket number in [0, totalTickets). Each bet category draws with
+// its own message, and every further winner of a category (`rank` above 1)
+// with its own too; rounds before the wheel had a single "winner" draw.
+function deriveWinningTicket(serverSeed, clientSeed, roundNumber, totalTickets, category, rank = 1) {
+  if (totalTickets <= 0) return -1;
+  let draw = category ? `winner:${category}` : "winner";
+  if (rank > 1) draw += `:${rank}`;
+  const roll = deriveFloat(serverSeed, `${clientSeed}:${roundNumber}:${draw}`);
+  return Math.floor(roll * totalTickets);
+}
+
+// Index of the entry holding `ticket` when entries own consecutive ticket ranges
+function findTicketHolder(entries, ticket) {
+  let upper = 0;
+  for (let i = 0; i < entries.length; i++) {
+    upper += entries[i].tickets;
+    if (ticket < upper) return i;
+  }
+  return -1;
+}
+
+// Voters on `bet` ordered by wallet address, so draws are reproducible. Each
+// vote owns `tickets` consecutive tickets (1 when not set); disqualified votes
+// still count toward the client seed but hold no tickets.
+function eligibleBettors(votes, bet) {
+  return votes
+    .filter((vote) => voteBet(vote) === bet && !vote.disqualified)
+    .map((vote) => ({
+      walletAddress: vote.walletAddress,
+      tickets: vote.tickets || 1,
+    }))
+    .sort((a, b) => (a.walletAddress < b.walletAddress ? -1 : 1));
+}
+
+// Draw one wallet among the votes on `bet` (the single draw before the wheel)
+function drawWinner({ serverSeed, clientSeed, roundNumber, votes, bet, category }) {
+  const eligible = eligibleBettors(votes, bet);
+  const totalTickets = eligible.reduce((sum, entry) => sum + entry.tickets, 0);
+  const winningTicket = deriveWinningTicket(
+    serverSeed,
+    clientSeed,
+    roundNumber,
+    totalTickets,
+    category
+  );
+  const winnerIndex = findTicketHolder(eligible, winningTicket);
+
+  return {
+    winningTicket,
+    totalTickets,
+    winnerIndex,
+    winner: winnerIndex >= 0 ? eligible[winnerIndex].walletAddress : null,
+  };
+}
+
+// Up to `count` wallets among the votes on `bet`, drawn without replacement:
+// each draw removes the winner and its tickets before the next. With "all",
+// every eligible bettor wins, in wallet order. Returns winners in rank order.
+function drawWinners({ serverSeed, clientSeed, roundNumber, votes, bet, category, count = 1 }) {
+  const remaining = eligibleBettors(votes, bet);
+  if (count === "all") {
+    return remaining.map((entry, i) => ({ walletAddress: entry.walletAddress, rank: i + 1 }));
+  }
+
+  const winners = [];
+  for (let rank = 1; rank <= count && remaining.length > 0; rank++) {
+    const totalTickets = remaining.reduce((sum, entry) => sum + entry.tickets, 0);
+    const ticket = deriveWinningTicket(
+      serverSeed,
+      clientSeed,
+      roundNumber,
+      totalTickets,
+      category,
+      rank
+    );
+    const [entry] = remaining.splice(findTicketHolder(remaining, ticket), 1);
+    winners.push({ walletAddress: entry.walletAddress, rank });
+  }
+  return winners;
+}
+
+// Spin the wheel, then draw `winnersPerCategory` wallets (a count, or "all")
+// in every category among the votes on its winning bet. `winners` lists them
+// by category, in BET_CATEGORIES order, then by rank.
+function computeOutcome({ serverSeed, clientSeed, roundNumber, votes, winnersPerCategory = 1 }) {
+  const winningNumber = deriveWinningNumber(serverSeed, clientSeed, roundNumber);
+  const bets = winningBets(winningNumber);
+  const draws = {};
+  const winners = [];
+
+  for (const category of Object.keys(BET_CATEGORIES)) {
+    const bet = bets[category];
+    if (!bet) continue;
+
+    draws[category] = {
+      bet,
+      winners: drawWinners({
+        serverSeed,
+        clientSeed,
+        roundNumber,
+        votes,
+        bet,
+        category,
+        count: winnersPerCategory,
+      }),
+    };
+    for (const { walletAddress, rank } of draws[category].winners) {
+      winners.push({ category, bet, walletAddress, rank });
+    }
+  }
+
+  return {
+    winningNumber,
+    winningColor: bets.color,
+    winningBets: Object.values(bets).filter(Boolean),
+    draws,
+    winners,
+  };
+}
+
+// Outcome of a round played before the wheel: a red/black flip and one draw
+function computeColorOutcome({ serverSeed, clientSeed, roundNumber, votes }) {
+  const winningColor = deriveWinningColor(serverSeed, clientSeed, roundNumber);
+  return {
+    winningColor,
+    ...drawWinner({ serverSeed, clientSeed, roundNumber, votes, bet: winningColor }),
+  };
+}
+
+function sameWinners(expected, actual = []) {
+  const key = (winner) => `${winner.category}:${winner.rank || 1}:${winner.walletAddress}`;
+  return (
+    JSON.stringify(expected.map(key).sort()) === JSON.stringify(actual.map(key).sort())
+  );
+}
+
+// Recompute a completed round from its revealed data (rounds without a
+// winning number were played before the wheel). `winnersPerCategory` comes
+// with the round, 1 when missing.
+function verifyRound(round) {
+  const { serverSeed, serverSeedHash, roundNumber, votes } = round;
+  const clientSeed = computeClientSeed(votes);
+  const legacy = round.winningNumber == null;
+  const outcome = (legacy ? computeColorOutcome : computeOutcome)({
+    serverSeed,
+    clientSeed,
+    roundNumber,
+    votes,
+    winnersPerCategory: round.winnersPerCategory ?? 1,
+  });
+
+  const checks = {
+    commitment: hashServerSeed(serverSeed) === serverSeedHash,
+    clientSeed: clientSeed === round.clientSeed,
+  };
+  if (legacy) {
+    checks.winningColor = outcome.winningColor === round.winningColor;
+    checks.winner = outcome.winner === (round.winner || null);
+  } else {
+    checks.winningNumber = outcome.winningNumber === round.winningNumber;
+    checks.winners = sameWinners(outcome.winners, round.winners);
+  }
+
+  return {
+    valid: Object.values(checks).every(Boolean),
+    checks,
+    clientSeed,
+    ...outcome,
+  };
+}
+
+module.exports = {
+  WHEEL_SIZE,
+  BET_CATEGORIES,
+  BETS,
+  betCategory,
+  voteBet,
+  numberColor,
+  winningBets,
+  createServerSeed,
+  hashServerSeed,
+  computeClientSeed,
+  deriveWinningNumber,
+  deriveWinningColor,
+  deriveWinningTicket,
+  computeOutcome,
+  computeColorOutcome,
+  verifyRound,
+};
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("Usage: node fairness.js <round.json>");
+    process.exit(1);
+  }
+
+  const data = JSON.parse(require("fs").readFileSync(file, "utf8"));
+  const result = verifyRound(data.round || data);
+
+  console.log(JSON.stringify(result, null, 2));
+  console.log(result.valid ? "✅ Round verified" : "❌ Round does NOT verify");
+  process.exit(result.valid ? 0 : 2);
+}
@@ -0,0 +1,1017 @@
+// lib/gameEngine.js - Round lifecycle, independent of Express and Socket.IO
+//
+// Round lifecycle: voting -> spinning -> completed -> intermission -> next round.
+// Voting closes with a spin of the wheel; each bet category (lib/fairness.js)
+// then draws its own winners, who share the prize according to the round's
+// payout structure (lib/payoutStructures.js).
+// Every phase deadline is persisted (Round.phaseEndsAt, GameState.nextRoundStartTime)
+// and a single timer fires at the next one, so a restart resumes mid-round
+// instead of resetting it.
+//
+// Operators can pause the game (GameState.isActive = false: no transitions,
+// no votes, countdown frozen), resume it (deadlines move forward by the time
+// spent paused) or cancel the current round (no winner, votes voided).
+//
+// Dependencies are injected so tests can drive full rounds deterministically:
+//   store     - lib/mongoStore.js or lib/memoryStore.js
+//   clock     - lib/clock.js (systemClock or a manual clock)
+//   rng       - { createServerSeed() } for the commit-reveal seed
+//   balances  - a balance provider from lib/balanceProviders.js
+//   treasury  - lib/prizePool.js treasury for the treasury prize mode (optional)
+//   config    - ROUND_DURATION, SPIN_DURATION, INTERMISSION_DURATION, ENTRY_MODE,
+//               PRIZE_POOL, PAYOUT_STRUCTURE, REQUIRED_TOKEN_MINT, MIN_TOKEN_BALANCE: the defaults
+//               for the first settings version (lib/gameSettings.js). Each round
+//               runs under the settings copied onto it when it opened.
+//   defaults  - the table's own first settings (lib/tables.js), instead of config
+//   onEvent   - onEvent(type, data) on every transition:
+//               "round:started"  { round }
+//               "round:spinning" { round }
+//               "round:result"   { round, gameState }
+//               "round:cancelled" { round, gameState }
+//               "game:paused"    { round, gameState }
+//               "game:resumed"   { round, gameState }
+//               "tick"           { round, timeLeft } every few seconds
+const {
+  BETS,
+  betCategory,
+  voteBet,
+  numberColor,
+  winningBets,
+  createServerSeed,
+  hashServerSeed,
+  computeClientSeed,
+  deriveWinningNumber,
+  computeOutcome,
+  computeColorOutcome,
+} = require("./fairness");
+const { systemClock } = require("./clock");
+const {
+  settingsFromConfig,
+  pickSettings,
+  validateSettingsUpdate,
+} = require("./gameSettings");
+const { computeTreasuryPrize } = require("./prizePool");
+const { winnersPerCategory, assignPrizes } = require("./payoutStructures");
+
+const SNAPSHOT_BATCH_SIZE = 10;
+// Votes counted on the round just before it closed may still be being
+// written: re-check this often, for up to this long after the deadline
+const VOTE_SETTLE_DELAY = 100;
+const VOTE_SETTLE_TIMEOUT = 2000;
+
+function emptyTally() {
+  return Object.fromEntries(BETS.map((bet) => [bet, 0]));
+}
+
+// Bets that won a spun round (rounds spun before the wheel only had a color)
+function roundWinningBets(round) {
+  if (round.winningBets && round.winningBets.length > 0) return round.winningBets;
+  return round.winningColor ? [round.winningColor] : [];
+}
+
+function createGameEngine({
+  store,
+  clock = systemClock,
+  rng = { createServerSeed },
+  balances,
+  treasury = null,
+  config,
+  defaults = null,
+  onEvent = () => {},
+  logger = console,
+}) {
+  let gameState = null;
+  let activeSettings = null;
+  let phaseTimer = null;
+  let tickInterval = null;
+  let running = false;
+  let schedulerQueue = Promise.resolve();
+
+  const now = () => new Date(clock.now());
+  const baseSettings = () => defaults || settingsFromConfig(config);
+
+  async function initialize() {
+    gameState = await store.loadGameState();
+    if (!gameState) {
+      gameState = await store.createGameState({
+        currentRound: 1,
+        totalPrizesGiven: 0,
+      });
+    }
+    await loadSettings();
+
+    logger.log(`▶️ Resuming at round ${gameState.currentRound}`);
+  }
+
+  // Active settings from the store, seeding version 1 from the defaults
+  async function loadSettings() {
+    activeSettings = await store.loadSettings();
+    if (activeSettings) return activeSettings;
+
+    try {
+      activeSettings = await store.createSettings({
+        version: 1,
+        ...baseSettings(),
+        updatedBy: "config",
+      });
+    } catch (error) {
+      // Another instance seeded it first
+      if (error.code !== 11000) throw error;
+      activeSettings = await store.loadSettings();
+    }
+    return activeSettings;
+  }
+
+  // Validate and store a new settings version; it applies from the next round.
+  // Returns { settings, previous } or { error }.
+  async function updateSettings(changes, updatedBy) {
+    const previous = await loadSettings();
+    const { settings, error } = validateSettingsUpdate(previous, changes);
+    if (error) return { error };
+    if (settings.prizePool.mode === "treasury" && !treasury) {
+      return { error: "The treasury prize mode needs a treasury wallet (TREASURY_WALLET)" };
+    }
+
+    try {
+      activeSettings = await store.createSettings({
+        version: previous.version + 1,
+        ...settings,
+        updatedBy,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { error: "Settings were changed at the same time, please retry" };
+      }
+      throw error;
+    }
+
+    logger.log(`⚙️ Settings v${activeSettings.version} saved by ${updatedBy}`);
+    return { settings: activeSettings, previous };
+  }
+
+  async function listSettings(limit = 20) {
+    return store.listSettings(limit);
+  }
+
+  // Rules a round runs under (rounds from before settings were versioned use
+  // the defaults); without a round, the ones the next round will get
+  function getRoundSettings(round) {
+    if (round && round.settings && round.settings.version) return round.settings;
+    if (!round && activeSettings) return activeSettings;
+    return baseSettings();
+  }
+
+  async function start() {
+    await initialize();
+    running = true;
+    await runScheduler();
+    startTickBroadcasts();
+  }
+
+  function stop() {
+    running = false;
+    if (phaseTimer) clock.clearTimeout(phaseTimer);
+    if (tickInterval) clock.clearInterval(tickInterval);
+    phaseTimer = null;
+    tickInterval = null;
+  }
+
+  // Followers re-read the state the leader keeps moving forward
+  async function refreshState() {
+    gameState = (await store.loadGameState()) || gameState;
+    activeSettings = (await store.loadSettings()) || activeSettings;
+    return gameState;
+  }
+
+  // Leader: pick up a pause, resume or cancel made through another instance
+  async function syncState() {
+    const latest = await store.loadGameState();
+    if (!running || !latest) return;
+
+    if (
+      latest.isActive !== gameState.isActive ||
+      latest.currentRound !== gameState.currentRound
+    ) {
+      await runScheduler();
+    }
+  }
+
+  // Count a recorded payment toward the totals (any instance may call this)
+  async function recordPrizePaid(amount) {
+    gameState = await store.updateGameState({
+      $inc: { totalPrizesGiven: amount },
+      $set: { lastPrizeAmount: amount, lastUpdated: now() },
+    });
+    return gameState;
+  }
+
+  async function getCurrentRound(options) {
+    return store.findRound(gameState.currentRound, options);
+  }
+
+  async function ensureCurrentRound() {
+    // Create the voting round if it doesn't exist yet (never touch an existing one)
+    const existingRound = await getCurrentRound();
+
+    if (existingRound) return existingRound;
+
+    // Rules changed since the last round take effect here
+    const settings = await loadSettings();
+    const startTime = now();
+    const votingEndsAt = new Date(startTime.getTime() + settings.roundDuration);
+    const newRound = await store.createRound({
+      roundNumber: gameState.currentRound,
+      status: "voting",
+      startTime,
+      votingEndsAt,
+      phaseEndsAt: votingEndsAt,
+      prizeAmount: 0,
+      votes: emptyTally(),
+      tickets: emptyTally(),
+      participants: [],
+      entryMode: settings.entryMode,
+      settings: { version: settings.version, ...pickSettings(settings) },
+      ...createSeedCommitment(),
+    });
+    logger.log(`🎲 NEW VOTING ROUND CREATED: ${gameState.currentRound}`);
+
+    return newRound;
+  }
+
+  function createSeedCommitment() {
+    const serverSeed = rng.createServerSeed();
+    return { serverSeed, serverSeedHash: hashServerSeed(serverSeed) };
+  }
+
+  // A round left in play by a version without seed commitments can't be
+  // drawn. Commit to a seed now and (re)open voting for a full period, so the
+  // commitment is public before the result depends on it. Votes already cast
+  // still count.
+  async function commitLegacyRound(round) {
+    const votingEndsAt = new Date(clock.now() + getRoundSettings(round).roundDuration);
+    const reopened = await store.updateRound(
+      round.roundNumber,
+      {
+        $set: {
+          ...createSeedCommitment(),
+          status: "voting",
+          votingEndsAt,
+          phaseEndsAt: votingEndsAt,
+        },
+      },
+      { status: round.status }
+    );
+    if (!reopened) return;
+
+    logger.log(`🔐 Round ${round.roundNumber} had no seed commitment, voting reopened`);
+    onEvent("round:started", { round: reopened });
+  }
+
+  // Deadline of the round's current phase (rounds created before deadlines
+  // were persisted fall back to their start time)
+  function getPhaseDeadline(round) {
+    if (round.phaseEndsAt) return new Date(round.phaseEndsAt);
+    return new Date(
+      new Date(round.startTime).getTime() + getRoundSettings(round).roundDuration
+    );
+  }
+
+  function getTimeLeft(round) {
+    if (!round || round.status !== "voting") return 0;
+    const deadline = round.votingEndsAt
+      ? new Date(round.votingEndsAt)
+      : getPhaseDeadline(round);
+    // The countdown stands still while the game is paused
+    const from = round.pausedAt ? new Date(round.pausedAt).getTime() : clock.now();
+    return Math.max(0, Math.ceil((deadline.getTime() - from) / 1000));
+  }
+
+  function isDue(deadline) {
+    return !deadline || new Date(deadline).getTime() <= clock.now();
+  }
+
+  // When the next transition is due (null while paused)
+  async function getNextDeadline() {
+    if (!gameState.isActive) return null;
+    const round = await getCurrentRound();
+
+    if (!round) return gameState.nextRoundStartTime || now();
+    if (round.status === "completed") return now();
+    return getPhaseDeadline(round);
+  }
+
+  // Run whichever transition is due, if any
+  async function advanceGame() {
+    if (!gameState.isActive) return;
+    const round = await getCurrentRound();
+
+    if (!round) {
+      // Intermission between rounds
+      if (isDue(gameState.nextRoundStartTime)) {
+        await startNextRound();
+      }
+    } else if (round.status === "completed") {
+      // Stopped after the round completed but before the game state moved on
+      await finishRound(round);
+    } else if (!round.serverSeedHash) {
+      await commitLegacyRound(round);
+    } else if (isDue(getPhaseDeadline(round))) {
+      if (round.status === "voting") {
+        await endVotingPhase();
+      } else {
+        await selectWinner();
+      }
+    }
+  }
+
+  // Scheduler runs and operator actions share one queue, so on this instance
+  // an operator action never overlaps a transition. Writes that finish a
+  // transition are conditional on the round's status, for other instances.
+  function enqueue(task) {
+    const result = schedulerQueue.then(task);
+    schedulerQueue = result.catch(() => {});
+    return result;
+  }
+
+  function runScheduler() {
+    return enqueue(schedule);
+  }
+
+  async function schedule() {
+    if (phaseTimer) clock.clearTimeout(phaseTimer);
+    phaseTimer = null;
+    if (!running) return;
+
+    try {
+      // Another instance may have paused, resumed or cancelled
+      gameState = (await store.loadGameState()) || gameState;
+      await advanceGame();
+      const deadline = await getNextDeadline();
+      // Paused: resume() starts the scheduler again
+      if (!deadline || !running) return;
+      const delay = Math.max(0, new Date(deadline).getTime() - clock.now());
+      phaseTimer = clock.setTimeout(runScheduler, delay);
+    } catch (error) {
+      logger.error("❌ Round scheduler error, retrying:", error);
+      if (running) phaseTimer = clock.setTimeout(runScheduler, 1000);
+    }
+  }
+
+  // Freeze the game: no transitions or votes until resume().
+  // Returns { gameState, round } or { error }.
+  function pause(actor) {
+    return enqueue(() => pauseGame(actor));
+  }
+
+  async function pauseGame(actor) {
+    const pausedAt = now();
+    const state = await store.updateGameState(
+      { $set: { isActive: false, pausedAt, pausedBy: actor, lastUpdated: pausedAt } },
+      { isActive: true }
+    );
+    if (!state) return { error: "Game is already paused" };
+    gameState = state;
+
+    // Votes are checked against the round, so it carries the pause as well
+    let round = await getCurrentRound();
+    if (round && ["voting", "spinning"].includes(round.status)) {
+      round = await store.updateRound(round.roundNumber, { $set: { pausedAt } });
+    }
+
+    logger.log(`⏸️ Game paused by ${actor} at round ${gameState.currentRound}`);
+    onEvent("game:paused", { round, gameState });
+    if (running) await schedule();
+    return { gameState, round };
+  }
+
+  // Unfreeze the game, giving the round (or the intermission) the time it had
+  // left when paused. Returns { gameState, round } or { error }.
+  function resume(actor) {
+    return enqueue(() => resumeGame(actor));
+  }
+
+  async function resumeGame(actor) {
+    const state = await store.loadGameState();
+    if (!state || state.isActive) return { error: "Game is not paused" };
+    gameState = state;
+
+    const resumedAt = now();
+    const shift = (date, since) =>
+      new Date(new Date(date).getTime() + resumedAt.getTime() - new Date(since).getTime());
+
+    let round = await getCurrentRound();
+    if (round && round.pausedAt) {
+      const $set = { phaseEndsAt: shift(getPhaseDeadline(round), round.pausedAt) };
+      if (round.status === "voting") $set.votingEndsAt = $set.phaseEndsAt;
+      round =
+        (await store.updateRound(
+          round.roundNumber,
+          { $set, $unset: { pausedAt: "" } },
+          { pausedAt: round.pausedAt }
+        )) || (await getCurrentRound());
+    }
+
+    const $set = { isActive: true, lastUpdated: resumedAt };
+    if (!round && state.nextRoundStartTime && state.pausedAt) {
+      $set.nextRoundStartTime = shift(state.nextRoundStartTime, state.pausedAt);
+    }
+    const resumed = await store.updateGameState(
+      { $set, $unset: { pausedAt: "", pausedBy: "" } },
+      { isActive: false }
+    );
+    if (!resumed) return { error: "Game is not paused" };
+    gameState = resumed;
+
+    logger.log(`▶️ Game resumed by ${actor} at round ${gameState.currentRound}`);
+    onEvent("game:resumed", { round, gameState });
+    if (running) await schedule();
+    return { gameState, round };
+  }
+
+  // Call off the current round: no winner, its votes are voided and the next
+  // round opens after the usual intermission (counted from the resume if the
+  // game is paused). Returns { round, gameState, voidedVotes } or { error }.
+  function cancelRound(actor, reason = null) {
+    return enqueue(() => cancelCurrentRound(actor, reason));
+  }
+
+  async function cancelCurrentRound(actor, reason) {
+    gameState = (await store.loadGameState()) || gameState;
+    const cancelledAt = now();
+
+    const round = await store.cancelRound(gameState.currentRound, {
+      endTime: cancelledAt,
+      cancelledBy: actor,
+      cancelReason: reason,
+    });
+    if (!round) return { error: "No round in progress to cancel" };
+
+    const voidedVotes = await store.voidVotes(round.roundNumber);
+
+    const intermissionFrom =
+      !gameState.isActive && gameState.pausedAt
+        ? new Date(gameState.pausedAt).getTime()
+        : cancelledAt.getTime();
+    gameState =
+      (await store.updateGameState(
+        {
+          $set: {
+            currentRound: round.roundNumber + 1,
+            nextRoundStartTime: new Date(
+              intermissionFrom + getRoundSettings(round).intermissionDuration
+            ),
+            lastUpdated: cancelledAt,
+          },
+        },
+        { currentRound: round.roundNumber }
+      )) || (await store.loadGameState());
+
+    logger.log(`🚫 Round ${round.roundNumber} cancelled by ${actor}, ${voidedVotes} votes voided`);
+    onEvent("round:cancelled", { round, gameState });
+    if (running) await schedule();
+    return { round, gameState, voidedVotes };
+  }
+
+  function startTickBroadcasts() {
+    if (tickInterval) clock.clearInterval(tickInterval);
+    // Countdown sync every 5 seconds
+    tickInterval = clock.setInterval(emitTick, 5000);
+  }
+
+  async function emitTick() {
+    try {
+      const round = await getCurrentRound();
+      onEvent("tick", { round, timeLeft: getTimeLeft(round) });
+    } catch (error) {
+      logger.error("❌ Tick failed:", error);
+    }
+  }
+
+  // Record a bet (one per wallet per round, see BETS in lib/fairness.js): the
+  // round tally only moves while voting is open and once per wallet, then the
+  // vote document is written (unique per wallet and round).
+  // Returns { round, vote } or { error }.
+  async function castVote({ roundNumber, walletAddress, bet, tickets }) {
+    const category = betCategory(bet);
+    if (!category) return { error: `Bet must be one of: ${BETS.join(", ")}` };
+
+    const round = await store.tallyVote(
+      roundNumber,
+      { walletAddress, bet, tickets },
+      now()
+    );
+
+    if (!round) {
+      const current = await store.findRound(roundNumber);
+      if (current && current.participants.includes(walletAddress)) {
+        return { error: "Already voted this round" };
+      }
+      if (current && current.pausedAt) return { error: "Voting is paused" };
+      return { error: "Voting is not currently active" };
+    }
+
+    try {
+      const vote = await store.insertVote({
+        walletAddress,
+        roundId: roundNumber.toString(),
+        bet,
+        category,
+        tickets,
+        timestamp: now(),
+      });
+      return { round, vote };
+    } catch (error) {
+      await store.untallyVote(roundNumber, { walletAddress, bet, tickets });
+      if (error.code === 11000) return { error: "Already voted this round" };
+      throw error;
+    }
+  }
+
+  // Votes of the closed round once every vote counted on it has been written
+  // (null while some are still in flight), with the tallies made to match
+  // the vote documents exactly
+  async function settleVotes(round) {
+    const votes = await store.findVotes(round.roundNumber);
+    const counted = BETS.reduce((sum, bet) => sum + (round.votes[bet] || 0), 0);
+    const settleBy =
+      new Date(round.votingEndsAt || round.startTime).getTime() + VOTE_SETTLE_TIMEOUT;
+
+    if (votes.length < counted && clock.now() < settleBy) return null;
+
+    round.votes = emptyTally();
+    round.tickets = emptyTally();
+    round.participants = [];
+    for (const vote of votes) {
+      round.votes[voteBet(vote)] += 1;
+      round.tickets[voteBet(vote)] += vote.tickets || 1;
+      round.participants.push(vote.walletAddress);
+    }
+
+    return votes;
+  }
+
+  async function endVotingPhase() {
+    // Closing first means no vote can be counted after the votes are read
+    const currentRound = await store.closeVoting(gameState.currentRound);
+
+    if (!currentRound) return;
+
+    await spinWheel(currentRound);
+  }
+
+  async function spinWheel(currentRound) {
+    await lockPrize(currentRound);
+
+    // Step 1: Derive the winning number from the committed seed and the cast votes
+    const votes = await settleVotes(currentRound);
+    if (!votes) {
+      currentRound.phaseEndsAt = new Date(clock.now() + VOTE_SETTLE_DELAY);
+      await saveSpinningRound(currentRound, ["prizeAmount", "prizeSource", "phaseEndsAt"]);
+      return;
+    }
+
+    const clientSeed = computeClientSeed(votes);
+    const winningNumber = deriveWinningNumber(
+      currentRound.serverSeed,
+      clientSeed,
+      currentRound.roundNumber
+    );
+    const winningColor = numberColor(winningNumber);
+    currentRound.clientSeed = clientSeed;
+    currentRound.winningNumber = winningNumber;
+    currentRound.winningColor = winningColor;
+    currentRound.winningBets = Object.values(winningBets(winningNumber)).filter(Boolean);
+    // Step 2: Winners are drawn once the spin finishes
+    currentRound.phaseEndsAt = new Date(
+      clock.now() + getRoundSettings(currentRound).spinDuration
+    );
+    const spun = await saveSpinningRound(currentRound, [
+      "prizeAmount",
+      "prizeSource",
+      "votes",
+      "tickets",
+      "participants",
+      "clientSeed",
+      "winningNumber",
+      "winningColor",
+      "winningBets",
+      "phaseEndsAt",
+    ]);
+    if (!spun) return;
+
+    logger.log(`⏰ Voting ended for round ${gameState.currentRound}`);
+    logger.log(`🎯 Winning Number: ${winningNumber} ${winningColor.toUpperCase()}`);
+
+    onEvent("round:spinning", { round: currentRound });
+
+    // Step 3: Drop winning bettors who sold below the minimum during the round
+    await snapshotWinningBalances(currentRound);
+  }
+
+  // Write `fields` of a spinning round, unless it was cancelled meanwhile.
+  // Returns the updated round, or null.
+  async function saveSpinningRound(round, fields) {
+    const $set = {};
+    for (const field of fields) $set[field] = round[field];
+    const saved = await store.updateRound(round.roundNumber, { $set }, { status: "spinning" });
+    if (!saved) logger.log(`🚫 Round ${round.roundNumber} is no longer spinning, leaving it`);
+    return saved;
+  }
+
+  // Fix the prize once voting has closed. In treasury mode it comes from the
+  // treasury balance; if that can't be read the prize stays as set.
+  async function lockPrize(round) {
+    if (round.prizeSource && round.prizeSource.lockedAt) return;
+
+    const { prizePool } = getRoundSettings(round);
+    const lockedAt = now();
+
+    if (!prizePool || prizePool.mode !== "treasury") {
+      round.prizeSource = { mode: "manual", lockedAt };
+      return;
+    }
+
+    try {
+      if (!treasury) throw new Error("no treasury wallet configured");
+      const [balance, owed] = await Promise.all([
+        treasury.getBalance(),
+        store.sumOwedPrizes(),
+      ]);
+      const rollover = prizePool.rollover ? gameState.prizeRollover || 0 : 0;
+
+      round.prizeAmount = computeTreasuryPrize({ balance, owed, rollover }, prizePool);
+      round.prizeSource = {
+        mode: "treasury",
+        wallet: treasury.wallet,
+        mint: treasury.mint,
+        balance,
+        owed,
+        rollover,
+        percent: prizePool.percent,
+        lockedAt,
+      };
+      logger.log(`💰 Round ${round.roundNumber} prize locked at ${round.prizeAmount} from the treasury`);
+    } catch (error) {
+      logger.error("❌ Treasury balance read failed, keeping the set prize:", error);
+      round.prizeSource = {
+        mode: "manual",
+        error: `Treasury balance read failed: ${error.message}`,
+        lockedAt,
+      };
+    }
+  }
+
+  // Re-check the balance of everyone on a winning bet and disqualify those
+  // below the round's minimum. Voters whose balance can't be read keep their entry.
+  async function snapshotWinningBalances(round) {
+    if (round.balanceSnapshotAt) return;
+
+    const { tokenMint, minTokenBalance } = getRoundSettings(round);
+    const bets = roundWinningBets(round);
+    const winningVotes = (await store.findVotes(round.roundNumber)).filter(
+      (vote) => bets.includes(voteBet(vote)) && !vote.disqualified
+    );
+
+    for (let i = 0; i < winningVotes.length; i += SNAPSHOT_BATCH_SIZE) {
+      const batch = winningVotes.slice(i, i + SNAPSHOT_BATCH_SIZE);
+
+      await Promise.all(
+        batch.map(async (vote) => {
+          let balance;
+          try {
+            balance = await balances.getTokenBalance(vote.walletAddress, tokenMint);
+          } catch (error) {
+            logger.error(`❌ Snapshot failed for ${vote.walletAddress}:`, error);
+            return;
+          }
+
+          if (balance >= minTokenBalance) return;
+
+          const reason = `Balance ${balance} below minimum ${minTokenBalance} at round close`;
+          vote.disqualified = true;
+          vote.disqualificationReason = reason;
+          await store.saveVote(vote);
+
+          round.disqualifications.push({
+            walletAddress: vote.walletAddress,
+            balance,
+            reason,
+            checkedAt: now(),
+          });
+          logger.log(`🚫 Disqualified ${vote.walletAddress}: ${reason}`);
+        })
+      );
+    }
+
+    round.balanceSnapshotAt = now();
+    await saveSpinningRound(round, ["disqualifications", "balanceSnapshotAt"]);
+  }
+
+  async function selectWinner() {
+    const currentRound = await getCurrentRound({ withSeed: true });
+
+    if (!currentRound || currentRound.status !== "spinning") return;
+
+    // Voting closed but the wheel hasn't been spun yet (votes still being
+    // written, or stopped in between)
+    if (!currentRound.winningColor) {
+      await spinWheel(currentRound);
+      return;
+    }
+
+    // Stopped before the balance snapshot finished
+    await snapshotWinningBalances(currentRound);
+
+    // Draw each category's winners among its eligible bettors from the same
+    // seeds (a round spun before the wheel keeps its single color draw). Rounds
+    // opened before payout structures have none: one winner per category.
+    const payoutStructure = currentRound.settings && currentRound.settings.payoutStructure;
+    const votes = await store.findVotes(currentRound.roundNumber);
+    const drawInput = {
+      serverSeed: currentRound.serverSeed,
+      clientSeed: currentRound.clientSeed,
+      roundNumber: currentRound.roundNumber,
+      votes,
+    };
+    let winners;
+    if (currentRound.winningNumber == null) {
+      const { winner } = computeColorOutcome(drawInput);
+      winners = winner
+        ? [{ category: "color", bet: currentRound.winningColor, walletAddress: winner, rank: 1 }]
+        : [];
+    } else {
+      winners = computeOutcome({
+        ...drawInput,
+        winnersPerCategory: winnersPerCategory(payoutStructure),
+      }).winners;
+    }
+
+    currentRound.winners = assignPrizes(currentRound.prizeAmount, winners, payoutStructure);
+    currentRound.winner = winners.length > 0 ? winners[0].walletAddress : null;
+    currentRound.status = "completed";
+    currentRound.endTime = now();
+    currentRound.phaseEndsAt = undefined;
+    // A round cancelled during the spin gets no winners or payouts
+    const completed = await store.updateRound(
+      currentRound.roundNumber,
+      {
+        $set: {
+          winners: currentRound.winners,
+          winner: currentRound.winner,
+          status: "completed",
+          endTime: currentRound.endTime,
+        },
+        $unset: { phaseEndsAt: "" },
+      },
+      { status: "spinning" }
+    );
+    if (!completed) {
+      logger.log(`🚫 Round ${currentRound.roundNumber} is no longer spinning, no winners drawn`);
+      return;
+    }
+
+    logger.log(`🎰 ROUND ${currentRound.roundNumber} RESULTS:`);
+    logger.log(`🎯 Winning Number: ${currentRound.winningNumber ?? "-"} ${currentRound.winningColor.toUpperCase()}`);
+    for (const winner of currentRound.winners) {
+      logger.log(
+        `🏆 ${winner.category} (${winner.bet}) #${winner.rank}: ${winner.walletAddress} - ${winner.amount}`
+      );
+    }
+    if (winners.length === 0) logger.log("🏆 Winner: No Winner");
+    logger.log(`📊 Total Votes: ${currentRound.participants.length}`);
+
+    await finishRound(currentRound);
+  }
+
+  // Queue each winner's share of the prize for payment (safe to repeat).
+  // A share of 0 (no prize was set) is owed nothing and gets no payout.
+  async function createPayoutForRound(round) {
+    const owed = (round.winners || []).filter((winner) => winner.amount > 0);
+    if (owed.length === 0) return;
+
+    for (const winner of owed) {
+      await store.ensurePayout({
+        roundNumber: round.roundNumber,
+        walletAddress: winner.walletAddress,
+        amount: winner.amount,
+      });
+    }
+
+    if (!round.payoutStatus) {
+      round.payoutStatus = "pending";
+      await store.saveRound(round);
+    }
+  }
+
+  // Set the current round's prize by hand. Only while voting: once voting
+  // closes the prize is locked (lockPrize) and the draw pays it out.
+  // Returns { round, previousPrize } or { error, status }.
+  async function setPrize(prizeAmount) {
+    if (!Number.isFinite(prizeAmount) || prizeAmount <= 0) {
+      return { error: "Invalid prize amount", status: 400 };
+    }
+
+    const current = await getCurrentRound();
+    if (!current) return { error: "Current round not found", status: 404 };
+
+    const { prizePool } = getRoundSettings(current);
+    if (prizePool && prizePool.mode === "treasury") {
+      return {
+        error: "This round's prize is set from the treasury when voting closes",
+        status: 409,
+      };
+    }
+
+    const round = await store.updateRound(
+      current.roundNumber,
+      { $set: { prizeAmount } },
+      { status: "voting" }
+    );
+    if (!round) {
+      return { error: "Voting has closed, this round's prize is locked", status: 409 };
+    }
+
+    return { round, previousPrize: current.prizeAmount };
+  }
+
+  // Record a winner's prize as paid by `txSignature` (safe to repeat).
+  // `verify(payout)` checks the transaction pays it and returns
+  // { ok, reason, received } (lib/payoutVerifier.js). Returns one of
+  //   { error, status }            bad request (400), nothing to pay (404) or
+  //                                a signature that already paid this wallet (409)
+  //   { rejected, payout, winner } the transaction doesn't pay the prize
+  //   { alreadyPaid, payout, winner, round }
+  //   { payout, winner, round }    newly paid
+  // One transaction may pay several winners. A payout of 0 needs none.
+  async function markPaid({ roundNumber, walletAddress, txSignature, paidBy, verify }) {
+    if (!Number.isInteger(roundNumber) || roundNumber < 1) {
+      return { error: "roundNumber must be a positive integer", status: 400 };
+    }
+    if (txSignature != null && typeof txSignature !== "string") {
+      return { error: "Transaction signature must be a string", status: 400 };
+    }
+    if (walletAddress != null && typeof walletAddress !== "string") {
+      return { error: "walletAddress must be a string", status: 400 };
+    }
+
+    const round = await store.findRound(roundNumber);
+    if (!round || !round.winners || round.winners.length === 0) {
+      return { error: "Round or winner not found", status: 404 };
+    }
+
+    // Each winner is paid separately; name the wallet when there are several
+    if (!walletAddress && round.winners.length > 1) {
+      return {
+        error: "This round has several winners, give the walletAddress that was paid",
+        status: 400,
+      };
+    }
+    const winner = walletAddress
+      ? round.winners.find((entry) => entry.walletAddress === walletAddress)
+      : round.winners[0];
+    if (!winner) {
+      return { error: "Wallet did not win this round", status: 404 };
+    }
+
+    // Rounds completed before the ledger existed have no payout yet
+    await createPayoutForRound(round);
+
+    const pending = await store.findPayout(roundNumber, winner.walletAddress);
+    if (!pending) {
+      return { error: "Nothing is owed to this wallet for this round", status: 400 };
+    }
+    if (pending.status === "paid") {
+      return { alreadyPaid: true, payout: pending, winner, round };
+    }
+
+    // Payouts of 0 left from before zero shares were skipped: there is
+    // nothing to send, so they close without a transaction
+    const settlement = { lastCheckedAt: now(), paidAt: now(), paidBy };
+    if (pending.amount > 0) {
+      if (!txSignature) {
+        return { error: "Transaction signature is required", status: 400 };
+      }
+
+      // The transaction must actually pay the winner before we record it
+      const check = await verify(pending);
+      if (!check.ok) {
+        const payout = await store.updatePayout(roundNumber, winner.walletAddress, {
+          $set: { failureReason: check.reason, lastCheckedAt: now() },
+        });
+        return { rejected: check.reason, payout, winner };
+      }
+      Object.assign(settlement, { txSignature, receivedAmount: check.received });
+    } else {
+      settlement.receivedAmount = 0;
+    }
+
+    // Only one request can move the payout to "paid"
+    let payout;
+    try {
+      payout = await store.settlePayout(roundNumber, winner.walletAddress, settlement);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return { error: "Transaction signature already recorded for this wallet", status: 409 };
+    }
+    if (!payout) {
+      const existing = await store.findPayout(roundNumber, winner.walletAddress);
+      return { alreadyPaid: true, payout: existing, winner, round };
+    }
+
+    // The round counts as paid once every winner is
+    if ((await store.countUnpaidPayouts(roundNumber)) === 0) {
+      round.payoutStatus = "paid";
+      await store.updateRound(roundNumber, { $set: { payoutStatus: "paid" } });
+    }
+
+    await recordPrizePaid(payout.amount);
+    return { payout, winner, round };
+  }
+
+  // Unwon treasury prizes carry over to the next round when rollover is on
+  function nextPrizeRollover(round) {
+    const { prizePool } = getRoundSettings(round);
+    if (!round.prizeSource || round.prizeSource.mode !== "treasury") {
+      return gameState.prizeRollover || 0;
+    }
+    if (round.winners.length > 0 || !prizePool.rollover) return 0;
+    return round.prizeAmount;
+  }
+
+  // Move the game state past a completed round and start the intermission
+  // Move the game state past a completed round. Conditional on the game
+  // state still pointing at the round, so when two instances finish the same
+  // round only one counts it and sets the rollover.
+  async function finishRound(round) {
+    await createPayoutForRound(round);
+
+    const finished = await store.updateGameState(
+      {
+        $set: {
+          lastWinner: round.winner,
+          prizeRollover: nextPrizeRollover(round),
+          currentRound: round.roundNumber + 1,
+          nextRoundStartTime: new Date(
+            clock.now() + getRoundSettings(round).intermissionDuration
+          ),
+          lastUpdated: now(),
+        },
+        $inc: { totalRoundsPlayed: 1 },
+      },
+      { currentRound: round.roundNumber }
+    );
+    if (!finished) {
+      gameState = await store.loadGameState();
+      return;
+    }
+
+    gameState = finished;
+    onEvent("round:result", { round, gameState });
+  }
+
+  async function startNextRound() {
+    const round = await ensureCurrentRound();
+    logger.log(`🆕 Round ${gameState.currentRound} started!`);
+    logger.log(`⏰ Voting started: ${getTimeLeft(round)} seconds`);
+    onEvent("round:started", { round });
+  }
+
+  return {
+    get gameState() {
+      return gameState;
+    },
+    get settings() {
+      return activeSettings;
+    },
+    initialize,
+    start,
+    stop,
+    refreshState,
+    syncState,
+    recordPrizePaid,
+    loadSettings,
+    updateSettings,
+    listSettings,
+    getRoundSettings,
+    getCurrentRound,
+    getTimeLeft,
+    castVote,
+    ensureCurrentRound,
+    advanceGame,
+    runScheduler,
+    pause,
+    resume,
+    cancelRound,
+    endVotingPhase,
+    selectWinner,
+    finishRound,
+    startNextRound,
+    createPayoutForRound,
+    setPrize,
+    markPaid,
+  };
+}
+
+module.exports = {
+  createGameEngine,
+};
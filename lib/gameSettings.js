@@ -0,0 +1,203 @@
+// lib/gameSettings.js - Game rules operators can change without a redeploy
+//
+// Settings are stored as numbered versions (GameSettings); the highest version
+// is active. The engine copies the active settings onto each round when it
+// opens, so a change applies from the next round and every round keeps the
+// rules it ran under. Version 1 is seeded from the environment (CONFIG).
+const { PublicKey } = require("@solana/web3.js");
+const { ENTRY_MODES } = require("./entryModes");
+const { PRIZE_MODES, buildPrizePool } = require("./prizePool");
+const { PAYOUT_MODES, buildPayoutStructure } = require("./payoutStructures");
+
+const SETTINGS_FIELDS = [
+  "tokenMint",
+  "minTokenBalance",
+  "roundDuration",
+  "spinDuration",
+  "intermissionDuration",
+  "entryMode",
+  "prizePool",
+  "payoutStructure",
+];
+
+// Allowed [min, max] for the numeric settings (durations in ms)
+const LIMITS = {
+  minTokenBalance: [0, Number.MAX_SAFE_INTEGER],
+  roundDuration: [5000, 86400000],
+  spinDuration: [0, 60000],
+  intermissionDuration: [0, 3600000],
+};
+
+function settingsFromConfig(config) {
+  return {
+    tokenMint: config.REQUIRED_TOKEN_MINT,
+    minTokenBalance: config.MIN_TOKEN_BALANCE,
+    roundDuration: config.ROUND_DURATION,
+    spinDuration: config.SPIN_DURATION,
+    intermissionDuration: config.INTERMISSION_DURATION,
+    entryMode: config.ENTRY_MODE,
+    prizePool: config.PRIZE_POOL || buildPrizePool({}),
+    payoutStructure: config.PAYOUT_STRUCTURE || buildPayoutStructure({}),
+  };
+}
+
+// Just the rule fields (no _id or version metadata) from a plain object
+function pickSettings(source) {
+  const settings = {};
+  for (const field of SETTINGS_FIELDS) {
+    settings[field] = structuredClone(source[field]);
+  }
+  return settings;
+}
+
+function checkEntryMode(entryMode) {
+  if (!entryMode || !ENTRY_MODES.includes(entryMode.mode)) {
+    return `entryMode.mode must be one of: ${ENTRY_MODES.join(", ")}`;
+  }
+  if (!Number.isInteger(entryMode.ticketUnit) || entryMode.ticketUnit < 1) {
+    return "entryMode.ticketUnit must be a positive integer";
+  }
+  if (
+    entryMode.maxTickets != null &&
+    (!Number.isInteger(entryMode.maxTickets) || entryMode.maxTickets < 1)
+  ) {
+    return "entryMode.maxTickets must be a positive integer or null";
+  }
+  if (!Array.isArray(entryMode.tiers)) {
+    return "entryMode.tiers must be a list of { minBalance, tickets }";
+  }
+  for (const tier of entryMode.tiers) {
+    if (
+      !Number.isInteger(tier.minBalance) ||
+      tier.minBalance < 0 ||
+      !Number.isInteger(tier.tickets) ||
+      tier.tickets < 1
+    ) {
+      return "entryMode.tiers must be a list of { minBalance, tickets }";
+    }
+  }
+  if (entryMode.mode === "tiered" && entryMode.tiers.length === 0) {
+    return "Tiered entry mode needs at least one tier";
+  }
+  return null;
+}
+
+function checkPrizePool(prizePool) {
+  const isAmount = (value) => Number.isFinite(value) && value >= 0;
+
+  if (!PRIZE_MODES.includes(prizePool.mode)) {
+    return `prizePool.mode must be one of: ${PRIZE_MODES.join(", ")}`;
+  }
+  if (!Number.isFinite(prizePool.percent) || prizePool.percent <= 0 || prizePool.percent > 100) {
+    return "prizePool.percent must be a number above 0 and at most 100";
+  }
+  if (!isAmount(prizePool.minPrize)) {
+    return "prizePool.minPrize must be a number of at least 0";
+  }
+  if (
+    prizePool.maxPrize != null &&
+    (!isAmount(prizePool.maxPrize) || prizePool.maxPrize < prizePool.minPrize)
+  ) {
+    return "prizePool.maxPrize must be null or at least minPrize";
+  }
+  if (typeof prizePool.rollover !== "boolean") {
+    return "prizePool.rollover must be true or false";
+  }
+  return null;
+}
+
+function checkPayoutStructure(payoutStructure) {
+  if (!PAYOUT_MODES.includes(payoutStructure.mode)) {
+    return `payoutStructure.mode must be one of: ${PAYOUT_MODES.join(", ")}`;
+  }
+  if (
+    !Number.isInteger(payoutStructure.winners) ||
+    payoutStructure.winners < 1 ||
+    payoutStructure.winners > 100
+  ) {
+    return "payoutStructure.winners must be an integer between 1 and 100";
+  }
+  const { tiers } = payoutStructure;
+  if (
+    !Array.isArray(tiers) ||
+    tiers.length === 0 ||
+    tiers.some((percent) => !Number.isFinite(percent) || percent <= 0)
+  ) {
+    return "payoutStructure.tiers must be a list of positive percentages";
+  }
+  const total = tiers.reduce((sum, percent) => sum + percent, 0);
+  if (Math.abs(total - 100) > 1e-9) {
+    return "payoutStructure.tiers must add up to 100";
+  }
+  return null;
+}
+
+// Apply a partial update on top of the current settings.
+// Returns { settings } or { error }.
+function validateSettingsUpdate(current, changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return { error: "Settings must be an object" };
+  }
+
+  const fields = Object.keys(changes);
+  const unknown = fields.filter((field) => !SETTINGS_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown settings: ${unknown.join(", ")}` };
+  }
+  if (fields.length === 0) {
+    return { error: "No settings to change" };
+  }
+
+  const settings = { ...pickSettings(current), ...structuredClone(changes) };
+
+  if (changes.entryMode) {
+    settings.entryMode = { ...pickSettings(current).entryMode, ...changes.entryMode };
+  }
+  // Versions saved before prize modes existed were manual
+  settings.prizePool = {
+    ...(current.prizePool || buildPrizePool({})),
+    ...changes.prizePool,
+  };
+  // ...and had one winner per bet category
+  settings.payoutStructure = {
+    ...(current.payoutStructure || buildPayoutStructure({})),
+    ...changes.payoutStructure,
+  };
+
+  try {
+    new PublicKey(settings.tokenMint);
+  } catch {
+    return { error: "tokenMint must be a valid Solana address" };
+  }
+
+  for (const [field, [min, max]] of Object.entries(LIMITS)) {
+    const value = settings[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be an integer between ${min} and ${max}` };
+    }
+  }
+
+  const entryModeError = checkEntryMode(settings.entryMode);
+  if (entryModeError) return { error: entryModeError };
+
+  settings.prizePool.maxPrize = settings.prizePool.maxPrize ?? null;
+  const prizePoolError = checkPrizePool(settings.prizePool);
+  if (prizePoolError) return { error: prizePoolError };
+
+  const payoutStructureError = checkPayoutStructure(settings.payoutStructure);
+  if (payoutStructureError) return { error: payoutStructureError };
+
+  settings.entryMode.maxTickets = settings.entryMode.maxTickets ?? null;
+  settings.entryMode.tiers = [...settings.entryMode.tiers].sort(
+    (a, b) => a.minBalance - b.minBalance
+  );
+
+  return { settings };
+}
+
+module.exports = {
+  SETTINGS_FIELDS,
+  settingsFromConfig,
+  pickSettings,
+  validateSettingsUpdate,
+};
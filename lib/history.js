@@ -0,0 +1,83 @@
+// lib/history.js - Query for the paginated round history
+//
+// Rounds of one table are listed newest first; the cursor is the last round
+// number of the previous page (?before=). Filters:
+//   winningColor  red | black | green
+//   winningNumber 0-36
+//   hasWinner     true | false
+//   winner        wallet address among the round's winners
+//   from, to      ISO dates bounding the round's end time
+//   unpaid        true: won rounds with a prize that hasn't been paid yet
+
+const { DEFAULT_TABLE_ID } = require("./tables");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date`);
+  return date;
+}
+
+// Returns { query, limit } for Round.find, or { error } for bad parameters
+function buildHistoryQuery(params = {}, tableId = DEFAULT_TABLE_ID) {
+  const query = { tableId, status: "completed" };
+  const limit = Math.min(parseInt(params.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  try {
+    if (params.before !== undefined) {
+      const before = parseInt(params.before);
+      if (Number.isNaN(before)) throw new Error("Invalid before cursor");
+      query.roundNumber = { $lt: before };
+    }
+
+    if (params.winningColor !== undefined) {
+      if (!["red", "black", "green"].includes(params.winningColor)) {
+        throw new Error("winningColor must be 'red', 'black' or 'green'");
+      }
+      query.winningColor = params.winningColor;
+    }
+
+    if (params.winningNumber !== undefined) {
+      const number = Number(params.winningNumber);
+      if (!Number.isInteger(number) || number < 0 || number > 36) {
+        throw new Error("winningNumber must be between 0 and 36");
+      }
+      query.winningNumber = number;
+    }
+
+    if (params.hasWinner === "true") {
+      query["winners.0"] = { $exists: true };
+    } else if (params.hasWinner === "false") {
+      query["winners.0"] = { $exists: false };
+    }
+
+    if (params.winner !== undefined) {
+      if (typeof params.winner !== "string" || params.winner === "") {
+        throw new Error("winner must be a wallet address");
+      }
+      query["winners.walletAddress"] = params.winner;
+    }
+
+    if (params.from !== undefined || params.to !== undefined) {
+      query.endTime = {};
+      if (params.from !== undefined) query.endTime.$gte = parseDate(params.from, "from");
+      if (params.to !== undefined) query.endTime.$lte = parseDate(params.to, "to");
+    }
+
+    if (params.unpaid === "true") {
+      query["winners.0"] = { $exists: true };
+      query.prizeAmount = { $gt: 0 };
+      query.payoutStatus = { $ne: "paid" };
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { query, limit };
+}
+
+module.exports = {
+  buildHistoryQuery,
+};
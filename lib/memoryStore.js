@@ -0,0 +1,374 @@
+// lib/memoryStore.js - In-memory game engine storage for tests and offline runs
+//
+// Mirrors lib/mongoStore.js. Records are copied on every read and write, so
+// like a database, changes only stick once they are saved. Each store holds a
+// single table's game data.
+const { DEFAULT_TABLE_ID } = require("./tables");
+
+function copy(value) {
+  return value == null ? value : structuredClone(value);
+}
+
+// Supports the $set / $unset / $inc subset of MongoDB update operators the app uses
+function applyUpdate(target, update) {
+  for (const [path, value] of Object.entries(update.$set || {})) {
+    target[path] = copy(value);
+  }
+  for (const path of Object.keys(update.$unset || {})) {
+    delete target[path];
+  }
+  for (const [path, amount] of Object.entries(update.$inc || {})) {
+    target[path] = (target[path] || 0) + amount;
+  }
+  return target;
+}
+
+// Equality conditions only (dates compare by value)
+function matches(target, conditions) {
+  return Object.entries(conditions).every(([path, value]) =>
+    value instanceof Date
+      ? target[path] instanceof Date && target[path].getTime() === value.getTime()
+      : target[path] === value
+  );
+}
+
+function withoutSeed(round) {
+  const result = copy(round);
+  delete result.serverSeed;
+  return result;
+}
+
+function createMemoryStore({ tableId = DEFAULT_TABLE_ID } = {}) {
+  let gameState = null;
+  const rounds = new Map();
+  const votes = [];
+  const settingsVersions = [];
+  const payouts = new Map();
+  const leases = new Map();
+  const instances = new Map();
+  const webhooks = [];
+  const deliveries = [];
+
+  return {
+    tableId,
+
+    async loadGameState() {
+      return copy(gameState);
+    },
+
+    async createGameState(fields) {
+      gameState = {
+        tableId,
+        currentRound: 1,
+        totalPrizesGiven: 0,
+        lastPrizeAmount: 0,
+        prizeRollover: 0,
+        isActive: true,
+        totalRoundsPlayed: 0,
+        lastUpdated: new Date(),
+        ...copy(fields),
+      };
+      return copy(gameState);
+    },
+
+    async updateGameState(update, conditions = {}) {
+      if (!gameState || !matches(gameState, conditions)) return null;
+      applyUpdate(gameState, update);
+      return copy(gameState);
+    },
+
+    async loadSettings() {
+      return copy(settingsVersions[settingsVersions.length - 1]) || null;
+    },
+
+    async createSettings(fields) {
+      if (settingsVersions.some((stored) => stored.version === fields.version)) {
+        const error = new Error("E11000 duplicate key error");
+        error.code = 11000;
+        throw error;
+      }
+      const settings = { ...copy(fields), tableId, createdAt: new Date() };
+      settingsVersions.push(settings);
+      return copy(settings);
+    },
+
+    async listSettings(limit) {
+      return settingsVersions.slice(-limit).reverse().map(copy);
+    },
+
+    async findRound(roundNumber, { withSeed = false } = {}) {
+      const round = copy(rounds.get(roundNumber));
+      if (round && !withSeed) delete round.serverSeed;
+      return round || null;
+    },
+
+    async createRound(fields) {
+      if (rounds.has(fields.roundNumber)) {
+        throw new Error(`Round ${fields.roundNumber} already exists`);
+      }
+      const round = { disqualifications: [], ...copy(fields), tableId };
+      rounds.set(round.roundNumber, round);
+      return copy(round);
+    },
+
+    async saveRound(round) {
+      const stored = rounds.get(round.roundNumber) || {};
+      // Keep the seed when saving a copy that was read without it
+      rounds.set(round.roundNumber, { ...stored, ...copy(round) });
+      return copy(round);
+    },
+
+    async updateRound(roundNumber, update, conditions = {}) {
+      const round = rounds.get(roundNumber);
+      if (!round || !matches(round, conditions)) return null;
+      applyUpdate(round, update);
+      return withoutSeed(round);
+    },
+
+    async cancelRound(roundNumber, fields) {
+      const round = rounds.get(roundNumber);
+      if (!round || !["voting", "spinning"].includes(round.status)) return null;
+      applyUpdate(round, {
+        $set: { status: "cancelled", ...fields },
+        $unset: {
+          phaseEndsAt: "",
+          pausedAt: "",
+          winningNumber: "",
+          winningColor: "",
+          winningBets: "",
+        },
+      });
+      return withoutSeed(round);
+    },
+
+    async closeVoting(roundNumber) {
+      const round = rounds.get(roundNumber);
+      if (!round || round.status !== "voting") return null;
+      round.status = "spinning";
+      return copy(round);
+    },
+
+    async tallyVote(roundNumber, { walletAddress, bet, tickets }, now) {
+      const round = rounds.get(roundNumber);
+      if (
+        !round ||
+        round.status !== "voting" ||
+        !(round.votingEndsAt > now) ||
+        round.pausedAt ||
+        round.participants.includes(walletAddress)
+      ) {
+        return null;
+      }
+
+      round.votes[bet] = (round.votes[bet] || 0) + 1;
+      round.tickets[bet] = (round.tickets[bet] || 0) + tickets;
+      round.participants.push(walletAddress);
+      return copy(round);
+    },
+
+    async untallyVote(roundNumber, { walletAddress, bet, tickets }) {
+      const round = rounds.get(roundNumber);
+      if (!round || round.status !== "voting") return;
+      if (!round.participants.includes(walletAddress)) return;
+
+      round.votes[bet] -= 1;
+      round.tickets[bet] -= tickets;
+      round.participants = round.participants.filter(
+        (participant) => participant !== walletAddress
+      );
+    },
+
+    async findVotes(roundNumber) {
+      return votes
+        .filter((vote) => vote.roundId === roundNumber.toString())
+        .map(copy);
+    },
+
+    async voidVotes(roundNumber) {
+      const roundVotes = votes.filter(
+        (vote) => vote.roundId === roundNumber.toString() && !vote.voided
+      );
+      for (const vote of roundVotes) vote.voided = true;
+      return roundVotes.length;
+    },
+
+    async saveVote(vote) {
+      const index = votes.findIndex((stored) => stored.id === vote.id);
+      votes[index] = copy(vote);
+      return copy(vote);
+    },
+
+    async insertVote(fields) {
+      const duplicate = votes.some(
+        (vote) =>
+          vote.walletAddress === fields.walletAddress &&
+          vote.roundId === fields.roundId
+      );
+      if (duplicate) {
+        const error = new Error("E11000 duplicate key error");
+        error.code = 11000;
+        throw error;
+      }
+
+      const vote = {
+        id: votes.length + 1,
+        tickets: 1,
+        disqualified: false,
+        timestamp: new Date(),
+        ...copy(fields),
+        tableId,
+      };
+      votes.push(vote);
+      return copy(vote);
+    },
+
+    async ensurePayout({ roundNumber, walletAddress, amount }) {
+      const key = `${roundNumber}:${walletAddress}`;
+      if (!payouts.has(key)) {
+        payouts.set(key, { tableId, roundNumber, walletAddress, amount, status: "pending" });
+      }
+    },
+
+    async findPayout(roundNumber, walletAddress) {
+      return copy(payouts.get(`${roundNumber}:${walletAddress}`)) || null;
+    },
+
+    async updatePayout(roundNumber, walletAddress, update) {
+      const payout = payouts.get(`${roundNumber}:${walletAddress}`);
+      if (!payout) return null;
+      return copy(applyUpdate(payout, update));
+    },
+
+    async settlePayout(roundNumber, walletAddress, fields) {
+      const payout = payouts.get(`${roundNumber}:${walletAddress}`);
+      if (!payout || payout.status === "paid") return null;
+
+      // Unique { txSignature, walletAddress } like the Payout index, which
+      // leaves out payouts without a signature
+      const reused = [...payouts.values()].some(
+        (other) =>
+          other !== payout &&
+          typeof fields.txSignature === "string" &&
+          other.txSignature === fields.txSignature &&
+          other.walletAddress === walletAddress
+      );
+      if (reused) {
+        throw Object.assign(new Error("Duplicate transaction signature"), { code: 11000 });
+      }
+
+      applyUpdate(payout, { $set: { ...fields, status: "paid" }, $unset: { failureReason: "" } });
+      return copy(payout);
+    },
+
+    async countUnpaidPayouts(roundNumber) {
+      return [...payouts.values()].filter(
+        (payout) => payout.roundNumber === roundNumber && payout.status !== "paid"
+      ).length;
+    },
+
+    async sumOwedPrizes() {
+      return [...payouts.values()]
+        .filter((payout) => payout.status !== "paid")
+        .reduce((total, payout) => total + payout.amount, 0);
+    },
+
+    async acquireLease(name, holder, ttlMs, now) {
+      const lease = leases.get(name);
+      if (lease && lease.holder !== holder && lease.expiresAt > now) return false;
+
+      leases.set(name, { holder, expiresAt: new Date(now.getTime() + ttlMs) });
+      return true;
+    },
+
+    async releaseLease(name, holder) {
+      if (leases.get(name)?.holder === holder) leases.delete(name);
+    },
+
+    async saveInstance({ id, ...fields }) {
+      instances.set(id, { _id: id, ...instances.get(id), ...copy(fields) });
+    },
+
+    async removeInstance(id) {
+      instances.delete(id);
+    },
+
+    async listInstances(seenSince) {
+      return [...instances.values()]
+        .filter((instance) => instance.lastSeen >= seenSince)
+        .map(copy);
+    },
+
+    async listWebhooks({ event, tableId: eventTableId }) {
+      return webhooks
+        .filter(
+          (webhook) =>
+            webhook.active &&
+            webhook.events.includes(event) &&
+            (webhook.tableId == null || webhook.tableId === eventTableId)
+        )
+        .map(copy);
+    },
+
+    async findWebhook(id) {
+      return copy(webhooks.find((webhook) => webhook._id === id));
+    },
+
+    async createWebhookDelivery(fields) {
+      const delivery = { _id: String(deliveries.length + 1), ...copy(fields) };
+      deliveries.push(delivery);
+      return copy(delivery);
+    },
+
+    async claimWebhookDelivery(now, lockMs) {
+      const [delivery] = deliveries
+        .filter((entry) => entry.status === "pending" && entry.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      if (!delivery) return null;
+
+      delivery.nextAttemptAt = new Date(now.getTime() + lockMs);
+      return copy(delivery);
+    },
+
+    async updateWebhookDelivery(id, update) {
+      applyUpdate(deliveries.find((delivery) => delivery._id === id), update);
+    },
+
+    // Test helpers (votes are cast through the API, not the engine)
+    addVote(fields) {
+      const vote = {
+        id: votes.length + 1,
+        tickets: 1,
+        disqualified: false,
+        timestamp: new Date(),
+        ...copy(fields),
+        roundId: String(fields.roundId ?? fields.roundNumber),
+      };
+      delete vote.roundNumber;
+      votes.push(vote);
+      return copy(vote);
+    },
+
+    listPayouts() {
+      return [...payouts.values()].map(copy);
+    },
+
+    addWebhook(fields) {
+      const webhook = {
+        _id: `webhook-${webhooks.length + 1}`,
+        tableId: null,
+        active: true,
+        ...copy(fields),
+      };
+      webhooks.push(webhook);
+      return copy(webhook);
+    },
+
+    listWebhookDeliveries() {
+      return deliveries.map(copy);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,323 @@
+// lib/models.js - MongoDB schemas and models
+const mongoose = require("mongoose");
+const { ENTRY_MODES } = require("./entryModes");
+const { PRIZE_MODES } = require("./prizePool");
+const { PAYOUT_MODES } = require("./payoutStructures");
+const { DEFAULT_TABLE_ID } = require("./tables");
+const { BETS, BET_CATEGORIES } = require("./fairness");
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require("./webhooks");
+
+// Game table a record belongs to, see lib/tables.js
+function tableIdDefinition() {
+  return { type: String, default: DEFAULT_TABLE_ID };
+}
+
+// MongoDB Schemas
+const participantSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true, unique: true },
+  tokenBalance: { type: Number, required: true },
+  isVerified: { type: Boolean, default: false },
+  lastVerified: { type: Date, default: Date.now },
+});
+
+const voteSchema = new mongoose.Schema({
+  tableId: tableIdDefinition(),
+  walletAddress: { type: String, required: true },
+  roundId: { type: String, required: true },
+  bet: { type: String, enum: BETS, required: true }, // see lib/fairness.js
+  category: { type: String, enum: Object.keys(BET_CATEGORIES), required: true },
+  tickets: { type: Number, default: 1 }, // chances in the winner draw
+  timestamp: { type: Date, default: Date.now },
+  disqualified: { type: Boolean, default: false },
+  disqualificationReason: { type: String },
+  voided: { type: Boolean, default: false }, // the round was cancelled
+});
+// One bet per wallet per round, even under concurrent requests
+voteSchema.index({ walletAddress: 1, tableId: 1, roundId: 1 }, { unique: true });
+voteSchema.index({ tableId: 1, roundId: 1 }); // a round's votes
+// A player's vote history, newest first
+voteSchema.index({ walletAddress: 1, timestamp: -1 });
+voteSchema.index({ timestamp: 1 }); // stats rollups
+
+// Fresh definitions per schema (Mongoose keeps references to them)
+
+// A count per bet (votes or tickets on it)
+function betTallyDefinition() {
+  return Object.fromEntries(BETS.map((bet) => [bet, { type: Number, default: 0 }]));
+}
+
+function entryModeDefinition() {
+  return {
+    mode: { type: String, enum: ENTRY_MODES, default: "single" },
+    ticketUnit: { type: Number },
+    maxTickets: { type: Number },
+    tiers: [{ _id: false, minBalance: Number, tickets: Number }],
+  };
+}
+
+// Game rules, see lib/gameSettings.js
+function settingsDefinition() {
+  return {
+    tokenMint: { type: String },
+    minTokenBalance: { type: Number },
+    roundDuration: { type: Number },
+    spinDuration: { type: Number },
+    intermissionDuration: { type: Number },
+    entryMode: entryModeDefinition(),
+    prizePool: {
+      mode: { type: String, enum: PRIZE_MODES },
+      percent: { type: Number },
+      minPrize: { type: Number },
+      maxPrize: { type: Number },
+      rollover: { type: Boolean },
+    },
+    payoutStructure: {
+      mode: { type: String, enum: PAYOUT_MODES },
+      winners: { type: Number },
+      tiers: [{ type: Number }],
+    },
+  };
+}
+
+const roundSchema = new mongoose.Schema({
+  tableId: tableIdDefinition(),
+  roundNumber: { type: Number, required: true }, // counts up per table
+  status: {
+    type: String,
+    enum: ["voting", "spinning", "completed", "cancelled"],
+    default: "voting",
+  },
+  startTime: { type: Date, default: Date.now },
+  endTime: { type: Date },
+  votingEndsAt: { type: Date },
+  phaseEndsAt: { type: Date }, // deadline of the current status (voting/spinning)
+  pausedAt: { type: Date }, // set while the game is paused (no votes accepted)
+  votes: betTallyDefinition(),
+  tickets: betTallyDefinition(),
+  participants: [{ type: String }], // wallet addresses
+  entryMode: entryModeDefinition(),
+  // Settings the round runs under, copied from the active GameSettings version
+  settings: { version: { type: Number }, ...settingsDefinition() },
+  winningNumber: { type: Number, min: 0, max: 36 }, // not set before the wheel
+  winningColor: { type: String, enum: BET_CATEGORIES.color },
+  winningBets: [{ type: String }], // e.g. ["red", "odd", "low", "dozen1"]
+  // Drawn per bet category someone won, sharing the prize by the round's
+  // payout structure (lib/payoutStructures.js)
+  winners: [
+    {
+      _id: false,
+      walletAddress: String,
+      category: String,
+      bet: String,
+      rank: Number, // draw order within the category (tier for tiered payouts)
+      amount: Number,
+    },
+  ],
+  winner: { type: String }, // first of `winners` (the only one before the wheel)
+  prizeAmount: { type: Number, default: 0 }, // Set by admin, or from the treasury
+  // How the prize was fixed when voting closed, see lib/prizePool.js
+  prizeSource: {
+    mode: { type: String, enum: PRIZE_MODES },
+    wallet: { type: String }, // treasury
+    mint: { type: String }, // null for SOL
+    balance: { type: Number }, // treasury balance read
+    owed: { type: Number }, // unpaid prizes deducted from it
+    rollover: { type: Number }, // unwon prize carried in
+    percent: { type: Number },
+    error: { type: String }, // treasury read failed, prize left as set
+    lockedAt: { type: Date },
+  },
+  payoutStatus: { type: String, enum: ["pending", "paid", "failed"] },
+  // Winning-bet voters removed from the draw by the balance snapshot
+  balanceSnapshotAt: { type: Date },
+  disqualifications: [
+    {
+      _id: false,
+      walletAddress: String,
+      balance: Number,
+      reason: String,
+      checkedAt: Date,
+    },
+  ],
+  // Commit-reveal fairness: hash is public from the start, seed only once completed
+  serverSeedHash: { type: String },
+  serverSeed: { type: String, select: false },
+  clientSeed: { type: String },
+  // Called off by an operator
+  cancelledBy: { type: String },
+  cancelReason: { type: String },
+});
+roundSchema.index({ tableId: 1, roundNumber: 1 }, { unique: true });
+roundSchema.index({ winner: 1 }, { sparse: true });
+roundSchema.index({ "winners.walletAddress": 1 });
+roundSchema.index({ tableId: 1, status: 1, endTime: 1 }); // stats over a date range
+
+// Every change to a table's game settings is a new version; the highest is active
+const gameSettingsSchema = new mongoose.Schema(
+  {
+    tableId: tableIdDefinition(),
+    version: { type: Number, required: true },
+    ...settingsDefinition(),
+    updatedBy: { type: String }, // admin actor, or "config" for the env defaults
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+gameSettingsSchema.index({ tableId: 1, version: 1 }, { unique: true });
+
+// One per table
+const gameStateSchema = new mongoose.Schema({
+  tableId: { ...tableIdDefinition(), unique: true },
+  currentRound: { type: Number, default: 1 },
+  totalPrizesGiven: { type: Number, default: 0 },
+  lastWinner: { type: String },
+  lastPrizeAmount: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true }, // false while paused by an operator
+  pausedAt: { type: Date },
+  pausedBy: { type: String },
+  nextRoundStartTime: { type: Date },
+  prizeRollover: { type: Number, default: 0 }, // unwon treasury prize for the next round
+  totalRoundsPlayed: { type: Number, default: 0 },
+  lastUpdated: { type: Date, default: Date.now },
+});
+
+// Pending sign-in challenges (one-time use, removed by TTL index when stale)
+const authChallengeSchema = new mongoose.Schema({
+  walletAddress: { type: String, required: true },
+  nonce: { type: String, required: true, unique: true },
+  issuedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+// Short-lived session issued after a wallet proves ownership
+const sessionSchema = new mongoose.Schema({
+  token: { type: String, required: true, unique: true },
+  walletAddress: { type: String, required: true },
+  role: { type: String, enum: ["operator", "viewer"] }, // admin sessions only
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+});
+
+// Every change made through the admin API
+const adminAuditLogSchema = new mongoose.Schema({
+  actor: { type: String, required: true }, // key name or wallet address
+  role: { type: String, required: true },
+  authMethod: { type: String, enum: ["apiKey", "wallet"], required: true },
+  action: { type: String, required: true, index: true },
+  tableId: { type: String }, // table the change applied to, if any
+  target: { type: String },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  timestamp: { type: Date, default: Date.now, index: true },
+});
+
+// One prize payment owed to a round winner
+const payoutSchema = new mongoose.Schema(
+  {
+    tableId: tableIdDefinition(),
+    roundNumber: { type: Number, required: true },
+    walletAddress: { type: String, required: true },
+    amount: { type: Number, required: true },
+    txSignature: { type: String },
+    status: {
+      type: String,
+      enum: ["pending", "paid", "failed"],
+      default: "pending",
+      index: true,
+    },
+    failureReason: { type: String },
+    lastCheckedAt: { type: Date },
+    receivedAmount: { type: Number }, // as seen on-chain
+    paidAt: { type: Date },
+    paidBy: { type: String },
+  },
+  { timestamps: true }
+);
+payoutSchema.index({ tableId: 1, roundNumber: 1, walletAddress: 1 }, { unique: true });
+// A transaction can pay several winners, but each wallet only once (partial:
+// pending payouts have no signature yet)
+payoutSchema.index(
+  { txSignature: 1, walletAddress: 1 },
+  { unique: true, partialFilterExpression: { txSignature: { $type: "string" } } }
+);
+payoutSchema.index({ walletAddress: 1, roundNumber: -1 });
+
+// Cluster leadership: whoever holds the lease drives the round scheduler
+const leaseSchema = new mongoose.Schema({
+  _id: { type: String }, // lease name
+  holder: { type: String, required: true }, // instance id
+  expiresAt: { type: Date, required: true },
+});
+
+// One document per running server instance, refreshed by heartbeat
+const instanceSchema = new mongoose.Schema({
+  _id: { type: String }, // instance id
+  connectedClients: { type: Number, default: 0 },
+  isLeader: { type: Boolean, default: false },
+  startedAt: { type: Date },
+  lastSeen: { type: Date, required: true, index: { expires: 60 } },
+});
+
+// Endpoint notified of round events, see lib/webhooks.js
+const webhookSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    events: [{ type: String, enum: WEBHOOK_EVENTS }],
+    tableId: { type: String, default: null }, // null: every table
+    secret: { type: String, required: true, select: false }, // signs payloads
+    description: { type: String },
+    active: { type: Boolean, default: true },
+    createdBy: { type: String },
+  },
+  { timestamps: true }
+);
+webhookSchema.index({ events: 1, active: 1 });
+
+// One event sent (or being retried) to one webhook; kept for 30 days
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  event: { type: String, required: true },
+  tableId: { type: String },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  status: { type: String, enum: DELIVERY_STATUSES, default: "pending" },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date }, // while pending
+  lastAttemptAt: { type: Date },
+  lastStatusCode: { type: Number },
+  lastError: { type: String },
+  deliveredAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, index: { expires: 30 * 86400 } },
+});
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+// Models
+const Participant = mongoose.model("Participant", participantSchema);
+const Vote = mongoose.model("Vote", voteSchema);
+const Round = mongoose.model("Round", roundSchema);
+const GameState = mongoose.model("GameState", gameStateSchema);
+const GameSettings = mongoose.model("GameSettings", gameSettingsSchema);
+const AuthChallenge = mongoose.model("AuthChallenge", authChallengeSchema);
+const Session = mongoose.model("Session", sessionSchema);
+const AdminAuditLog = mongoose.model("AdminAuditLog", adminAuditLogSchema);
+const Payout = mongoose.model("Payout", payoutSchema);
+const Lease = mongoose.model("Lease", leaseSchema);
+const Instance = mongoose.model("Instance", instanceSchema);
+const Webhook = mongoose.model("Webhook", webhookSchema);
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+module.exports = {
+  Participant,
+  Vote,
+  Round,
+  GameState,
+  GameSettings,
+  AuthChallenge,
+  Session,
+  AdminAuditLog,
+  Payout,
+  Lease,
+  Instance,
+  Webhook,
+  WebhookDelivery,
+};
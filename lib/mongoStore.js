@@ -0,0 +1,323 @@
+// lib/mongoStore.js - Game engine and cluster storage backed by the Mongoose models
+//
+// Game data is scoped to one table (lib/tables.js); leases, instances and
+// webhooks are shared by the whole cluster.
+const {
+  Vote,
+  Round,
+  GameState,
+  GameSettings,
+  Payout,
+  Lease,
+  Instance,
+  Webhook,
+  WebhookDelivery,
+} = require("./models");
+const { DEFAULT_TABLE_ID } = require("./tables");
+
+function createMongoStore({ tableId = DEFAULT_TABLE_ID } = {}) {
+  return {
+    tableId,
+
+    async loadGameState() {
+      return GameState.findOne({ tableId });
+    },
+
+    async createGameState(fields) {
+      return new GameState({ ...fields, tableId }).save();
+    },
+
+    // Atomic update ($set/$inc) so several instances never overwrite each other;
+    // null when the state doesn't match the conditions
+    async updateGameState(update, conditions = {}) {
+      return GameState.findOneAndUpdate({ ...conditions, tableId }, update, {
+        new: true,
+      });
+    },
+
+    // Active (highest version) game settings as a plain object
+    async loadSettings() {
+      return GameSettings.findOne({ tableId }).sort({ version: -1 }).lean();
+    },
+
+    // Throws a duplicate key error (code 11000) if the version already exists
+    async createSettings(fields) {
+      const settings = await new GameSettings({ ...fields, tableId }).save();
+      return settings.toObject();
+    },
+
+    async listSettings(limit) {
+      return GameSettings.find({ tableId }).sort({ version: -1 }).limit(limit).lean();
+    },
+
+    // withSeed: include the secret server seed (select: false by default)
+    async findRound(roundNumber, { withSeed = false } = {}) {
+      const query = Round.findOne({ tableId, roundNumber });
+      return withSeed ? query.select("+serverSeed") : query;
+    },
+
+    async createRound(fields) {
+      return new Round({ ...fields, tableId }).save();
+    },
+
+    async saveRound(round) {
+      return round.save();
+    },
+
+    // Atomic update of a round matching the conditions (null otherwise)
+    async updateRound(roundNumber, update, conditions = {}) {
+      return Round.findOneAndUpdate({ ...conditions, tableId, roundNumber }, update, {
+        new: true,
+      });
+    },
+
+    // Atomically call off a round still in play (null once it has finished)
+    async cancelRound(roundNumber, fields) {
+      return Round.findOneAndUpdate(
+        { tableId, roundNumber, status: { $in: ["voting", "spinning"] } },
+        {
+          $set: { status: "cancelled", ...fields },
+          $unset: {
+            phaseEndsAt: "",
+            pausedAt: "",
+            winningNumber: "",
+            winningColor: "",
+            winningBets: "",
+          },
+        },
+        { new: true }
+      );
+    },
+
+    // Atomically move a round from voting to spinning (null if already closed)
+    async closeVoting(roundNumber) {
+      return Round.findOneAndUpdate(
+        { tableId, roundNumber, status: "voting" },
+        { $set: { status: "spinning" } },
+        { new: true }
+      ).select("+serverSeed");
+    },
+
+    // Count a vote on the round while voting is open and the wallet hasn't
+    // voted yet; null otherwise
+    async tallyVote(roundNumber, { walletAddress, bet, tickets }, now) {
+      return Round.findOneAndUpdate(
+        {
+          tableId,
+          roundNumber,
+          status: "voting",
+          votingEndsAt: { $gt: now },
+          pausedAt: null,
+          participants: { $ne: walletAddress },
+        },
+        {
+          $inc: { [`votes.${bet}`]: 1, [`tickets.${bet}`]: tickets },
+          $addToSet: { participants: walletAddress },
+        },
+        { new: true }
+      );
+    },
+
+    // Undo tallyVote when the vote document couldn't be written
+    async untallyVote(roundNumber, { walletAddress, bet, tickets }) {
+      await Round.updateOne(
+        { tableId, roundNumber, status: "voting", participants: walletAddress },
+        {
+          $inc: { [`votes.${bet}`]: -1, [`tickets.${bet}`]: -tickets },
+          $pull: { participants: walletAddress },
+        }
+      );
+    },
+
+    async findVotes(roundNumber) {
+      return Vote.find({ tableId, roundId: roundNumber.toString() });
+    },
+
+    // Void every vote of a cancelled round; returns how many changed
+    async voidVotes(roundNumber) {
+      const result = await Vote.updateMany(
+        { tableId, roundId: roundNumber.toString(), voided: { $ne: true } },
+        { $set: { voided: true } }
+      );
+      return result.modifiedCount;
+    },
+
+    async saveVote(vote) {
+      return vote.save();
+    },
+
+    // Throws a duplicate key error (code 11000) on a second vote
+    async insertVote(fields) {
+      return new Vote({ ...fields, tableId }).save();
+    },
+
+    // Total of prizes queued but not paid yet, on every table (they share
+    // the treasury)
+    async sumOwedPrizes() {
+      const [result] = await Payout.aggregate([
+        { $match: { status: { $ne: "paid" } } },
+        { $group: { _id: null, total: { $sum: "$amount" } } },
+      ]);
+      return result ? result.total : 0;
+    },
+
+    // Insert a pending payout unless one already exists
+    async ensurePayout({ roundNumber, walletAddress, amount }) {
+      await Payout.updateOne(
+        { tableId, roundNumber, walletAddress },
+        { $setOnInsert: { amount, status: "pending" } },
+        { upsert: true }
+      );
+    },
+
+    async findPayout(roundNumber, walletAddress) {
+      return Payout.findOne({ tableId, roundNumber, walletAddress }).lean();
+    },
+
+    async updatePayout(roundNumber, walletAddress, update) {
+      return Payout.findOneAndUpdate({ tableId, roundNumber, walletAddress }, update, {
+        new: true,
+      }).lean();
+    },
+
+    // Mark a payout paid unless it already is (null then). Throws a duplicate
+    // key error (11000) when the signature already paid this wallet elsewhere.
+    async settlePayout(roundNumber, walletAddress, fields) {
+      return Payout.findOneAndUpdate(
+        { tableId, roundNumber, walletAddress, status: { $ne: "paid" } },
+        { $set: { ...fields, status: "paid" }, $unset: { failureReason: "" } },
+        { new: true }
+      ).lean();
+    },
+
+    async countUnpaidPayouts(roundNumber) {
+      return Payout.countDocuments({ tableId, roundNumber, status: { $ne: "paid" } });
+    },
+
+    // Take or renew the lease; false while another live holder has it
+    async acquireLease(name, holder, ttlMs, now) {
+      try {
+        const lease = await Lease.findOneAndUpdate(
+          { _id: name, $or: [{ holder }, { expiresAt: { $lte: now } }] },
+          { $set: { holder, expiresAt: new Date(now.getTime() + ttlMs) } },
+          { upsert: true, new: true }
+        );
+        return lease.holder === holder;
+      } catch (error) {
+        // The upsert collides with a lease someone else still holds
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    },
+
+    async releaseLease(name, holder) {
+      await Lease.deleteOne({ _id: name, holder });
+    },
+
+    async saveInstance({ id, ...fields }) {
+      await Instance.updateOne({ _id: id }, { $set: fields }, { upsert: true });
+    },
+
+    async removeInstance(id) {
+      await Instance.deleteOne({ _id: id });
+    },
+
+    async listInstances(seenSince) {
+      return Instance.find({ lastSeen: { $gte: seenSince } }).lean();
+    },
+
+    // Active webhooks for an event on a table, with their secrets
+    async listWebhooks({ event, tableId: eventTableId }) {
+      return Webhook.find({
+        events: event,
+        active: true,
+        tableId: { $in: [null, eventTableId] },
+      })
+        .select("+secret")
+        .lean();
+    },
+
+    async findWebhook(id) {
+      return Webhook.findById(id).select("+secret").lean();
+    },
+
+    async createWebhookDelivery(fields) {
+      return (await WebhookDelivery.create(fields)).toObject();
+    },
+
+    // Take the next due delivery, pushing its next attempt out by `lockMs`
+    // so no other instance sends it meanwhile
+    async claimWebhookDelivery(now, lockMs) {
+      return WebhookDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + lockMs) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ).lean();
+    },
+
+    async updateWebhookDelivery(id, update) {
+      await WebhookDelivery.updateOne({ _id: id }, update);
+    },
+  };
+}
+
+// Records from before tables existed belong to the default table, and the
+// indexes that made round numbers, settings versions, votes and payouts unique
+// across everything give way to per-table ones. A transaction signature is
+// unique per wallet now (one transaction can pay several winners). Safe to run
+// on every start.
+async function migrateToTables() {
+  for (const model of [GameState, GameSettings, Round, Vote, Payout]) {
+    await model.updateMany(
+      { tableId: { $exists: false } },
+      { $set: { tableId: DEFAULT_TABLE_ID } }
+    );
+  }
+
+  const legacyIndexes = [
+    [Round, "roundNumber_1"],
+    [Round, "status_1_endTime_1"],
+    [GameSettings, "version_1"],
+    [Vote, "walletAddress_1_roundId_1"],
+    [Payout, "roundNumber_1_walletAddress_1"],
+    [Payout, "txSignature_1"],
+  ];
+  for (const [model, name] of legacyIndexes) {
+    try {
+      await model.collection.dropIndex(name);
+    } catch (error) {
+      // Already gone (27), or the collection doesn't exist yet (26)
+      if (error.code !== 27 && error.code !== 26) throw error;
+    }
+  }
+}
+
+// Votes from before bet categories were color bets, and the single winner of
+// a round from then took the whole prize. Safe to run on every start.
+async function migrateToBets() {
+  await Vote.updateMany(
+    { bet: { $exists: false }, color: { $exists: true } },
+    { $rename: { color: "bet" }, $set: { category: "color" } }
+  );
+  await Round.updateMany({ winner: { $ne: null }, "winners.0": { $exists: false } }, [
+    {
+      $set: {
+        winners: [
+          {
+            walletAddress: "$winner",
+            category: "color",
+            bet: "$winningColor",
+            rank: 1,
+            amount: "$prizeAmount",
+          },
+        ],
+      },
+    },
+  ]);
+}
+
+module.exports = {
+  createMongoStore,
+  migrateToTables,
+  migrateToBets,
+};
@@ -0,0 +1,84 @@
+// lib/payoutStructures.js - How many wallets win a round and how they share it
+//
+//   single - one winner per bet category (default)
+//   draws  - `winners` wallets per category, drawn without replacement, equal shares
+//   split  - every bettor on a winning bet, equal shares
+//   tiers  - ranked draws paid by `tiers` percentages, e.g. 50/30/20
+//
+// The prize is first divided equally between the bet categories that have a
+// winner; the structure then spreads each category's part between its winners.
+const { splitPrize, PRIZE_DECIMALS } = require("./prizePool");
+
+const PAYOUT_MODES = ["single", "draws", "split", "tiers"];
+
+// PAYOUT_TIERS="50,30,20"
+function parsePayoutTiers(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => Number(entry.trim()))
+    .filter((percent) => percent > 0);
+}
+
+function buildPayoutStructure(env) {
+  const tiers = parsePayoutTiers(env.PAYOUT_TIERS);
+
+  return {
+    mode: PAYOUT_MODES.includes(env.PAYOUT_MODE) ? env.PAYOUT_MODE : "single",
+    winners: parseInt(env.PAYOUT_WINNERS) || 3,
+    tiers: tiers.length > 0 ? tiers : [50, 30, 20],
+  };
+}
+
+// Wallets drawn per category, in the form lib/fairness.js takes: a count, or
+// "all" for every bettor. Rounds from before payout structures had one.
+function winnersPerCategory(structure) {
+  if (!structure || !structure.mode) return 1;
+  switch (structure.mode) {
+    case "draws":
+      return structure.winners;
+    case "split":
+      return "all";
+    case "tiers":
+      return structure.tiers.length;
+    default:
+      return 1;
+  }
+}
+
+// Amounts for `count` winners of one category, in rank order. Tiers left
+// empty (fewer bettors than tiers) are shared out over the filled ones in
+// proportion, so the whole part is still paid.
+function payoutShares(amount, count, structure) {
+  if (!structure || structure.mode !== "tiers") return splitPrize(amount, count);
+
+  const filled = structure.tiers.slice(0, count);
+  const total = filled.reduce((sum, percent) => sum + percent, 0);
+  const scale = 10 ** PRIZE_DECIMALS;
+  return filled.map((percent) => Math.floor((amount * percent * scale) / total) / scale);
+}
+
+// Give each winner its amount: equal parts per category, then the structure
+// within the category. Winners keep their order.
+function assignPrizes(prizeAmount, winners, structure) {
+  const categories = [...new Set(winners.map((winner) => winner.category))];
+  const [categoryPart] = splitPrize(prizeAmount, categories.length);
+  const amounts = new Map();
+
+  for (const category of categories) {
+    const ranked = winners.filter((winner) => winner.category === category);
+    payoutShares(categoryPart, ranked.length, structure).forEach((amount, i) => {
+      amounts.set(ranked[i], amount);
+    });
+  }
+
+  return winners.map((winner) => ({ ...winner, amount: amounts.get(winner) }));
+}
+
+module.exports = {
+  PAYOUT_MODES,
+  parsePayoutTiers,
+  buildPayoutStructure,
+  winnersPerCategory,
+  payoutShares,
+  assignPrizes,
+};
@@ -0,0 +1,99 @@
+// lib/payoutVerifier.js - Confirm a prize payment on-chain by transaction signature
+const { LAMPORTS_PER_SOL } = require("@solana/web3.js");
+
+const SOL_DECIMALS = 9;
+
+function toBaseUnits(amount, decimals) {
+  return BigInt(Math.round(amount * 10 ** decimals));
+}
+
+function accountKeyToString(key) {
+  return (key.pubkey || key).toString();
+}
+
+// Net lamports received by `recipient` in the transaction
+function getSolReceived(tx, recipient) {
+  const index = tx.transaction.message.accountKeys.findIndex(
+    (key) => accountKeyToString(key) === recipient
+  );
+  if (index === -1) return 0n;
+
+  return BigInt(tx.meta.postBalances[index] - tx.meta.preBalances[index]);
+}
+
+// Net base units of `mint` received by token accounts owned by `recipient`
+function getTokenReceived(tx, recipient, mint) {
+  const sum = (balances) =>
+    (balances || [])
+      .filter((balance) => balance.owner === recipient && balance.mint === mint)
+      .reduce((total, balance) => total + BigInt(balance.uiTokenAmount.amount), 0n);
+
+  const decimals = (tx.meta.postTokenBalances || []).find(
+    (balance) => balance.mint === mint
+  );
+
+  return {
+    received: sum(tx.meta.postTokenBalances) - sum(tx.meta.preTokenBalances),
+    decimals: decimals ? decimals.uiTokenAmount.decimals : 0,
+  };
+}
+
+// Check that `txSignature` is confirmed, succeeded and paid at least
+// `minAmount` (SOL, or whole tokens of `mint`) to `recipient`.
+// Resolves to { ok: true, received } or { ok: false, reason }.
+async function verifyPayoutTransaction(
+  connection,
+  { txSignature, recipient, minAmount, mint = null, commitment = "confirmed" }
+) {
+  // Any transaction pays "at least nothing": a prize that was never set must
+  // not use up a signature
+  if (!(minAmount > 0)) {
+    return { ok: false, reason: `Payout amount must be positive, got ${minAmount}` };
+  }
+
+  let tx;
+  try {
+    tx = await connection.getParsedTransaction(txSignature, {
+      commitment,
+      maxSupportedTransactionVersion: 0,
+    });
+  } catch (error) {
+    return { ok: false, reason: `RPC error: ${error.message}` };
+  }
+
+  if (!tx || !tx.meta) {
+    return { ok: false, reason: `Transaction not found or not ${commitment}` };
+  }
+
+  if (tx.meta.err) {
+    return { ok: false, reason: "Transaction failed on-chain" };
+  }
+
+  if (mint) {
+    const { received, decimals } = getTokenReceived(tx, recipient, mint);
+    const required = toBaseUnits(minAmount, decimals);
+
+    if (received < required) {
+      return {
+        ok: false,
+        reason: `Winner received ${received} base units of ${mint}, expected at least ${required}`,
+      };
+    }
+    return { ok: true, received: Number(received) / 10 ** decimals };
+  }
+
+  const received = getSolReceived(tx, recipient);
+  const required = toBaseUnits(minAmount, SOL_DECIMALS);
+
+  if (received < required) {
+    return {
+      ok: false,
+      reason: `Winner received ${received} lamports, expected at least ${required}`,
+    };
+  }
+  return { ok: true, received: Number(received) / LAMPORTS_PER_SOL };
+}
+
+module.exports = {
+  verifyPayoutTransaction,
+};
@@ -0,0 +1,102 @@
+// lib/playerStats.js - Per-wallet results for player profiles
+//
+// Works on plain vote/round/payout records so the same rules apply whether
+// they come from MongoDB or from tests. The pipelines total a wallet's votes
+// in MongoDB.
+
+const { voteBet } = require("./fairness");
+const { DEFAULT_TABLE_ID } = require("./tables");
+
+// A wallet's votes that count as played: cancelled rounds void theirs
+function playedVotesMatch(tableId, walletAddress) {
+  return { $match: { tableId, walletAddress, voided: { $ne: true } } };
+}
+
+// Votes: rounds played and the first and last time, one row (none if never)
+function playerTotalsPipeline({ tableId = DEFAULT_TABLE_ID, walletAddress }) {
+  return [
+    playedVotesMatch(tableId, walletAddress),
+    {
+      $group: {
+        _id: null,
+        roundsPlayed: { $sum: 1 },
+        firstPlayedAt: { $min: "$timestamp" },
+        lastPlayedAt: { $max: "$timestamp" },
+      },
+    },
+  ];
+}
+
+// Votes: how often the wallet placed each bet, as { _id: bet, count }
+function playerBetsPipeline({ tableId = DEFAULT_TABLE_ID, walletAddress }) {
+  return [
+    playedVotesMatch(tableId, walletAddress),
+    { $group: { _id: "$bet", count: { $sum: 1 } } },
+  ];
+}
+
+// How a vote turned out: "win" (the bet won), "loss", "disqualified", or null
+// while the round is still running (or if it was cancelled, which voids its
+// votes). Rounds from before the wheel only list their winning color.
+function voteOutcome(vote, round) {
+  if (!round || round.status !== "completed") return null;
+  if (vote.disqualified) return "disqualified";
+  const bets =
+    round.winningBets && round.winningBets.length > 0
+      ? round.winningBets
+      : [round.winningColor];
+  return bets.includes(voteBet(vote)) ? "win" : "loss";
+}
+
+// Extend a streak with outcomes from newest to oldest. Disqualifications
+// count as losses; unfinished rounds are skipped. `ended` is set once an
+// outcome breaks the streak, so callers can stop fetching older votes.
+function extendStreak(streak, outcomes) {
+  let { type, length, ended } = streak;
+
+  for (const outcome of outcomes) {
+    if (ended) break;
+    if (!outcome) continue;
+
+    const result = outcome === "win" ? "win" : "loss";
+    if (type === null) {
+      type = result;
+      length = 1;
+    } else if (result === type) {
+      length += 1;
+    } else {
+      ended = true;
+    }
+  }
+
+  return { type, length, ended };
+}
+
+function emptyStreak() {
+  return { type: null, length: 0, ended: false };
+}
+
+// Prize totals by payout status (failed payouts are still owed)
+function summarizePayouts(payouts) {
+  const prizes = { total: 0, paid: 0, pending: 0 };
+
+  for (const payout of payouts) {
+    prizes.total += payout.amount;
+    if (payout.status === "paid") {
+      prizes.paid += payout.amount;
+    } else {
+      prizes.pending += payout.amount;
+    }
+  }
+
+  return prizes;
+}
+
+module.exports = {
+  voteOutcome,
+  extendStreak,
+  emptyStreak,
+  summarizePayouts,
+  playerTotalsPipeline,
+  playerBetsPipeline,
+};
@@ -0,0 +1,118 @@
+// lib/prizePool.js - Where a round's prize comes from
+//
+//   manual   - whatever an operator sets with /api/admin/set-prize (default)
+//   treasury - locked when voting closes at `percent` of the treasury wallet's
+//              balance (less prizes still owed), kept within minPrize..maxPrize.
+//              With `rollover`, a prize nobody won is added to the next one.
+//
+// Amounts are in SOL, or whole tokens of PAYOUT_MINT, like payouts.
+const { PublicKey, LAMPORTS_PER_SOL } = require("@solana/web3.js");
+
+const PRIZE_MODES = ["manual", "treasury"];
+const PRIZE_DECIMALS = 9;
+
+function buildPrizePool(env) {
+  return {
+    mode: PRIZE_MODES.includes(env.PRIZE_MODE) ? env.PRIZE_MODE : "manual",
+    percent: parseFloat(env.PRIZE_PERCENT) || 10,
+    minPrize: parseFloat(env.PRIZE_MIN) || 0,
+    maxPrize: parseFloat(env.PRIZE_MAX) || null,
+    rollover: env.PRIZE_ROLLOVER !== "false",
+  };
+}
+
+// Prize for a round from the treasury balance. The rollover comes on top of
+// the capped amount, but the total never exceeds what the treasury can pay.
+function computeTreasuryPrize({ balance, owed = 0, rollover = 0 }, prizePool) {
+  const available = Math.max(0, balance - owed);
+
+  let amount = Math.max((available * prizePool.percent) / 100, prizePool.minPrize);
+  if (prizePool.maxPrize != null) amount = Math.min(amount, prizePool.maxPrize);
+  if (prizePool.rollover) amount += rollover;
+  amount = Math.min(amount, available);
+
+  const scale = 10 ** PRIZE_DECIMALS;
+  return Math.floor(amount * scale) / scale;
+}
+
+// Equal shares of a prize, rounded down so they never add up to more
+function splitPrize(amount, shares) {
+  if (shares <= 0) return [];
+  const scale = 10 ** PRIZE_DECIMALS;
+  const share = Math.floor((amount * scale) / shares) / scale;
+  return new Array(shares).fill(share);
+}
+
+// Treasury balance in prize units, read over RPC
+function createSolanaTreasury(connection, { wallet, mint = null }) {
+  const owner = new PublicKey(wallet);
+
+  return {
+    name: "solana",
+    wallet,
+    mint,
+
+    async getBalance() {
+      if (!mint) return (await connection.getBalance(owner)) / LAMPORTS_PER_SOL;
+
+      const response = await connection.getParsedTokenAccountsByOwner(owner, {
+        mint: new PublicKey(mint),
+      });
+
+      let total = 0n;
+      let decimals = 0;
+      for (const { account } of response.value) {
+        const { tokenAmount } = account.data.parsed.info;
+        total += BigInt(tokenAmount.amount);
+        decimals = tokenAmount.decimals;
+      }
+
+      return Number(total) / 10 ** decimals;
+    },
+  };
+}
+
+// Fixed balance for tests and offline runs
+function createMemoryTreasury({ wallet, mint = null, balance = 0 }) {
+  return {
+    name: "memory",
+    wallet,
+    mint,
+
+    setBalance(amount) {
+      balance = amount;
+    },
+
+    async getBalance() {
+      return balance;
+    },
+  };
+}
+
+// null unless TREASURY_WALLET is set; follows BALANCE_PROVIDER like the token
+// balances do
+function createTreasury(env, connection) {
+  if (!env.TREASURY_WALLET) return null;
+
+  const options = { wallet: env.TREASURY_WALLET, mint: env.PAYOUT_MINT || null };
+
+  if (env.BALANCE_PROVIDER === "memory") {
+    return createMemoryTreasury({
+      ...options,
+      balance: parseFloat(env.TREASURY_BALANCE) || 0,
+    });
+  }
+
+  return createSolanaTreasury(connection, options);
+}
+
+module.exports = {
+  PRIZE_MODES,
+  PRIZE_DECIMALS,
+  buildPrizePool,
+  computeTreasuryPrize,
+  splitPrize,
+  createSolanaTreasury,
+  createMemoryTreasury,
+  createTreasury,
+};
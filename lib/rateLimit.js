@@ -0,0 +1,97 @@
+// lib/rateLimit.js - Fixed-window request counters and connection limits
+//
+// Counters live in this process, so with several instances each one enforces
+// the limits separately.
+const { systemClock } = require("./clock");
+
+// Allow `max` hits per key in each `windowMs` window
+function createRateLimiter({ windowMs, max, clock = systemClock }) {
+  const windows = new Map();
+  let lastSweep = clock.now();
+
+  // Drop windows that have ended so idle keys don't pile up
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }
+
+  // Count a hit; retryAfter is in whole seconds
+  function hit(key) {
+    const now = clock.now();
+    sweep(now);
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count += 1;
+    const allowed = window.count <= max;
+
+    return {
+      allowed,
+      limit: max,
+      remaining: Math.max(0, max - window.count),
+      resetAt: new Date(window.resetAt),
+      retryAfter: allowed ? 0 : Math.ceil((window.resetAt - now) / 1000),
+    };
+  }
+
+  function reset(key) {
+    windows.delete(key);
+  }
+
+  return {
+    windowMs,
+    max,
+    hit,
+    reset,
+  };
+}
+
+// Open connections per key (e.g. IP) with a per-key and an overall cap
+function createConnectionLimiter({ maxPerKey, maxTotal }) {
+  const open = new Map();
+  let total = 0;
+
+  // Returns an error message when the connection should be refused
+  function acquire(key) {
+    if (total >= maxTotal) return "Server is at capacity, try again later";
+    if ((open.get(key) || 0) >= maxPerKey) {
+      return "Too many connections from this address";
+    }
+
+    open.set(key, (open.get(key) || 0) + 1);
+    total += 1;
+    return null;
+  }
+
+  function release(key) {
+    const count = open.get(key) || 0;
+    if (count === 0) return;
+
+    if (count === 1) {
+      open.delete(key);
+    } else {
+      open.set(key, count - 1);
+    }
+    total -= 1;
+  }
+
+  return {
+    acquire,
+    release,
+    get total() {
+      return total;
+    },
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createConnectionLimiter,
+};
@@ -0,0 +1,117 @@
+// lib/realtime.js - Socket.IO event protocol
+//
+// Public events (broadcast to everyone):
+//   state          full snapshot, sent on connect and on "state:get"
+//   round:started  a new round opened for voting
+//   vote:cast      one vote, as a delta on the tallies
+//   round:spinning voting closed, wheel spun
+//   round:result   winners drawn
+//   round:cancelled round called off by an operator (no winner)
+//   game:paused    game paused by an operator (countdown frozen, no votes)
+//   game:resumed   game resumed
+//   round:prize    prize amount changed
+//   stats:updated  totals changed (e.g. a payout was recorded)
+//   tick           countdown sync
+//
+// Private events (sent to the wallet's room after the socket authenticates
+// with its session token, see createAuthHandler):
+//   vote:accepted  your vote was recorded
+//   round:won      you won
+//
+// Every payload carries the protocol version `v`. Public payloads also carry
+// the sending instance `src` and that instance's sequence number `seq`; a
+// client that sees a gap in one instance's sequence should ask for "state:get".
+//
+// With a `table`, public events only go to that table's room and every payload
+// names the table; each table numbers its events separately.
+const { tableRoom } = require("./tables");
+
+const PROTOCOL_VERSION = 1;
+
+function walletRoom(walletAddress) {
+  return `wallet:${walletAddress}`;
+}
+
+function createRealtime(io, { source = "main", table = null } = {}) {
+  let seq = 0;
+  const audience = () => (table ? io.to(tableRoom(table)) : io);
+  const tagged = (payload) => (table ? { table, ...payload } : payload);
+
+  return {
+    get seq() {
+      return seq;
+    },
+
+    // Snapshot at the current sequence number (no increment)
+    snapshot(payload) {
+      return { v: PROTOCOL_VERSION, src: source, seq, ...tagged(payload) };
+    },
+
+    publish(event, payload) {
+      seq += 1;
+      audience().emit(event, {
+        v: PROTOCOL_VERSION,
+        src: source,
+        seq,
+        ...tagged(payload),
+      });
+    },
+
+    sendToWallet(walletAddress, event, payload) {
+      io.to(walletRoom(walletAddress)).emit(event, {
+        v: PROTOCOL_VERSION,
+        ...tagged(payload),
+      });
+    },
+  };
+}
+
+// Handler for a socket's "auth" event: { sessionToken } joins the wallet's
+// private room. `findSession(token)` resolves to a live wallet session or null;
+// `allow()` is the per-socket rate limit. Clients can send anything, and a
+// throw here has no request around it to catch it, so nothing is trusted.
+function createAuthHandler(socket, { findSession, allow = () => true }) {
+  return async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+
+    try {
+      if (!allow()) return reply({ success: false, error: "Too many requests" });
+
+      // Anything but a string could be a query operator matching any session
+      const sessionToken = payload && typeof payload === "object" ? payload.sessionToken : null;
+      if (typeof sessionToken !== "string") {
+        return reply({ success: false, error: "Invalid or expired session" });
+      }
+
+      const session = await findSession(sessionToken);
+      if (!session) {
+        return reply({ success: false, error: "Invalid or expired session" });
+      }
+
+      socket.join(walletRoom(session.walletAddress));
+      reply({ success: true, walletAddress: session.walletAddress });
+    } catch (error) {
+      reply({ success: false, error: error.message });
+    }
+  };
+}
+
+function summarizeRound(round) {
+  return {
+    roundNumber: round.roundNumber,
+    status: round.status,
+    startTime: round.startTime,
+    votingEndsAt: round.votingEndsAt,
+    prizeAmount: round.prizeAmount,
+    serverSeedHash: round.serverSeedHash,
+    entryMode: round.entryMode ? round.entryMode.mode : "single",
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  walletRoom,
+  createRealtime,
+  createAuthHandler,
+  summarizeRound,
+};
@@ -0,0 +1,53 @@
+// lib/tables.js - Game tables, each with its own rounds, settings and timer
+//
+// TABLES is a JSON list of { id, name, settings }. `settings` override the
+// environment defaults for the table's first settings version, e.g.
+//   [{ "id": "fast", "name": "Fast", "settings": { "roundDuration": 30000 } },
+//    { "id": "high", "name": "High stakes",
+//      "settings": { "roundDuration": 600000, "minTokenBalance": 100000000 } }]
+// Without TABLES there is a single "main" table, which also owns the data from
+// before tables existed. The first table serves requests that don't name one.
+const { settingsFromConfig, validateSettingsUpdate } = require("./gameSettings");
+
+const DEFAULT_TABLE_ID = "main";
+const TABLE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// Throws on an invalid list, so a bad configuration fails at startup
+function parseTables(env, config) {
+  const definitions = env.TABLES
+    ? JSON.parse(env.TABLES)
+    : [{ id: DEFAULT_TABLE_ID, name: "Main" }];
+
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error("TABLES must be a non-empty JSON list");
+  }
+
+  const defaults = settingsFromConfig(config);
+  const ids = new Set();
+
+  return definitions.map(({ id, name, settings = {} }) => {
+    if (typeof id !== "string" || !TABLE_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid table id "${id}" (lowercase letters, digits and dashes)`);
+    }
+    if (ids.has(id)) throw new Error(`Duplicate table id "${id}"`);
+    ids.add(id);
+
+    if (Object.keys(settings).length === 0) {
+      return { id, name: name || id, settings: defaults };
+    }
+
+    const result = validateSettingsUpdate(defaults, settings);
+    if (result.error) throw new Error(`Table "${id}": ${result.error}`);
+    return { id, name: name || id, settings: result.settings };
+  });
+}
+
+function tableRoom(tableId) {
+  return `table:${tableId}`;
+}
+
+module.exports = {
+  DEFAULT_TABLE_ID,
+  parseTables,
+  tableRoom,
+};
@@ -0,0 +1,52 @@
+// lib/ttlCache.js - Values remembered for a fixed time, with shared in-flight loads
+const { systemClock } = require("./clock");
+
+function createTtlCache({ ttlMs, clock = systemClock }) {
+  const entries = new Map();
+  const inFlight = new Map();
+  let lastSweep = clock.now();
+
+  // Drop expired entries so keys seen once don't pile up
+  function sweep(now) {
+    if (now - lastSweep < ttlMs) return;
+    lastSweep = now;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  // Cached value for key, or the result of load() (concurrent callers share
+  // one load). Failed loads aren't cached.
+  async function wrap(key, load) {
+    const now = clock.now();
+    sweep(now);
+
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > now) return entry.value;
+
+    if (!inFlight.has(key)) {
+      const pending = Promise.resolve()
+        .then(load)
+        .then((value) => {
+          entries.set(key, { value, expiresAt: clock.now() + ttlMs });
+          return value;
+        })
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+    }
+    return inFlight.get(key);
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return {
+    wrap,
+    clear,
+  };
+}
+
+module.exports = {
+  createTtlCache,
+};
@@ -0,0 +1,108 @@
+// lib/walletAuth.js - Wallet ownership proof (challenge/response over ed25519)
+const crypto = require("crypto");
+const bs58 = require("bs58").default;
+const { PublicKey } = require("@solana/web3.js");
+
+// DER prefix that turns a raw 32-byte ed25519 public key into an SPKI key
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+function createNonce() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function createSessionToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// The exact text the wallet is asked to sign. The server rebuilds it from the
+// stored challenge, so clients never get to choose what gets verified.
+function buildChallengeMessage({ walletAddress, nonce, issuedAt, expiresAt }) {
+  return [
+    "Red or Black - verify wallet ownership",
+    `Wallet: ${walletAddress}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expires At: ${new Date(expiresAt).toISOString()}`,
+  ].join("\n");
+}
+
+function createChallenge(walletAddress, ttlMs, now = new Date()) {
+  const issuedAt = new Date(now);
+  const expiresAt = new Date(issuedAt.getTime() + ttlMs);
+  const nonce = createNonce();
+
+  return {
+    walletAddress,
+    nonce,
+    issuedAt,
+    expiresAt,
+    message: buildChallengeMessage({ walletAddress, nonce, issuedAt, expiresAt }),
+  };
+}
+
+function decodeSignature(signature) {
+  try {
+    const bytes = Buffer.from(bs58.decode(signature));
+    return bytes.length === 64 ? bytes : null;
+  } catch {
+    return null;
+  }
+}
+
+// Verify a base58 ed25519 signature of `message` made by `walletAddress`
+function verifyWalletSignature(walletAddress, message, signature) {
+  const signatureBytes = decodeSignature(signature);
+  if (!signatureBytes) return false;
+
+  try {
+    const publicKeyBytes = new PublicKey(walletAddress).toBuffer();
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, publicKeyBytes]),
+      format: "der",
+      type: "spki",
+    });
+    return crypto.verify(null, Buffer.from(message, "utf8"), key, signatureBytes);
+  } catch {
+    return false;
+  }
+}
+
+// Check a signed response against the challenge it answers.
+// Returns null when valid, otherwise a reason string.
+function checkChallengeResponse(challenge, signature, now = new Date()) {
+  if (!challenge) return "Challenge not found or already used";
+  if (new Date(challenge.expiresAt).getTime() <= new Date(now).getTime()) {
+    return "Challenge expired";
+  }
+
+  const message = buildChallengeMessage(challenge);
+  if (!verifyWalletSignature(challenge.walletAddress, message, signature)) {
+    return "Invalid signature";
+  }
+
+  return null;
+}
+
+// Answer a challenge: `takeChallenge(query)` must remove and return the stored
+// challenge in one step (AuthChallenge.findOneAndDelete), so each one can be
+// answered once, right or wrong. Returns null when valid, otherwise a reason.
+async function redeemChallenge(takeChallenge, { walletAddress, nonce, signature }, now = new Date()) {
+  // Anything but strings could be a query operator matching another wallet's
+  // challenge, and consume it
+  if ([walletAddress, nonce, signature].some((value) => typeof value !== "string")) {
+    return "Challenge not found or already used";
+  }
+
+  const challenge = await takeChallenge({ walletAddress, nonce });
+  return checkChallengeResponse(challenge, signature, now);
+}
+
+module.exports = {
+  createNonce,
+  createSessionToken,
+  buildChallengeMessage,
+  createChallenge,
+  verifyWalletSignature,
+  checkChallengeResponse,
+  redeemChallenge,
+};
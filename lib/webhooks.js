@@ -0,0 +1,245 @@
+// lib/webhooks.js - Outbound notifications of round events
+//
+// Operators register endpoints (Webhook) for some of WEBHOOK_EVENTS, on one
+// table or all of them. Each event becomes a WebhookDelivery per endpoint,
+// which is also the delivery log. The body is JSON:
+//   { id, event, table, createdAt, text, data }
+// `text` is a one-line summary a chat bot can post as is. Every attempt is
+// signed with the endpoint's secret:
+//   X-Webhook-Timestamp  milliseconds since the epoch
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>
+// Anything but a 2xx response is retried with exponential backoff, up to
+// `maxAttempts`. Deliveries are claimed before sending, so with several
+// instances each one goes out once.
+const crypto = require("crypto");
+const { systemClock } = require("./clock");
+
+const WEBHOOK_EVENTS = ["round.started", "round.result", "round.prize", "payout.marked"];
+const DELIVERY_STATUSES = ["pending", "delivered", "failed"];
+
+function createWebhookSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// For receivers: check a request's signature headers against the raw body
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`);
+  const actual = Buffer.from(String(signature || ""));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns { webhook } with the fields to store, or { error }
+function validateWebhook({ url, events, description } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: "url must be a valid http(s) URL" };
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return { error: "url must be a valid http(s) URL" };
+  }
+
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((event) => !WEBHOOK_EVENTS.includes(event))
+  ) {
+    return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(", ")}` };
+  }
+
+  if (description != null && typeof description !== "string") {
+    return { error: "description must be a string" };
+  }
+
+  return {
+    webhook: { url: parsed.toString(), events: [...new Set(events)], description },
+  };
+}
+
+function shortWallet(walletAddress) {
+  return `${walletAddress.slice(0, 4)}…${walletAddress.slice(-4)}`;
+}
+
+// One-line summary of an event for chat channels
+function eventText(event, data) {
+  switch (event) {
+    case "round.started":
+      return `🎰 Round ${data.roundNumber} is open - prize ${data.prizeAmount} SOL`;
+    case "round.result": {
+      const result =
+        data.winningNumber != null
+          ? `${data.winningNumber} ${data.winningColor.toUpperCase()}`
+          : data.winningColor.toUpperCase();
+      const winners = data.winners.length
+        ? data.winners
+            .map((winner) => `${shortWallet(winner.walletAddress)} (${winner.bet}, ${winner.amount} SOL)`)
+            .join(", ")
+        : "no winner";
+      return `🎯 Round ${data.roundNumber}: ${result} - ${winners}`;
+    }
+    case "round.prize":
+      return `💰 Round ${data.roundNumber} prize set to ${data.prizeAmount} SOL`;
+    case "payout.marked":
+      return `✅ Round ${data.roundNumber} prize of ${data.amount} SOL paid to ${shortWallet(data.walletAddress)}`;
+    default:
+      return event;
+  }
+}
+
+function createWebhookDispatcher({
+  store,
+  clock = systemClock,
+  fetch = globalThis.fetch,
+  maxAttempts = 6,
+  retryDelay = 5000, // before the second attempt, doubling after each failure
+  maxRetryDelay = 3600000,
+  timeout = 10000, // per attempt
+  pollInterval = 5000, // how often due retries are looked for
+  logger = console,
+}) {
+  let pollTimer = null;
+  let processing = false;
+
+  function retryDelayFor(attempts) {
+    return Math.min(retryDelay * 2 ** (attempts - 1), maxRetryDelay);
+  }
+
+  // Queue `event` for every endpoint subscribed to it, then send right away.
+  // Never throws: a notification must not break the action that raised it.
+  async function emit(event, tableId, data) {
+    try {
+      const webhooks = await store.listWebhooks({ event, tableId });
+      if (webhooks.length === 0) return;
+
+      const createdAt = new Date(clock.now());
+      for (const webhook of webhooks) {
+        await store.createWebhookDelivery({
+          webhookId: webhook._id,
+          event,
+          tableId,
+          payload: { event, table: tableId, createdAt, text: eventText(event, data), data },
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: createdAt,
+        });
+      }
+
+      await processDue();
+    } catch (error) {
+      logger.error(`❌ Webhook ${event} not queued:`, error.message);
+    }
+  }
+
+  async function attempt(delivery) {
+    const webhook = await store.findWebhook(delivery.webhookId);
+    const now = new Date(clock.now());
+
+    if (!webhook || !webhook.active) {
+      await store.updateWebhookDelivery(delivery._id, {
+        $set: { status: "failed", lastError: "Webhook removed or disabled" },
+      });
+      return;
+    }
+
+    const body = JSON.stringify({ id: String(delivery._id), ...delivery.payload });
+    const timestamp = String(now.getTime());
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "redorblack-webhooks",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": String(delivery._id),
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(timeout),
+      });
+      statusCode = response.status;
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (fetchError) {
+      error = fetchError.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const update = {
+      $set: { attempts, lastAttemptAt: now, lastStatusCode: statusCode },
+    };
+
+    if (!error) {
+      update.$set.status = "delivered";
+      update.$set.deliveredAt = now;
+      update.$unset = { lastError: "", nextAttemptAt: "" };
+    } else if (attempts >= maxAttempts) {
+      update.$set.status = "failed";
+      update.$set.lastError = error;
+      update.$unset = { nextAttemptAt: "" };
+      logger.error(`❌ Webhook ${delivery.event} to ${webhook.url} failed: ${error}`);
+    } else {
+      update.$set.lastError = error;
+      update.$set.nextAttemptAt = new Date(now.getTime() + retryDelayFor(attempts));
+    }
+
+    await store.updateWebhookDelivery(delivery._id, update);
+  }
+
+  // Send every pending delivery that is due, one at a time
+  async function processDue() {
+    if (processing) return;
+    processing = true;
+    try {
+      for (;;) {
+        // Held for the length of an attempt; a crashed sender's claim lapses
+        const delivery = await store.claimWebhookDelivery(
+          new Date(clock.now()),
+          timeout + 5000
+        );
+        if (!delivery) break;
+        await attempt(delivery);
+      }
+    } catch (error) {
+      logger.error("❌ Webhook delivery error:", error.message);
+    } finally {
+      processing = false;
+    }
+  }
+
+  function start() {
+    if (pollTimer) return;
+    pollTimer = clock.setInterval(processDue, pollInterval);
+  }
+
+  function stop() {
+    if (pollTimer) clock.clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  return {
+    emit,
+    processDue,
+    retryDelayFor,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  createWebhookSecret,
+  signPayload,
+  verifySignature,
+  validateWebhook,
+  eventText,
+  createWebhookDispatcher,
+};
@@ -0,0 +1,133 @@
+// scripts/loadTestVotes.js - Fire parallel votes at a running server and check
+// that the round tallies match the vote documents
+//
+// Start the server with balances that let any wallet vote and an IP rate
+// limit high enough for one machine to send every request, e.g.
+//   BALANCE_PROVIDER=memory MOCK_DEFAULT_BALANCE=1000000000 RATE_LIMIT_IP_MAX=10000 node server.js
+// then run:
+//   node scripts/loadTestVotes.js [baseUrl] [wallets] [votesPerWallet]
+//
+// Every wallet verifies first, then all votes (several per wallet, mixed
+// colors) are sent at once. Exactly one vote per wallet must be accepted.
+const crypto = require("crypto");
+const bs58 = require("bs58").default;
+const { Keypair } = require("@solana/web3.js");
+
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+const baseUrl = process.argv[2] || "http://localhost:5500";
+const walletCount = parseInt(process.argv[3]) || 200;
+const votesPerWallet = parseInt(process.argv[4]) || 3;
+
+async function post(path, body, headers = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function get(path) {
+  const response = await fetch(`${baseUrl}${path}`);
+  return response.json();
+}
+
+function sign(keypair, message) {
+  const key = crypto.createPrivateKey({
+    key: Buffer.concat([
+      ED25519_PKCS8_PREFIX,
+      Buffer.from(keypair.secretKey.slice(0, 32)),
+    ]),
+    format: "der",
+    type: "pkcs8",
+  });
+  return bs58.encode(crypto.sign(null, Buffer.from(message, "utf8"), key));
+}
+
+async function verifyWallet() {
+  const keypair = Keypair.generate();
+  const walletAddress = keypair.publicKey.toBase58();
+
+  const challenge = await post("/api/auth/challenge", { walletAddress });
+  if (!challenge.body.success) throw new Error(challenge.body.error);
+
+  const verified = await post("/api/verify-wallet", {
+    walletAddress,
+    nonce: challenge.body.nonce,
+    signature: sign(keypair, challenge.body.message),
+  });
+  if (!verified.body.success) throw new Error(verified.body.error);
+
+  return { walletAddress, sessionToken: verified.body.sessionToken };
+}
+
+async function main() {
+  console.log(`🔑 Verifying ${walletCount} wallets against ${baseUrl}...`);
+  const wallets = [];
+  for (let i = 0; i < walletCount; i++) {
+    wallets.push(await verifyWallet());
+  }
+
+  const status = await get("/api/status");
+  const roundNumber = status.gameState.currentRound;
+  if (status.gameState.timeLeft < 5) {
+    throw new Error("Too little voting time left in this round, try again shortly");
+  }
+
+  console.log(`🗳️ Sending ${walletCount * votesPerWallet} votes in parallel...`);
+  const results = await Promise.all(
+    wallets.flatMap(({ sessionToken }) =>
+      Array.from({ length: votesPerWallet }, (_, i) =>
+        post(
+          "/api/vote",
+          { color: i % 2 ? "black" : "red" },
+          { Authorization: `Bearer ${sessionToken}` }
+        )
+      )
+    )
+  );
+
+  const accepted = results.filter((result) => result.body.success).length;
+  const participants = await get("/api/participants");
+  const { roundData } = await get("/api/status");
+  const failures = [];
+
+  if (participants.roundNumber !== roundNumber) {
+    failures.push(`round moved on (${roundNumber} -> ${participants.roundNumber})`);
+  }
+  if (accepted !== walletCount) {
+    failures.push(`accepted ${accepted} votes, expected ${walletCount}`);
+  }
+  if (participants.voteCount.total !== participants.wallets.length) {
+    failures.push(
+      `tally ${participants.voteCount.total} != ${participants.wallets.length} vote documents`
+    );
+  }
+  const tallyTickets = roundData.tickets.red + roundData.tickets.black;
+  if (tallyTickets !== participants.ticketCount.total) {
+    failures.push(
+      `ticket tally ${tallyTickets} != ${participants.ticketCount.total} tickets in vote documents`
+    );
+  }
+  if (participants.participants !== participants.wallets.length) {
+    failures.push(
+      `${participants.participants} participants != ${participants.wallets.length} vote documents`
+    );
+  }
+
+  console.log(
+    `📊 Round ${roundNumber}: ${accepted} accepted, tally ${JSON.stringify(participants.voteCount)}`
+  );
+
+  if (failures.length > 0) {
+    failures.forEach((failure) => console.error(`❌ ${failure}`));
+    process.exit(1);
+  }
+  console.log("✅ Tallies match vote documents");
+}
+
+main().catch((error) => {
+  console.error("❌ Load test failed:", error.message);
+  process.exit(1);
+});
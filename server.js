@@ -5,7 +5,95 @@ const path = require("path");
 const cors = require("cors");
 const http = require("http");
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/mongo-adapter");
 const { Connection, PublicKey } = require("@solana/web3.js");
+const {
+  createChallenge,
+  createSessionToken,
+  redeemChallenge,
+} = require("./lib/walletAuth");
+const {
+  BETS,
+  BET_CATEGORIES,
+  betCategory,
+  verifyRound,
+} = require("./lib/fairness");
+const {
+  parseAdminKeys,
+  parseAdminWallets,
+  findAdminByKey,
+  findAdminByWallet,
+  hasRole,
+} = require("./lib/adminAuth");
+const { verifyPayoutTransaction } = require("./lib/payoutVerifier");
+const { buildEntryMode, computeTickets } = require("./lib/entryModes");
+const {
+  createBalanceProvider,
+  createCachedBalanceProvider,
+} = require("./lib/balanceProviders");
+const {
+  createRateLimiter,
+  createConnectionLimiter,
+} = require("./lib/rateLimit");
+const { createGameEngine } = require("./lib/gameEngine");
+const {
+  createMongoStore,
+  migrateToTables,
+  migrateToBets,
+} = require("./lib/mongoStore");
+const { createClusterNode } = require("./lib/cluster");
+const {
+  voteOutcome,
+  extendStreak,
+  emptyStreak,
+  summarizePayouts,
+  playerTotalsPipeline,
+  playerBetsPipeline,
+} = require("./lib/playerStats");
+const {
+  parsePeriod,
+  topWinnersPipeline,
+  mostActivePipeline,
+  resultDistributionPipeline,
+  participationPipeline,
+  roundRollupPipeline,
+  playerRollupPipeline,
+  mergeRollups,
+} = require("./lib/analytics");
+const { createTtlCache } = require("./lib/ttlCache");
+const { buildHistoryQuery } = require("./lib/history");
+const { pickSettings } = require("./lib/gameSettings");
+const { buildPrizePool, createTreasury } = require("./lib/prizePool");
+const { buildPayoutStructure, winnersPerCategory } = require("./lib/payoutStructures");
+const { parseTables, tableRoom } = require("./lib/tables");
+const {
+  buildExportQuery,
+  streamRows,
+  buildAuditReport,
+  auditReportCsv,
+} = require("./lib/exports");
+const {
+  DELIVERY_STATUSES,
+  createWebhookDispatcher,
+  createWebhookSecret,
+  validateWebhook,
+} = require("./lib/webhooks");
+const {
+  createRealtime,
+  createAuthHandler,
+  summarizeRound,
+} = require("./lib/realtime");
+const {
+  Participant,
+  Vote,
+  Round,
+  AuthChallenge,
+  Session,
+  AdminAuditLog,
+  Payout,
+  Webhook,
+  WebhookDelivery,
+} = require("./lib/models");
 require("dotenv").config();
 
 const app = express();
@@ -18,6 +106,11 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 5500;
+
+// Behind a reverse proxy, TRUST_PROXY is the number of proxy hops so req.ip
+// (and the rate limits keyed on it) see the real client address
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY) || 0;
+if (TRUST_PROXY_HOPS > 0) app.set("trust proxy", TRUST_PROXY_HOPS);
 // Serve static files
 app.use(express.static(path.join(__dirname, "public")));
 
@@ -32,6 +125,7 @@ app.use(
   cors({
     origin: ["http://localhost:5173", "http://localhost:3000","http://localhost:5502","https://redorblack.onrender.com","https://www.redorblack.fun"],
     credentials: true,
+    exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining"],
   })
 );
 app.use(express.json());
@@ -46,361 +140,639 @@ app.use((req, res, next) => {
 });
 
 // MongoDB Connection
-mongoose.connect(
-  process.env.MONGODB_URI || "mongodb://localhost:27017/token_gamble",
-  {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
+function connectDatabase() {
+  return mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/token_gamble",
+    {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    }
+  ).then(async () => {
+    console.log("✅ MongoDB connected successfully");
+    if (process.env.SOCKET_ADAPTER === "mongo") {
+      await useMongoSocketAdapter();
+    }
+  }).catch(err => {
+    console.error("❌ MongoDB connection failed:", err);
+    process.exit(1);
+  });
+}
+
+// Relay broadcasts through a capped collection so every instance's sockets
+// receive them (needed when running more than one instance)
+async function useMongoSocketAdapter() {
+  const db = mongoose.connection.db;
+  const name = "socket.io-adapter-events";
+
+  const existing = await db.listCollections({ name }).toArray();
+  if (existing.length === 0) {
+    await db.createCollection(name, { capped: true, size: 1e6 });
   }
-).then(() => {
-  console.log("✅ MongoDB connected successfully");
-}).catch(err => {
-  console.error("❌ MongoDB connection failed:", err);
-  process.exit(1);
-});
+
+  io.adapter(createAdapter(db.collection(name)));
+  console.log("🔗 Socket.IO Mongo adapter enabled");
+}
 
 // Solana Connection (for token verification only)
 const solanaConnection = new Connection(
   process.env.SOLANA_RPC_URL || "https://api.mainnet-beta.solana.com"
 );
 
+// Token balances: live RPC, or in-memory for offline development. The game
+// engine and the vote-time re-check read it directly; other API lookups go
+// through a short-lived cache.
+const balanceProvider = createBalanceProvider(process.env, solanaConnection);
+
+// Treasury wallet funding prizes in the treasury prize mode (TREASURY_WALLET)
+const treasury = createTreasury(process.env, solanaConnection);
+
 // Configuration
 const CONFIG = {
   REQUIRED_TOKEN_MINT:
     process.env.TOKEN_MINT || "DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263",
   MIN_TOKEN_BALANCE: parseInt(process.env.MIN_TOKEN_BALANCE) || 1000000, // 1M tokens
+  VERIFICATION_TTL: parseInt(process.env.VERIFICATION_TTL) || 86400000, // re-verify daily
   ROUND_DURATION: parseInt(process.env.ROUND_DURATION) || 30000, // 30 seconds for testing
+  SPIN_DURATION: 3000, // spin animation before the winner is drawn
+  INTERMISSION_DURATION: 5000, // pause between rounds
+  CHALLENGE_TTL: parseInt(process.env.CHALLENGE_TTL) || 300000, // 5 minutes to sign
+  SESSION_TTL: parseInt(process.env.SESSION_TTL) || 3600000, // 1 hour voting session
+  ADMIN_SESSION_TTL: parseInt(process.env.ADMIN_SESSION_TTL) || 900000, // 15 minutes
+  ADMIN_API_KEYS: parseAdminKeys(process.env.ADMIN_API_KEYS),
+  ADMIN_WALLETS: parseAdminWallets(process.env.ADMIN_WALLETS),
+  PAYOUT_MINT: process.env.PAYOUT_MINT || null, // prizes in SOL unless set
+  PAYOUT_COMMITMENT: process.env.PAYOUT_COMMITMENT || "confirmed",
+  ENTRY_MODE: buildEntryMode(process.env), // tickets per vote, see lib/entryModes.js
+  PRIZE_POOL: buildPrizePool(process.env), // prize source, see lib/prizePool.js
+  PAYOUT_STRUCTURE: buildPayoutStructure(process.env), // winners and shares, see lib/payoutStructures.js
+  LEADER_LEASE_TTL: parseInt(process.env.LEADER_LEASE_TTL) || 10000, // scheduler failover
+  CLUSTER_HEARTBEAT: parseInt(process.env.CLUSTER_HEARTBEAT) || 2000, // lease renewal
+  BALANCE_CACHE_TTL: parseInt(process.env.BALANCE_CACHE_TTL) || 30000, // API balance lookups
+  RATE_LIMIT_IP_WINDOW: parseInt(process.env.RATE_LIMIT_IP_WINDOW) || 60000,
+  RATE_LIMIT_IP_MAX: parseInt(process.env.RATE_LIMIT_IP_MAX) || 30, // per endpoint
+  RATE_LIMIT_WALLET_WINDOW: parseInt(process.env.RATE_LIMIT_WALLET_WINDOW) || 60000,
+  RATE_LIMIT_WALLET_MAX: parseInt(process.env.RATE_LIMIT_WALLET_MAX) || 5, // per endpoint
+  SOCKET_MAX_PER_IP: parseInt(process.env.SOCKET_MAX_PER_IP) || 10,
+  SOCKET_MAX_CONNECTIONS: parseInt(process.env.SOCKET_MAX_CONNECTIONS) || 5000,
+  STATS_CACHE_TTL: parseInt(process.env.STATS_CACHE_TTL) || 60000, // leaderboards
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  WEBHOOK_RETRY_DELAY: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 5000, // doubles per attempt
+  WEBHOOK_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
 };
 
-// MongoDB Schemas
-const participantSchema = new mongoose.Schema({
-  walletAddress: { type: String, required: true, unique: true },
-  tokenBalance: { type: Number, required: true },
-  isVerified: { type: Boolean, default: false },
-  lastVerified: { type: Date, default: Date.now },
+const cachedBalances = createCachedBalanceProvider(balanceProvider, {
+  ttlMs: CONFIG.BALANCE_CACHE_TTL,
 });
 
-const voteSchema = new mongoose.Schema({
-  walletAddress: { type: String, required: true },
-  roundId: { type: String, required: true },
-  color: { type: String, enum: ["red", "black"], required: true },
-  timestamp: { type: Date, default: Date.now },
+// Abuse protection, see lib/rateLimit.js
+const ipLimiter = createRateLimiter({
+  windowMs: CONFIG.RATE_LIMIT_IP_WINDOW,
+  max: CONFIG.RATE_LIMIT_IP_MAX,
 });
+const walletLimiter = createRateLimiter({
+  windowMs: CONFIG.RATE_LIMIT_WALLET_WINDOW,
+  max: CONFIG.RATE_LIMIT_WALLET_MAX,
+});
+// Leaderboard and stats aggregations, keyed by endpoint and query
+const statsCache = createTtlCache({ ttlMs: CONFIG.STATS_CACHE_TTL });
+
+const socketEventLimiter = createRateLimiter({ windowMs: 10000, max: 20 });
+const socketLimiter = createConnectionLimiter({
+  maxPerKey: CONFIG.SOCKET_MAX_PER_IP,
+  maxTotal: CONFIG.SOCKET_MAX_CONNECTIONS,
+});
+
+// Game tables, see lib/tables.js. Each runs its own engine (round lifecycle,
+// see lib/gameEngine.js) on its own slice of the data.
+const tables = new Map();
+for (const definition of parseTables(process.env, CONFIG)) {
+  const table = { id: definition.id, name: definition.name };
+  table.store = createMongoStore({ tableId: table.id });
+  table.engine = createGameEngine({
+    store: table.store,
+    balances: balanceProvider,
+    treasury,
+    config: CONFIG,
+    defaults: definition.settings,
+    onEvent: (type, data) => handleEngineEvent(table, type, data),
+    logger: tableLogger(table.id),
+  });
+  tables.set(table.id, table);
+}
+const defaultTable = tables.values().next().value;
 
-const roundSchema = new mongoose.Schema({
-  roundNumber: { type: Number, required: true, unique: true },
-  status: {
-    type: String,
-    enum: ["voting", "spinning", "completed"],
-    default: "voting",
-  },
-  startTime: { type: Date, default: Date.now },
-  endTime: { type: Date },
-  votes: {
-    red: { type: Number, default: 0 },
-    black: { type: Number, default: 0 },
-  },
-  participants: [{ type: String }], // wallet addresses
-  winningColor: { type: String, enum: ["red", "black"] },
-  winner: { type: String }, // wallet address of winner
-  prizeAmount: { type: Number, default: 0 }, // Set by admin manually
-});
-
-const gameStateSchema = new mongoose.Schema({
-  currentRound: { type: Number, default: 1 },
-  totalPrizesGiven: { type: Number, default: 0 },
-  lastWinner: { type: String },
-  lastPrizeAmount: { type: Number, default: 0 },
-  isActive: { type: Boolean, default: true },
-  nextRoundStartTime: { type: Date },
-  totalRoundsPlayed: { type: Number, default: 0 },
-  lastUpdated: { type: Date, default: Date.now },
-});
-
-// Models
-const Participant = mongoose.model("Participant", participantSchema);
-const Vote = mongoose.model("Vote", voteSchema);
-const Round = mongoose.model("Round", roundSchema);
-const GameState = mongoose.model("GameState", gameStateSchema);
-
-// Global game state
-let currentGameState = null;
-let roundTimer = null;
 let connectedClients = 0;
-let serverTimeLeft = 600; // 10 minutes default (matches ROUND_DURATION)
-let serverTimerInterval = null;
+
+// Only the lease holder runs the round schedulers, see lib/cluster.js
+const cluster = createClusterNode({
+  store: createMongoStore(),
+  instanceId: process.env.INSTANCE_ID || undefined,
+  leaseTtl: CONFIG.LEADER_LEASE_TTL,
+  heartbeatInterval: CONFIG.CLUSTER_HEARTBEAT,
+  getConnectedClients: () => connectedClients,
+  onElected: () => forEachTable((table) => table.engine.start()),
+  onDemoted: () => forEachTable((table) => table.engine.stop()),
+  onLeaderTick: () => forEachTable((table) => table.engine.syncState()),
+  onFollowerTick: () => forEachTable((table) => table.engine.refreshState()),
+});
+
+// Round events for registered webhooks, see lib/webhooks.js
+const webhooks = createWebhookDispatcher({
+  store: createMongoStore(),
+  maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+  retryDelay: CONFIG.WEBHOOK_RETRY_DELAY,
+  timeout: CONFIG.WEBHOOK_TIMEOUT,
+});
+
+// Socket.IO event protocol, see lib/realtime.js
+for (const table of tables.values()) {
+  table.realtime = createRealtime(io, { source: cluster.instanceId, table: table.id });
+}
+
+function forEachTable(fn) {
+  return Promise.all([...tables.values()].map(fn));
+}
+
+// A follower's game state only catches up on the next heartbeat, so for up
+// to CLUSTER_HEARTBEAT after a new round opens it still points at the last
+// one. Anything acting on the current round reads it fresh. The leader's own
+// state is always current.
+async function refreshFollowerState(table) {
+  if (!cluster.isLeader) await table.engine.refreshState();
+}
+
+// Log lines name the table once there is more than one
+function tableLogger(tableId) {
+  if (!process.env.TABLES) return console;
+  return {
+    log: (message, ...rest) => console.log(`[${tableId}] ${message}`, ...rest),
+    error: (message, ...rest) => console.error(`[${tableId}] ${message}`, ...rest),
+  };
+}
+
+// Each socket follows one table, picked with ?table= on the connection.
+// Checked before a connection slot is taken: a socket rejected here never
+// disconnects, so it could not give the slot back.
+io.use((socket, next) => {
+  const tableId = socket.handshake.query.table;
+  const table = tableId ? tables.get(tableId) : defaultTable;
+  if (!table) return next(new Error(`Unknown table: ${tableId}`));
+
+  socket.data.table = table;
+  next();
+});
+
+// Refuse sockets beyond the per-IP and overall connection limits. Must stay
+// the last middleware: the slot is only released on disconnect.
+io.use((socket, next) => {
+  const ip = getSocketIp(socket);
+  const error = socketLimiter.acquire(ip);
+  if (error) return next(new Error(error));
+
+  socket.once("disconnect", () => socketLimiter.release(ip));
+  next();
+});
 
 // WebSocket connection handling
 io.on("connection", (socket) => {
+  socket.join(tableRoom(socket.data.table.id));
   connectedClients++;
   console.log(`👤 Client connected. Total: ${connectedClients}`);
 
   // Send current game state to new client
-  socket.emit("gameUpdate", getCurrentGameData());
+  sendState(socket);
+  socket.on("state:get", () => {
+    if (socketEventLimiter.hit(socket.id).allowed) sendState(socket);
+  });
+
+  // Join the wallet's private room with a session from /api/verify-wallet
+  socket.on(
+    "auth",
+    createAuthHandler(socket, {
+      findSession: (token) =>
+        Session.findOne({ token, role: null, expiresAt: { $gt: new Date() } }),
+      allow: () => socketEventLimiter.hit(socket.id).allowed,
+    })
+  );
 
   socket.on("disconnect", () => {
+    socketEventLimiter.reset(socket.id);
     connectedClients--;
     console.log(`👤 Client disconnected. Total: ${connectedClients}`);
   });
 });
 
-// Broadcast game updates to all clients
-function broadcastGameUpdate() {
-  const gameData = getCurrentGameData();
-  io.emit("gameUpdate", gameData);
-  console.log(`📡 Broadcasting update to ${connectedClients} clients`);
+async function sendState(socket) {
+  try {
+    const { table } = socket.data;
+    socket.emit("state", table.realtime.snapshot(await getCurrentGameData(table)));
+  } catch (error) {
+    console.error("❌ Error sending game state:", error);
+  }
+}
+
+// Translate engine transitions into protocol events
+function handleEngineEvent(table, type, { round, gameState, timeLeft }) {
+  const { engine, realtime } = table;
+
+  switch (type) {
+    case "round:started":
+      realtime.publish("round:started", {
+        round: summarizeRound(round),
+        timeLeft: engine.getTimeLeft(round),
+      });
+      webhooks.emit("round.started", table.id, summarizeRound(round));
+      break;
+
+    case "round:spinning":
+      realtime.publish("round:spinning", {
+        roundNumber: round.roundNumber,
+        winningNumber: round.winningNumber,
+        winningColor: round.winningColor,
+        winningBets: round.winningBets,
+        prizeAmount: round.prizeAmount,
+        spinEndsAt: round.phaseEndsAt,
+      });
+      break;
+
+    case "round:result":
+      realtime.publish("round:result", {
+        roundNumber: round.roundNumber,
+        winningNumber: round.winningNumber,
+        winningColor: round.winningColor,
+        winningBets: round.winningBets,
+        winners: round.winners,
+        winner: round.winner || null,
+        prizeAmount: round.prizeAmount,
+        votes: round.votes,
+        nextRoundNumber: gameState.currentRound,
+        nextRoundStartTime: gameState.nextRoundStartTime,
+        totalRoundsPlayed: gameState.totalRoundsPlayed,
+      });
+      for (const winner of round.winners) {
+        realtime.sendToWallet(winner.walletAddress, "round:won", {
+          roundNumber: round.roundNumber,
+          winningNumber: round.winningNumber,
+          winningColor: round.winningColor,
+          bet: winner.bet,
+          prizeAmount: winner.amount,
+        });
+      }
+      webhooks.emit("round.result", table.id, {
+        roundNumber: round.roundNumber,
+        winningNumber: round.winningNumber ?? null,
+        winningColor: round.winningColor,
+        winningBets: round.winningBets,
+        winners: round.winners.map(({ walletAddress, category, bet, rank, amount }) => ({
+          walletAddress,
+          category,
+          bet,
+          rank,
+          amount,
+        })),
+        prizeAmount: round.prizeAmount,
+        participants: round.participants.length,
+      });
+      console.log(`📡 Round ${round.roundNumber} (${table.id}) result sent to ${connectedClients} clients`);
+      break;
+
+    case "round:cancelled":
+      realtime.publish("round:cancelled", {
+        roundNumber: round.roundNumber,
+        reason: round.cancelReason || null,
+        nextRoundNumber: gameState.currentRound,
+        nextRoundStartTime: gameState.nextRoundStartTime,
+      });
+      break;
+
+    case "game:paused":
+    case "game:resumed":
+      realtime.publish(type, {
+        roundNumber: gameState.currentRound,
+        status: round ? round.status : null,
+        timeLeft: engine.getTimeLeft(round),
+        nextRoundStartTime: gameState.nextRoundStartTime,
+      });
+      break;
+
+    case "tick":
+      realtime.publish("tick", {
+        roundNumber: round ? round.roundNumber : engine.gameState.currentRound,
+        status: round ? round.status : null,
+        timeLeft,
+      });
+      break;
+  }
 }
 
-async function getCurrentGameData() {
+async function getCurrentGameData(table) {
+  const { engine } = table;
+  await refreshFollowerState(table);
   const currentRound = await Round.findOne({
-    roundNumber: currentGameState.currentRound,
+    tableId: table.id,
+    roundNumber: engine.gameState.currentRound,
   }).sort({ _id: -1 });
 
-  // Use server countdown instead of calculating time
-  const timeLeft = serverTimeLeft;
+  // Countdown from the persisted voting deadline
+  const timeLeft = engine.getTimeLeft(currentRound);
+  const rules = engine.getRoundSettings(currentRound);
 
   return {
+    table: { id: table.id, name: table.name },
     gameState: {
-      currentRound: currentGameState.currentRound,
+      currentRound: engine.gameState.currentRound,
       timeLeft: timeLeft,
-      totalPrizesGiven: currentGameState.totalPrizesGiven,
-      totalRoundsPlayed: currentGameState.totalRoundsPlayed,
-      lastWinner: currentGameState.lastWinner,
-      lastPrizeAmount: currentGameState.lastPrizeAmount,
-      isActive: currentGameState.isActive,
+      totalPrizesGiven: engine.gameState.totalPrizesGiven,
+      totalRoundsPlayed: engine.gameState.totalRoundsPlayed,
+      lastWinner: engine.gameState.lastWinner,
+      lastPrizeAmount: engine.gameState.lastPrizeAmount,
+      isActive: engine.gameState.isActive,
+      pausedAt: engine.gameState.pausedAt || null,
     },
     roundData: currentRound
       ? {
           status: currentRound.status,
           votes: currentRound.votes,
+          tickets: currentRound.tickets,
+          entryMode: currentRound.entryMode ? currentRound.entryMode.mode : "single",
           participants: currentRound.participants.length,
+          winningNumber: currentRound.winningNumber ?? null,
           winningColor: currentRound.winningColor,
+          winningBets: currentRound.winningBets,
+          winners: currentRound.winners,
           winner: currentRound.winner,
           prizeAmount: currentRound.prizeAmount,
           startTime: currentRound.startTime,
+          serverSeedHash: currentRound.serverSeedHash,
         }
       : {
           status: "voting",
-          votes: { red: 0, black: 0 },
+          votes: Object.fromEntries(BETS.map((bet) => [bet, 0])),
           participants: 0,
+          winningNumber: null,
           winningColor: null,
+          winningBets: [],
+          winners: [],
           winner: null,
           prizeAmount: 0,
           startTime: new Date(),
+          serverSeedHash: null,
         },
+    // Rules of the current round (or, between rounds, of the next one)
     config: {
-      minTokenBalance: CONFIG.MIN_TOKEN_BALANCE,
-      roundDuration: CONFIG.ROUND_DURATION,
-      tokenMint: CONFIG.REQUIRED_TOKEN_MINT,
+      minTokenBalance: rules.minTokenBalance,
+      roundDuration: rules.roundDuration,
+      tokenMint: rules.tokenMint,
+      settingsVersion: rules.version || null,
+      prizeMode: rules.prizePool ? rules.prizePool.mode : "manual",
+      payoutStructure: rules.payoutStructure || null,
+      betCategories: BET_CATEGORIES,
     },
   };
 }
 
 // Utility Functions
-async function getTokenBalance(walletAddress, tokenMint) {
-  try {
-    const publicKey = new PublicKey(walletAddress);
-    const tokenAccounts = await solanaConnection.getParsedTokenAccountsByOwner(
-      publicKey,
-      { mint: new PublicKey(tokenMint) }
-    );
 
-    if (tokenAccounts.value.length === 0) return 0;
+// Throws on RPC failure, so callers can tell "no tokens" from "couldn't check".
+// Never cached: the vote-time re-check has to see tokens moved out a moment ago.
+async function fetchTokenBalance(walletAddress, tokenMint) {
+  return balanceProvider.getTokenBalance(walletAddress, tokenMint);
+}
 
-    const balance =
-      tokenAccounts.value[0].account.data.parsed.info.tokenAmount.amount;
-    return parseInt(balance);
+// Cached lookup for verification (0 when the RPC fails)
+async function getTokenBalance(walletAddress, tokenMint) {
+  try {
+    return await cachedBalances.getTokenBalance(walletAddress, tokenMint);
   } catch (error) {
     console.error("❌ Error getting token balance:", error);
     return 0;
   }
 }
 
-function isValidSolanaAddress(address) {
-  try {
-    new PublicKey(address);
-    return true;
-  } catch {
-    return false;
+// Client address of a socket, honouring TRUST_PROXY like req.ip does
+function getSocketIp(socket) {
+  const forwarded = socket.handshake.headers["x-forwarded-for"];
+  if (TRUST_PROXY_HOPS > 0 && forwarded) {
+    const hops = forwarded.split(",").map((address) => address.trim());
+    return hops[Math.max(0, hops.length - TRUST_PROXY_HOPS)];
   }
+  return socket.handshake.address;
 }
 
-// Game Logic Functions
-async function initializeGameState() {
-  currentGameState = await GameState.findOne();
-  if (!currentGameState) {
-    currentGameState = new GameState({
-      currentRound: 1,
-      totalPrizesGiven: 0,
-    });
-    await currentGameState.save();
-  }
+// Reject with 429 once key(req) has used up its window on the limiter
+function rateLimit(name, limiter, key) {
+  return (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
 
-  await ensureCurrentRound();
-  startRoundTimer();
-}
+    const result = limiter.hit(`${name}:${value}`);
+    res.set("RateLimit-Limit", String(result.limit));
+    res.set("RateLimit-Remaining", String(result.remaining));
 
-async function ensureCurrentRound() {
-  // Always create a voting round if none exists
-  const existingRound = await Round.findOne({
-    roundNumber: currentGameState.currentRound,
-  });
+    if (result.allowed) return next();
 
-  if (!existingRound) {
-    const newRound = new Round({
-      roundNumber: currentGameState.currentRound,
-      status: "voting",
-      startTime: new Date(),
-      prizeAmount: 0,
-      votes: { red: 0, black: 0 },
-      participants: []
-    });
-    await newRound.save();
-    console.log(`🎲 NEW VOTING ROUND CREATED: ${currentGameState.currentRound}`);
-  } else if (existingRound.status !== "voting") {
-    // If round exists but not in voting state, reset it to voting
-    existingRound.status = "voting";
-    existingRound.startTime = new Date();
-    existingRound.votes = { red: 0, black: 0 };
-    existingRound.participants = [];
-    await existingRound.save();
-    console.log(`🔄 ROUND RESET TO VOTING: ${currentGameState.currentRound}`);
-  }
-  
-  broadcastGameUpdate();
+    res.set("Retry-After", String(result.retryAfter));
+    res.status(429).json({
+      success: false,
+      error: `Too many requests. Try again in ${result.retryAfter} seconds.`,
+      retryAfter: result.retryAfter,
+    });
+  };
 }
 
-async function endVotingPhase() {
-  const currentRound = await Round.findOne({
-    roundNumber: currentGameState.currentRound,
-    status: "voting",
-  });
-
-  if (!currentRound) return;
-
-  // Step 1: Randomly select winning color (50/50 chance)
-  const winningColor = Math.random() < 0.5 ? "red" : "black";
-  currentRound.winningColor = winningColor;
-  currentRound.status = "spinning";
-  await currentRound.save();
-
-  console.log(`⏰ Voting ended for round ${currentGameState.currentRound}`);
-  console.log(`🎯 Winning Color: ${winningColor.toUpperCase()}`);
+function limitIp(name) {
+  return rateLimit(name, ipLimiter, (req) => req.ip);
+}
 
-  broadcastGameUpdate();
+// Keyed on a wallet the caller has proven to hold (after requireSession or
+// requireWalletSignature): a wallet named in the body could be anyone's, and
+// spending its budget would lock its owner out
+function limitWallet(name) {
+  return rateLimit(name, walletLimiter, (req) => req.walletAddress);
+}
 
-  // Step 2: Select winner after 3 seconds
-  setTimeout(async () => {
-    await selectWinner();
-  }, 3000);
+function isValidSolanaAddress(address) {
+  try {
+    new PublicKey(address);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-async function selectWinner() {
-  const currentRound = await Round.findOne({
-    roundNumber: currentGameState.currentRound,
-    status: "spinning",
-  });
+// Require a valid session token (issued by /api/verify-wallet)
+async function requireSession(req, res, next) {
+  try {
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
 
-  if (!currentRound) return;
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: "Missing session token. Please verify your wallet first.",
+      });
+    }
 
-  const winningColor = currentRound.winningColor;
+    const session = await Session.findOne({
+      token,
+      role: null,
+      expiresAt: { $gt: new Date() },
+    });
 
-  // Get all voters for the winning color
-  const winningVotes = await Vote.find({
-    roundId: currentRound.roundNumber.toString(),
-    color: winningColor,
-  });
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: "Session expired. Please verify your wallet again.",
+      });
+    }
 
-  let winner = null;
-  if (winningVotes.length > 0) {
-    // Randomly select winner from winning color voters
-    const randomIndex = Math.floor(Math.random() * winningVotes.length);
-    winner = winningVotes[randomIndex].walletAddress;
+    req.walletAddress = session.walletAddress;
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
+}
 
-  currentRound.winner = winner;
-  currentRound.status = "completed";
-  currentRound.endTime = new Date();
-  await currentRound.save();
-
-  // Update game state
-  currentGameState.lastWinner = winner;
-  currentGameState.currentRound += 1;
-  currentGameState.totalRoundsPlayed += 1;
-  currentGameState.lastUpdated = new Date();
-  await currentGameState.save();
+// Identify the admin from an X-Admin-Key header or an admin session token
+async function authenticateAdmin(req, res, next) {
+  try {
+    const apiKeyAdmin = findAdminByKey(
+      CONFIG.ADMIN_API_KEYS,
+      req.headers["x-admin-key"]
+    );
 
-  console.log(`🎰 ROUND ${currentRound.roundNumber} RESULTS:`);
-  console.log(`🎯 Winning Color: ${winningColor.toUpperCase()}`);
-  console.log(`🏆 Winner: ${winner || "No Winner"}`);
-  console.log(`📊 Total Votes - Red: ${currentRound.votes.red}, Black: ${currentRound.votes.black}`);
+    if (apiKeyAdmin) {
+      req.admin = {
+        actor: apiKeyAdmin.name,
+        role: apiKeyAdmin.role,
+        authMethod: "apiKey",
+      };
+      return next();
+    }
 
-  broadcastGameUpdate();
+    const header = req.headers.authorization || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+    const session = token
+      ? await Session.findOne({
+          token,
+          role: { $ne: null },
+          expiresAt: { $gt: new Date() },
+        })
+      : null;
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: "Admin authentication required",
+      });
+    }
 
-  // Start next round after 5 seconds
-  setTimeout(async () => {
-    await startNextRound();
-  }, 5000);
+    req.admin = {
+      actor: session.walletAddress,
+      role: session.role,
+      authMethod: "wallet",
+    };
+    next();
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 }
 
-async function startNextRound() {
-  await ensureCurrentRound();
-  startRoundTimer();
-  console.log(`🆕 Round ${currentGameState.currentRound} started!`);
-  broadcastGameUpdate();
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.admin || !hasRole(req.admin.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Requires ${role} role`,
+      });
+    }
+    next();
+  };
 }
 
-function startRoundTimer() {
-  // Clear existing timers
-  if (roundTimer) {
-    clearTimeout(roundTimer);
-  }
-  if (serverTimerInterval) {
-    clearInterval(serverTimerInterval);
-  }
-
-  // Reset server countdown
-  serverTimeLeft = CONFIG.ROUND_DURATION / 1000; // Convert to seconds
-  
-  // Start server countdown
-  serverTimerInterval = setInterval(() => {
-    serverTimeLeft = Math.max(0, serverTimeLeft - 1);
-    
-    // Debug logging
-    if (serverTimeLeft % 60 === 0) {
-      console.log(`⏰ Time remaining: ${serverTimeLeft} seconds`);
-    }
-    
-    // Broadcast update every 5 seconds
-    if (serverTimeLeft % 5 === 0) {
-      broadcastGameUpdate();
-    }
-    
-    // End voting when time reaches 0
-    if (serverTimeLeft <= 0) {
-      console.log(`⏰ Timer reached 0, ending voting phase`);
-      clearInterval(serverTimerInterval);
-      endVotingPhase();
-    }
-  }, 1000);
-
-  console.log(`⏰ Voting started: ${serverTimeLeft} seconds`);
+async function recordAdminAction(req, action, target, before, after) {
+  try {
+    await new AdminAuditLog({
+      actor: req.admin.actor,
+      role: req.admin.role,
+      authMethod: req.admin.authMethod,
+      action,
+      target,
+      before,
+      after,
+      tableId: req.table ? req.table.id : undefined,
+      ip: req.ip,
+    }).save();
+  } catch (error) {
+    console.error("❌ Error writing admin audit log:", error);
+  }
 }
 
 // API Routes
 
+// Requests act on the table named by ?table= (or `table` in the body),
+// defaulting to the first table
+app.use("/api", (req, res, next) => {
+  const tableId = req.query.table || (req.body && req.body.table);
+  const table = tableId ? tables.get(tableId) : defaultTable;
+
+  if (!table) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown table: ${tableId}`,
+    });
+  }
+
+  req.table = table;
+  next();
+});
+
+// List the tables with their current round and rules
+app.get("/api/tables", async (req, res) => {
+  try {
+    const list = [];
+    for (const table of tables.values()) {
+      const { engine } = table;
+      const round = await engine.getCurrentRound();
+      const rules = engine.getRoundSettings(round);
+
+      list.push({
+        id: table.id,
+        name: table.name,
+        currentRound: engine.gameState ? engine.gameState.currentRound : null,
+        status: round ? round.status : null,
+        timeLeft: engine.getTimeLeft(round),
+        isActive: engine.gameState ? engine.gameState.isActive : false,
+        participants: round ? round.participants.length : 0,
+        prizeAmount: round ? round.prizeAmount : 0,
+        config: {
+          minTokenBalance: rules.minTokenBalance,
+          roundDuration: rules.roundDuration,
+          tokenMint: rules.tokenMint,
+          prizeMode: rules.prizePool ? rules.prizePool.mode : "manual",
+          payoutMode: rules.payoutStructure ? rules.payoutStructure.mode : "single",
+        },
+      });
+    }
+
+    res.json({ success: true, tables: list });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get game status
 app.get("/api/status", async (req, res) => {
   try {
-    const gameData = await getCurrentGameData();
+    const gameData = await getCurrentGameData(req.table);
     res.json({ success: true, ...gameData });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Verify wallet (token balance check only)
-app.post("/api/verify-wallet", async (req, res) => {
+// Request a sign-in challenge for a wallet
+app.post("/api/auth/challenge", limitIp("challenge"), async (req, res) => {
   try {
     const { walletAddress } = req.body;
 
@@ -411,60 +783,140 @@ app.post("/api/verify-wallet", async (req, res) => {
       });
     }
 
-    // Get token balance
-    const tokenBalance = await getTokenBalance(
-      walletAddress,
-      CONFIG.REQUIRED_TOKEN_MINT
-    );
+    const challenge = createChallenge(walletAddress, CONFIG.CHALLENGE_TTL);
+    await new AuthChallenge(challenge).save();
+
+    res.json({
+      success: true,
+      nonce: challenge.nonce,
+      message: challenge.message,
+      expiresAt: challenge.expiresAt,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+function takeChallenge(query) {
+  return AuthChallenge.findOneAndDelete(query);
+}
+
+// Require a signed challenge from /api/auth/challenge for the body's wallet
+async function requireWalletSignature(req, res, next) {
+  try {
+    const { walletAddress, nonce, signature } = req.body;
 
-    if (tokenBalance < CONFIG.MIN_TOKEN_BALANCE) {
+    if (!walletAddress || !isValidSolanaAddress(walletAddress)) {
       return res.status(400).json({
         success: false,
-        error: `Insufficient token balance. Required: ${
-          CONFIG.MIN_TOKEN_BALANCE / 1000000
-        }M tokens`,
-        balance: tokenBalance,
-        required: CONFIG.MIN_TOKEN_BALANCE,
+        error: "Invalid Solana wallet address",
       });
     }
 
-    // Save/update participant
-    await Participant.findOneAndUpdate(
-      { walletAddress },
-      {
-        walletAddress,
-        tokenBalance,
-        isVerified: true,
-        lastVerified: new Date(),
-      },
-      { upsert: true }
-    );
+    // Strings only: an object could be a query operator matching another
+    // wallet's challenge
+    if (!nonce || !signature || typeof nonce !== "string" || typeof signature !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Missing nonce or signature. Request a challenge and sign it.",
+      });
+    }
 
-    res.json({
-      success: true,
-      balance: tokenBalance,
-      isVerified: true,
-      message: `Wallet verified! You have ${Math.floor(
-        tokenBalance / 1000000
-      )}M tokens.`,
-    });
+    // Consume the challenge atomically so a signature can only be used once
+    const challengeError = await redeemChallenge(takeChallenge, req.body);
+
+    if (challengeError) {
+      return res.status(401).json({ success: false, error: challengeError });
+    }
 
-    // Don't broadcast game update for verification - it doesn't change game state
-    // broadcastGameUpdate();
+    req.walletAddress = walletAddress;
+    next();
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
-});
+}
+
+// Verify wallet (signed challenge + token balance check). Unsigned attempts
+// only count against the IP; the wallet's own budget is spent once the
+// signature checks out.
+app.post(
+  "/api/verify-wallet",
+  limitIp("verify"),
+  requireWalletSignature,
+  limitWallet("verify"),
+  async (req, res) => {
+    try {
+      const walletAddress = req.walletAddress;
+
+      // Get token balance, against the current round's rules
+      const rules = req.table.engine.getRoundSettings(await req.table.engine.getCurrentRound());
+      const tokenBalance = await getTokenBalance(walletAddress, rules.tokenMint);
+
+      if (tokenBalance < rules.minTokenBalance) {
+        return res.status(400).json({
+          success: false,
+          error: `Insufficient token balance. Required: ${
+            rules.minTokenBalance / 1000000
+          }M tokens`,
+          balance: tokenBalance,
+          required: rules.minTokenBalance,
+        });
+      }
+
+      // Save/update participant
+      await Participant.findOneAndUpdate(
+        { walletAddress },
+        {
+          walletAddress,
+          tokenBalance,
+          isVerified: true,
+          lastVerified: new Date(),
+        },
+        { upsert: true }
+      );
+
+      const session = new Session({
+        token: createSessionToken(),
+        walletAddress,
+        expiresAt: new Date(Date.now() + CONFIG.SESSION_TTL),
+      });
+      await session.save();
+
+      res.json({
+        success: true,
+        balance: tokenBalance,
+        isVerified: true,
+        sessionToken: session.token,
+        sessionExpiresAt: session.expiresAt,
+        message: `Wallet verified! You have ${Math.floor(
+          tokenBalance / 1000000
+        )}M tokens.`,
+      });
+
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
 
 // Cast vote
-app.post("/api/vote", async (req, res) => {
+app.post("/api/vote", limitIp("vote"), requireSession, limitWallet("vote"), async (req, res) => {
   try {
-    const { walletAddress, color } = req.body;
+    // `color` is what clients sent before the other bets existed
+    const bet = req.body.bet || req.body.color;
+    const walletAddress = req.walletAddress;
 
-    if (!walletAddress || !color || !["red", "black"].includes(color)) {
+    if (typeof bet !== "string" || !betCategory(bet)) {
       return res.status(400).json({
         success: false,
-        error: "Invalid vote data. Choose 'red' or 'black'",
+        error: `Invalid bet. Choose one of: ${BETS.join(", ")}`,
+      });
+    }
+
+    if (req.body.walletAddress && req.body.walletAddress !== walletAddress) {
+      return res.status(403).json({
+        success: false,
+        error: "Session does not belong to this wallet",
       });
     }
 
@@ -481,24 +933,38 @@ app.post("/api/vote", async (req, res) => {
       });
     }
 
-    // Check if already voted this round
+    if (Date.now() - participant.lastVerified.getTime() > CONFIG.VERIFICATION_TTL) {
+      return res.status(403).json({
+        success: false,
+        error: "Wallet verification expired. Please verify your wallet again.",
+      });
+    }
+
+    await refreshFollowerState(req.table);
+    const roundNumber = req.table.engine.gameState.currentRound;
+
+    // Check if already voted this round (castVote below is the atomic check,
+    // this one just skips the balance lookup)
     const existingVote = await Vote.findOne({
+      tableId: req.table.id,
       walletAddress,
-      roundId: currentGameState.currentRound.toString(),
+      roundId: roundNumber.toString(),
     });
 
     if (existingVote) {
       return res.status(400).json({
         success: false,
         error: "Already voted this round",
-        previousVote: existingVote.color,
+        previousVote: existingVote.bet,
       });
     }
 
-    // Get current round
+    // Get current round, open until its persisted voting deadline
     const currentRound = await Round.findOne({
-      roundNumber: currentGameState.currentRound,
+      tableId: req.table.id,
+      roundNumber,
       status: "voting",
+      votingEndsAt: { $gt: new Date() },
     });
 
     if (!currentRound) {
@@ -508,140 +974,710 @@ app.post("/api/vote", async (req, res) => {
       });
     }
 
-    // Create vote
-    const vote = new Vote({
+    if (currentRound.pausedAt) {
+      return res.status(400).json({ success: false, error: "Voting is paused" });
+    }
+
+    // Re-check holdings now, not just at verification time
+    const rules = req.table.engine.getRoundSettings(currentRound);
+    let tokenBalance;
+    try {
+      tokenBalance = await fetchTokenBalance(walletAddress, rules.tokenMint);
+    } catch (error) {
+      console.error("❌ Error re-checking token balance:", error);
+      return res.status(503).json({
+        success: false,
+        error: "Could not check token balance. Please try again.",
+      });
+    }
+
+    participant.tokenBalance = tokenBalance;
+    if (tokenBalance < rules.minTokenBalance) {
+      // Below this table's minimum only: the wallet stays verified for the others
+      await participant.save();
+
+      return res.status(400).json({
+        success: false,
+        error: `Insufficient token balance. Required: ${
+          rules.minTokenBalance / 1000000
+        }M tokens`,
+        balance: tokenBalance,
+        required: rules.minTokenBalance,
+      });
+    }
+    await participant.save();
+
+    // Create vote, worth tickets according to the round's entry mode
+    const tickets = computeTickets(
+      participant.tokenBalance,
+      currentRound.entryMode
+    );
+    // Tally and vote document are written atomically, see req.table.engine.castVote
+    const result = await req.table.engine.castVote({
+      roundNumber,
       walletAddress,
-      roundId: currentGameState.currentRound.toString(),
-      color,
+      bet,
+      tickets,
     });
-    await vote.save();
 
-    // Update round
-    currentRound.votes[color] += 1;
-    if (!currentRound.participants.includes(walletAddress)) {
-      currentRound.participants.push(walletAddress);
+    if (result.error) {
+      const previousVote = await Vote.findOne({
+        tableId: req.table.id,
+        walletAddress,
+        roundId: roundNumber.toString(),
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        previousVote: previousVote ? previousVote.bet : undefined,
+      });
     }
-    await currentRound.save();
 
-    const timeLeft = Math.max(
-      0,
-      Math.floor((currentGameState.nextRoundStartTime - new Date()) / 1000)
-    );
+    const round = result.round;
+    const timeLeft = req.table.engine.getTimeLeft(round);
 
     res.json({
       success: true,
-      message: `Vote cast for ${color.toUpperCase()}!`,
+      message: `Bet placed on ${bet.toUpperCase()}!`,
       voteData: {
-        color: color,
-        roundNumber: currentGameState.currentRound,
+        bet,
+        category: result.vote.category,
+        roundNumber,
         timeLeft: timeLeft,
-        votes: currentRound.votes,
-        totalVoters: currentRound.participants.length,
+        votes: round.votes,
+        tickets,
+        totalVoters: round.participants.length,
       },
     });
 
-    // Broadcast live vote update
-    broadcastGameUpdate();
+    // Broadcast the vote as a tally delta, confirm privately to the voter
+    req.table.realtime.publish("vote:cast", {
+      roundNumber,
+      walletAddress,
+      bet,
+      delta: { votes: 1, tickets },
+      participants: round.participants.length,
+    });
+    req.table.realtime.sendToWallet(walletAddress, "vote:accepted", {
+      roundNumber,
+      bet,
+      tickets,
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Admin: Set prize amount for current round
-app.post("/api/admin/set-prize", async (req, res) => {
+// Admin: Log in with a signed challenge from an admin wallet
+app.post("/api/admin/login", limitIp("admin-login"), async (req, res) => {
   try {
-    const { prizeAmount } = req.body;
-
-    if (!prizeAmount || prizeAmount <= 0) {
-      return res.status(400).json({
+    const { walletAddress, nonce, signature } = req.body;
+    const admin = findAdminByWallet(CONFIG.ADMIN_WALLETS, walletAddress);
+
+    if (
+      !admin ||
+      !nonce ||
+      !signature ||
+      typeof nonce !== "string" ||
+      typeof signature !== "string"
+    ) {
+      return res.status(401).json({
         success: false,
-        error: "Invalid prize amount",
+        error: "Not an admin wallet or missing signature",
       });
     }
 
-    const currentRound = await Round.findOne({
-      roundNumber: currentGameState.currentRound,
-    });
+    const challengeError = await redeemChallenge(takeChallenge, req.body);
 
-    if (currentRound) {
-      currentRound.prizeAmount = prizeAmount;
-      await currentRound.save();
+    if (challengeError) {
+      return res.status(401).json({ success: false, error: challengeError });
+    }
 
-      res.json({
-        success: true,
-        message: `Prize amount set to ${prizeAmount} SOL for round ${currentGameState.currentRound}`,
-      });
+    const session = new Session({
+      token: createSessionToken(),
+      walletAddress,
+      role: admin.role,
+      expiresAt: new Date(Date.now() + CONFIG.ADMIN_SESSION_TTL),
+    });
+    await session.save();
 
-      broadcastGameUpdate();
-    } else {
-      res.status(404).json({
-        success: false,
-        error: "Current round not found",
-      });
-    }
+    req.admin = { actor: walletAddress, role: admin.role, authMethod: "wallet" };
+    await recordAdminAction(req, "login", walletAddress);
+
+    res.json({
+      success: true,
+      role: admin.role,
+      sessionToken: session.token,
+      sessionExpiresAt: session.expiresAt,
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Admin: Mark prize as paid
-app.post("/api/admin/mark-paid", async (req, res) => {
-  try {
-    const { roundNumber } = req.body;
+// Every other admin route requires an authenticated admin
+app.use("/api/admin", authenticateAdmin);
 
-    const round = await Round.findOne({ roundNumber: roundNumber });
+// Admin: Set prize amount for current round
+app.post("/api/admin/set-prize", requireRole("operator"), async (req, res) => {
+  try {
+    const { prizeAmount } = req.body;
+    const { round, previousPrize, error, status } = await req.table.engine.setPrize(prizeAmount);
 
-    if (!round || !round.winner) {
-      return res.status(404).json({
-        success: false,
-        error: "Round or winner not found",
-      });
+    if (error) {
+      return res.status(status).json({ success: false, error });
     }
 
-    // Update global stats
-    currentGameState.totalPrizesGiven += round.prizeAmount;
-    currentGameState.lastPrizeAmount = round.prizeAmount;
-    await currentGameState.save();
+    await recordAdminAction(
+      req,
+      "set-prize",
+      `round:${round.roundNumber}`,
+      { prizeAmount: previousPrize },
+      { prizeAmount }
+    );
+
+    res.json({
+      success: true,
+      message: `Prize amount set to ${prizeAmount} SOL for round ${round.roundNumber}`,
+    });
+
+    req.table.realtime.publish("round:prize", {
+      roundNumber: round.roundNumber,
+      prizeAmount,
+    });
+    webhooks.emit("round.prize", req.table.id, {
+      roundNumber: round.roundNumber,
+      prizeAmount,
+      previousPrize,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Mark prize as paid
+app.post("/api/admin/mark-paid", requireRole("operator"), async (req, res) => {
+  try {
+    const { roundNumber, txSignature, walletAddress } = req.body;
+    const engine = req.table.engine;
+
+    const result = await engine.markPaid({
+      roundNumber,
+      walletAddress,
+      txSignature,
+      paidBy: req.admin.actor,
+      verify: (payout) =>
+        verifyPayoutTransaction(solanaConnection, {
+          txSignature,
+          recipient: payout.walletAddress,
+          minAmount: payout.amount,
+          mint: CONFIG.PAYOUT_MINT,
+          commitment: CONFIG.PAYOUT_COMMITMENT,
+        }),
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { payout, winner, round } = result;
+
+    if (result.rejected) {
+      await recordAdminAction(
+        req,
+        "mark-paid-rejected",
+        `round:${roundNumber}`,
+        null,
+        { walletAddress: winner.walletAddress, txSignature, reason: result.rejected }
+      );
+
+      return res.status(422).json({
+        success: false,
+        error: `Payment not confirmed: ${result.rejected}`,
+        payout,
+      });
+    }
+
+    if (result.alreadyPaid) {
+      return res.json({
+        success: true,
+        alreadyPaid: true,
+        message: `Prize for round ${roundNumber} was already marked paid to ${winner.walletAddress}`,
+        payout,
+      });
+    }
+
+    await recordAdminAction(
+      req,
+      "mark-paid",
+      `round:${roundNumber}`,
+      { walletAddress: winner.walletAddress, payoutStatus: "pending" },
+      {
+        totalPrizesGiven: engine.gameState.totalPrizesGiven,
+        lastPrizeAmount: engine.gameState.lastPrizeAmount,
+        walletAddress: winner.walletAddress,
+        payoutStatus: "paid",
+        roundPayoutStatus: round.payoutStatus,
+        txSignature,
+      }
+    );
 
     res.json({
       success: true,
       message: `Prize payment recorded for round ${roundNumber}`,
-      winner: round.winner,
-      amount: round.prizeAmount,
+      winner: winner.walletAddress,
+      amount: payout.amount,
+      roundPayoutStatus: round.payoutStatus,
+      payout,
+    });
+
+    req.table.realtime.publish("stats:updated", {
+      totalPrizesGiven: engine.gameState.totalPrizesGiven,
+      lastPrizeAmount: engine.gameState.lastPrizeAmount,
+    });
+    webhooks.emit("payout.marked", req.table.id, {
+      roundNumber,
+      walletAddress: winner.walletAddress,
+      amount: payout.amount,
+      txSignature,
+      roundPayoutStatus: round.payoutStatus,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Active game settings and the version the current round runs under
+app.get("/api/admin/settings", requireRole("viewer"), async (req, res) => {
+  try {
+    const settings = await req.table.engine.loadSettings();
+    const currentRound = await req.table.engine.getCurrentRound();
+
+    res.json({
+      success: true,
+      settings,
+      currentRound: currentRound
+        ? {
+            roundNumber: currentRound.roundNumber,
+            settingsVersion: req.table.engine.getRoundSettings(currentRound).version || null,
+          }
+        : null,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Previous settings versions (newest first)
+app.get("/api/admin/settings/history", requireRole("viewer"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json({ success: true, versions: await req.table.engine.listSettings(limit) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Change game settings (partial update, applies from the next round)
+app.put("/api/admin/settings", requireRole("operator"), async (req, res) => {
+  try {
+    // `table` picks the table to change, it isn't a setting
+    const { table, ...changes } = req.body;
+    const { settings, previous, error } = await req.table.engine.updateSettings(
+      changes,
+      req.admin.actor
+    );
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await recordAdminAction(
+      req,
+      "update-settings",
+      `settings:v${settings.version}`,
+      pickSettings(previous),
+      pickSettings(settings)
+    );
+
+    // A round already open keeps its rules
+    const currentRound = await req.table.engine.getCurrentRound();
+    const appliesFromRound = currentRound
+      ? currentRound.roundNumber + 1
+      : req.table.engine.gameState.currentRound;
+
+    res.json({
+      success: true,
+      message: `Settings v${settings.version} apply from round ${appliesFromRound}`,
+      settings,
+      appliesFromRound,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Pause the game (countdown frozen, no votes) until it is resumed
+app.post("/api/admin/pause", requireRole("operator"), async (req, res) => {
+  try {
+    const { gameState, round, error } = await req.table.engine.pause(req.admin.actor);
+
+    if (error) {
+      return res.status(409).json({ success: false, error });
+    }
+
+    await recordAdminAction(
+      req,
+      "pause",
+      `round:${gameState.currentRound}`,
+      { isActive: true },
+      { isActive: false, pausedAt: gameState.pausedAt }
+    );
+
+    res.json({
+      success: true,
+      message: `Game paused at round ${gameState.currentRound}`,
+      pausedAt: gameState.pausedAt,
+      timeLeft: req.table.engine.getTimeLeft(round),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Resume a paused game where it left off
+app.post("/api/admin/resume", requireRole("operator"), async (req, res) => {
+  try {
+    const pausedAt = req.table.engine.gameState.pausedAt;
+    const { gameState, round, error } = await req.table.engine.resume(req.admin.actor);
+
+    if (error) {
+      return res.status(409).json({ success: false, error });
+    }
+
+    await recordAdminAction(
+      req,
+      "resume",
+      `round:${gameState.currentRound}`,
+      { isActive: false, pausedAt },
+      { isActive: true }
+    );
+
+    res.json({
+      success: true,
+      message: `Game resumed at round ${gameState.currentRound}`,
+      timeLeft: req.table.engine.getTimeLeft(round),
+      nextRoundStartTime: round ? null : gameState.nextRoundStartTime,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Cancel the current round (no winner, votes voided)
+app.post("/api/admin/cancel-round", requireRole("operator"), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (reason !== undefined && (typeof reason !== "string" || reason.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: "Reason must be a string of at most 500 characters",
+      });
+    }
+
+    const { round, gameState, voidedVotes, error } = await req.table.engine.cancelRound(
+      req.admin.actor,
+      reason || null
+    );
+
+    if (error) {
+      return res.status(409).json({ success: false, error });
+    }
+
+    await recordAdminAction(
+      req,
+      "cancel-round",
+      `round:${round.roundNumber}`,
+      null,
+      { status: "cancelled", reason: reason || null, voidedVotes }
+    );
+
+    res.json({
+      success: true,
+      message: `Round ${round.roundNumber} cancelled, ${voidedVotes} votes voided`,
+      voidedVotes,
+      nextRoundNumber: gameState.currentRound,
+      nextRoundStartTime: gameState.nextRoundStartTime,
+      isActive: gameState.isActive,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Payout queue (unpaid by default, oldest round first), across every
+// table unless ?table= is given
+app.get("/api/admin/payouts", requireRole("viewer"), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const query = {};
+
+    if (req.query.table) query.tableId = req.table.id;
+
+    if (!status) {
+      query.status = { $in: ["pending", "failed"] };
+    } else if (status !== "all") {
+      query.status = status;
+    }
+
+    const payouts = await Payout.find(query)
+      .sort({ roundNumber: 1 })
+      .limit(limit);
+
+    const outstanding = await Payout.aggregate([
+      { $match: { ...query, status: { $in: ["pending", "failed"] } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: "$amount" } } },
+    ]);
+
+    res.json({
+      success: true,
+      payouts,
+      outstanding: {
+        count: outstanding[0] ? outstanding[0].count : 0,
+        amount: outstanding[0] ? outstanding[0].amount : 0,
+      },
     });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    broadcastGameUpdate();
+// Admin: Query the audit log (newest first)
+app.get("/api/admin/audit", requireRole("viewer"), async (req, res) => {
+  try {
+    const { action, actor } = req.query;
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && Number.isNaN(before.getTime())) {
+      return res.status(400).json({ success: false, error: "Invalid before date" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = {};
+
+    if (action) query.action = action;
+    if (actor) query.actor = actor;
+    if (req.query.table) query.tableId = req.table.id;
+    if (before) query.timestamp = { $lt: before };
+
+    const entries = await AdminAuditLog.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      entries,
+      nextBefore:
+        entries.length === limit ? entries[entries.length - 1].timestamp : null,
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Admin: Registered webhooks (secrets are only shown when created)
+app.get("/api/admin/webhooks", requireRole("viewer"), async (req, res) => {
+  try {
+    const list = await Webhook.find().sort({ createdAt: -1 });
+    res.json({ success: true, webhooks: list });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Register a webhook for some events, on one table (tableId) or all
+app.post("/api/admin/webhooks", requireRole("operator"), async (req, res) => {
+  try {
+    const { webhook, error } = validateWebhook(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const tableId = req.body.tableId || null;
+    if (tableId && !tables.has(tableId)) {
+      return res.status(400).json({ success: false, error: `Unknown table: ${tableId}` });
+    }
+
+    const secret = createWebhookSecret();
+    const created = await Webhook.create({
+      ...webhook,
+      tableId,
+      secret,
+      createdBy: req.admin.actor,
+    });
+
+    await recordAdminAction(req, "webhook-create", `webhook:${created._id}`, null, {
+      url: created.url,
+      events: created.events,
+      tableId,
+    });
+
+    const fields = created.toObject();
+    delete fields.secret;
+    res.status(201).json({ success: true, webhook: fields, secret });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Remove a webhook (pending deliveries to it are dropped)
+app.delete("/api/admin/webhooks/:id", requireRole("operator"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: "Webhook not found" });
+    }
+
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: "Webhook not found" });
+    }
+
+    await recordAdminAction(
+      req,
+      "webhook-delete",
+      `webhook:${webhook._id}`,
+      { url: webhook.url, events: webhook.events, tableId: webhook.tableId },
+      null
+    );
+
+    res.json({ success: true, message: `Webhook ${webhook.url} removed` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Delivery log of a webhook, newest first (?status=&before=&limit=)
+app.get("/api/admin/webhooks/:id/deliveries", requireRole("viewer"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, error: "Webhook not found" });
+    }
+
+    const { status } = req.query;
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && Number.isNaN(before.getTime())) {
+      return res.status(400).json({ success: false, error: "Invalid before date" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = { webhookId: req.params.id };
+
+    if (status) {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+        });
+      }
+      query.status = status;
+    }
+    if (before) query.createdAt = { $lt: before };
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      deliveries,
+      nextBefore:
+        deliveries.length === limit ? deliveries[deliveries.length - 1].createdAt : null,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: Stream rounds, votes or payouts as CSV or NDJSON, see lib/exports.js
+app.get("/api/admin/export", requireRole("viewer"), async (req, res) => {
+  try {
+    const { dataset, format, query, sort, error } = buildExportQuery(req.query, req.table.id);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const model = { rounds: Round, votes: Vote, payouts: Payout }[dataset];
+    let find = model.find(query).sort(sort).lean();
+    if (dataset === "rounds") find = find.select("+serverSeed");
+    const cursor = find.cursor({ batchSize: 500 });
+
+    const extension = format === "csv" ? "csv" : "ndjson";
+    res.setHeader(
+      "Content-Type",
+      format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${req.table.id}-${dataset}-${Date.now()}.${extension}"`
+    );
+
+    const rows = await streamRows(cursor, res, { dataset, format });
+    res.end();
+    console.log(`📤 Exported ${rows} ${dataset} (${format}) for ${req.admin.actor}`);
+  } catch (error) {
+    // Part of the file is already out: cut it short rather than end it cleanly
+    if (res.headersSent) {
+      console.error("❌ Export failed:", error);
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get participants for current round
 app.get("/api/participants", async (req, res) => {
   try {
-    const currentRound = await Round.findOne({
-      roundNumber: currentGameState.currentRound,
-    });
+    const currentRound = await req.table.engine.getCurrentRound();
 
     if (!currentRound) {
       return res.json({ success: true, participants: [], votes: [] });
     }
 
     const votes = await Vote.find({
-      roundId: currentGameState.currentRound.toString(),
+      tableId: req.table.id,
+      roundId: currentRound.roundNumber.toString(),
     })
-      .select("walletAddress color timestamp")
+      .select("walletAddress bet category tickets timestamp")
       .sort({ timestamp: -1 });
 
+    // Per bet, plus the total
+    const voteCount = { total: 0 };
+    const ticketCount = { total: 0 };
+    for (const bet of BETS) {
+      voteCount[bet] = 0;
+      ticketCount[bet] = 0;
+    }
+    votes.forEach((vote) => {
+      voteCount[vote.bet] += 1;
+      voteCount.total += 1;
+      ticketCount[vote.bet] += vote.tickets || 1;
+      ticketCount.total += vote.tickets || 1;
+    });
+
     res.json({
       success: true,
-      roundNumber: currentGameState.currentRound,
+      roundNumber: req.table.engine.gameState.currentRound,
+      entryMode: currentRound.entryMode ? currentRound.entryMode.mode : "single",
       participants: currentRound.participants.length,
-      voteCount: {
-        red: currentRound.votes.red,
-        black: currentRound.votes.black,
-        total: currentRound.votes.red + currentRound.votes.black,
-      },
+      voteCount,
+      ticketCount,
+      // Every wallet in the round with its bet and ticket count
+      wallets: votes.map((vote) => ({
+        walletAddress: vote.walletAddress,
+        bet: vote.bet,
+        category: vote.category,
+        tickets: vote.tickets || 1,
+      })),
       recentVotes: votes.slice(0, 20),
     });
   } catch (error) {
@@ -649,38 +1685,489 @@ app.get("/api/participants", async (req, res) => {
   }
 });
 
-// Get round history
+// Player profile: totals, prizes, current streak and vote history (newest
+// first, paginated with ?before=<timestamp>)
+app.get("/api/players/:wallet", limitIp("players"), async (req, res) => {
+  try {
+    const walletAddress = req.params.wallet;
+
+    if (!isValidSolanaAddress(walletAddress)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid Solana wallet address",
+      });
+    }
+
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && Number.isNaN(before.getTime())) {
+      return res.status(400).json({ success: false, error: "Invalid before date" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const tableId = req.table.id;
+
+    const [totals] = await Vote.aggregate(playerTotalsPipeline({ tableId, walletAddress }));
+    const betTotals = await Vote.aggregate(playerBetsPipeline({ tableId, walletAddress }));
+    const bets = Object.fromEntries(BETS.map((bet) => [bet, 0]));
+    for (const { _id, count } of betTotals) bets[_id] = count;
+
+    const wins = await Round.countDocuments({
+      tableId,
+      "winners.walletAddress": walletAddress,
+      status: "completed",
+    });
+    const payoutTotals = await Payout.aggregate([
+      { $match: { tableId, walletAddress } },
+      { $group: { _id: "$status", amount: { $sum: "$amount" } } },
+    ]);
+    const recentPayouts = await Payout.find({ tableId, walletAddress })
+      .sort({ roundNumber: -1 })
+      .limit(20)
+      .select("-_id roundNumber amount status txSignature paidAt");
+
+    const query = { tableId, walletAddress };
+    if (before) query.timestamp = { $lt: before };
+
+    const votes = await Vote.find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .select("roundId bet category tickets timestamp disqualified disqualificationReason voided");
+    const rounds = await findRoundsForVotes(tableId, votes);
+    const payouts = await Payout.find({
+      tableId,
+      walletAddress,
+      roundNumber: { $in: [...rounds.keys()] },
+    }).select("roundNumber status");
+    const payoutStatuses = new Map(
+      payouts.map((payout) => [payout.roundNumber, payout.status])
+    );
+
+    const history = votes.map((vote) => {
+      const roundNumber = parseInt(vote.roundId);
+      const round = rounds.get(roundNumber);
+      // `outcome` says whether the bet won, `won` whether its draw picked us
+      const prize = round
+        ? round.winners.find((winner) => winner.walletAddress === walletAddress)
+        : null;
+
+      return {
+        roundNumber,
+        bet: vote.bet,
+        category: vote.category,
+        tickets: vote.tickets || 1,
+        timestamp: vote.timestamp,
+        outcome: voteOutcome(vote, round),
+        winningNumber: round ? round.winningNumber ?? null : null,
+        winningColor: round ? round.winningColor || null : null,
+        won: Boolean(prize),
+        prizeAmount: prize ? prize.amount : 0,
+        payoutStatus: prize ? payoutStatuses.get(roundNumber) || null : null,
+        disqualificationReason: vote.disqualificationReason,
+        voided: Boolean(vote.voided),
+      };
+    });
+
+    res.json({
+      success: true,
+      player: {
+        walletAddress,
+        roundsPlayed: totals ? totals.roundsPlayed : 0,
+        bets,
+        wins,
+        prizes: summarizePayouts(
+          payoutTotals.map(({ _id, amount }) => ({ status: _id, amount }))
+        ),
+        recentPayouts,
+        streak: await computePlayerStreak(tableId, walletAddress),
+        firstPlayedAt: totals ? totals.firstPlayedAt : null,
+        lastPlayedAt: totals ? totals.lastPlayedAt : null,
+      },
+      history,
+      nextBefore:
+        votes.length === limit ? votes[votes.length - 1].timestamp : null,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rounds the votes (all from one table) were cast in, by round number
+async function findRoundsForVotes(tableId, votes) {
+  const rounds = await Round.find({
+    tableId,
+    roundNumber: { $in: votes.map((vote) => parseInt(vote.roundId)) },
+  }).select(
+    "roundNumber status winningNumber winningColor winningBets winners prizeAmount payoutStatus"
+  );
+
+  return new Map(rounds.map((round) => [round.roundNumber, round]));
+}
+
+// Walk the wallet's votes from newest to oldest until the streak breaks
+async function computePlayerStreak(tableId, walletAddress) {
+  const batchSize = 50;
+  let streak = emptyStreak();
+  let before = null;
+
+  while (!streak.ended) {
+    const query = { tableId, walletAddress };
+    if (before) query.timestamp = { $lt: before };
+
+    const votes = await Vote.find(query)
+      .sort({ timestamp: -1 })
+      .limit(batchSize)
+      .select("roundId bet timestamp disqualified");
+    const rounds = await findRoundsForVotes(tableId, votes);
+
+    streak = extendStreak(
+      streak,
+      votes.map((vote) => voteOutcome(vote, rounds.get(parseInt(vote.roundId))))
+    );
+
+    if (votes.length < batchSize) break;
+    before = votes[votes.length - 1].timestamp;
+  }
+
+  return { type: streak.type, length: streak.length };
+}
+
+// Leaderboard: top winners by rounds won (?by=wins) or prize total (?by=prizes)
+app.get("/api/leaderboard/winners", async (req, res) => {
+  try {
+    const by = req.query.by === "prizes" ? "prizes" : "wins";
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const tableId = req.table.id;
+    const winners = await statsCache.wrap(`${tableId}:winners:${by}:${limit}`, () =>
+      Round.aggregate(topWinnersPipeline({ tableId, by, limit }))
+    );
+
+    res.json({ success: true, by, winners });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Leaderboard: wallets that played the most rounds
+app.get("/api/leaderboard/active", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const tableId = req.table.id;
+    const players = await statsCache.wrap(`${tableId}:active:${limit}`, () =>
+      Vote.aggregate(mostActivePipeline({ tableId, limit }))
+    );
+
+    res.json({ success: true, players });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stats: red, black and green results per day or week over the last ?days
+app.get("/api/stats/results", async (req, res) => {
+  try {
+    const period = parsePeriod(req.query.period);
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+
+    const tableId = req.table.id;
+    const distribution = await statsCache.wrap(`${tableId}:results:${period}:${days}`, () =>
+      Round.aggregate(
+        resultDistributionPipeline({ tableId, period, since: daysAgo(days) })
+      )
+    );
+    const totals = distribution.reduce(
+      (sum, row) => ({
+        red: sum.red + row.red,
+        black: sum.black + row.black,
+        green: sum.green + (row.green || 0),
+      }),
+      { red: 0, black: 0, green: 0 }
+    );
+
+    res.json({ success: true, period, days, totals, distribution });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stats: participants, votes and tickets in the latest completed rounds
+app.get("/api/stats/participation", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const tableId = req.table.id;
+    const rounds = await statsCache.wrap(`${tableId}:participation:${limit}`, () =>
+      Round.aggregate(participationPipeline({ tableId, limit }))
+    );
+
+    res.json({ success: true, rounds });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stats: daily or weekly rollups of rounds, votes, players and prizes
+app.get("/api/stats/rollups", async (req, res) => {
+  try {
+    const period = parsePeriod(req.query.period);
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+
+    const tableId = req.table.id;
+    const rollups = await statsCache.wrap(`${tableId}:rollups:${period}:${days}`, async () => {
+      const since = daysAgo(days);
+      const roundRows = await Round.aggregate(
+        roundRollupPipeline({ tableId, period, since })
+      );
+      const playerRows = await Vote.aggregate(
+        playerRollupPipeline({ tableId, period, since })
+      );
+      return mergeRollups(roundRows, playerRows);
+    });
+
+    res.json({ success: true, period, days, rollups });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000);
+}
+
+// Get round history (newest first, filters and ?before= cursor in lib/history.js)
 app.get("/api/history", async (req, res) => {
   try {
-    const rounds = await Round.find({ status: "completed" })
+    const { query, limit, error } = buildHistoryQuery(req.query, req.table.id);
+
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const rounds = await Round.find(query)
       .sort({ roundNumber: -1 })
-      .limit(50)
+      .limit(limit)
       .select(
-        "roundNumber votes winningColor winner prizeAmount endTime participants"
+        "roundNumber votes winningNumber winningColor winningBets winners winner prizeAmount payoutStatus settings.payoutStructure endTime participants serverSeedHash serverSeed clientSeed"
       );
 
     res.json({
       success: true,
       rounds: rounds,
       totalRounds: rounds.length,
+      nextBefore:
+        rounds.length === limit ? rounds[rounds.length - 1].roundNumber : null,
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Health check
-app.get("/api/health", (req, res) => {
-  res.json({
-    success: true,
-    status: "🎰 GAMBLING SERVER ONLINE",
-    timestamp: new Date().toISOString(),
-    currentRound: currentGameState
-      ? currentGameState.currentRound
-      : "Not initialized",
-    connectedClients: connectedClients,
-    gameType: "MANUAL_ADMIN_PAYMENTS",
-  });
+// One round with every vote, the winners and their payouts (seed revealed once
+// completed)
+app.get("/api/rounds/:roundNumber", async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber);
+
+    if (Number.isNaN(roundNumber)) {
+      return res.status(400).json({ success: false, error: "Invalid round number" });
+    }
+
+    const tableId = req.table.id;
+    const round = await Round.findOne({ tableId, roundNumber }).select("+serverSeed");
+
+    if (!round) {
+      return res.status(404).json({ success: false, error: "Round not found" });
+    }
+
+    const details = round.toObject();
+    delete details._id;
+    delete details.__v;
+    if (round.status !== "completed") delete details.serverSeed;
+
+    const votes = await Vote.find({ tableId, roundId: roundNumber.toString() })
+      .select("-_id walletAddress bet category tickets timestamp disqualified disqualificationReason voided")
+      .sort({ timestamp: 1 });
+
+    const payouts = await Payout.find({ tableId, roundNumber })
+      .select("-_id walletAddress amount status txSignature paidAt receivedAmount failureReason")
+      .lean();
+
+    res.json({
+      success: true,
+      round: details,
+      timeLeft: req.table.engine.getTimeLeft(round),
+      winners: round.winners.map((winner) => ({
+        ...winner.toObject(),
+        payout:
+          payouts.find((payout) => payout.walletAddress === winner.walletAddress) || null,
+      })),
+      winner: round.winner || null,
+      votes,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// What lib/fairness.js verifyRound needs from a completed round
+function revealRound(round, votes) {
+  return {
+    roundNumber: round.roundNumber,
+    serverSeed: round.serverSeed,
+    serverSeedHash: round.serverSeedHash,
+    clientSeed: round.clientSeed,
+    winningNumber: round.winningNumber ?? null,
+    winningColor: round.winningColor,
+    winners: round.winners.map(({ category, bet, walletAddress, rank }) => ({
+      category,
+      bet,
+      walletAddress,
+      rank: rank || 1,
+    })),
+    // Rounds opened before payout structures drew one winner per category
+    winnersPerCategory: winnersPerCategory(round.settings && round.settings.payoutStructure),
+    winner: round.winner || null,
+    votes: votes.map(({ walletAddress, bet, tickets, disqualified }) => ({
+      walletAddress,
+      bet,
+      tickets,
+      disqualified,
+    })),
+  };
+}
+
+// Recompute a completed round from its revealed seed and votes
+app.get("/api/rounds/:roundNumber/verify", async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber);
+
+    if (Number.isNaN(roundNumber)) {
+      return res.status(400).json({ success: false, error: "Invalid round number" });
+    }
+
+    const tableId = req.table.id;
+    const round = await Round.findOne({ tableId, roundNumber }).select("+serverSeed");
+
+    if (!round) {
+      return res.status(404).json({ success: false, error: "Round not found" });
+    }
+
+    if (round.status !== "completed") {
+      return res.status(400).json({
+        success: false,
+        error: "Server seed is revealed once the round is completed",
+        serverSeedHash: round.serverSeedHash,
+      });
+    }
+
+    if (!round.serverSeed) {
+      return res.status(400).json({
+        success: false,
+        error: "Round predates provably fair draws",
+      });
+    }
+
+    const votes = await Vote.find({ tableId, roundId: roundNumber.toString() })
+      .select("-_id walletAddress bet tickets disqualified")
+      .sort({ walletAddress: 1 })
+      .lean();
+
+    const revealed = revealRound(round, votes);
+
+    res.json({
+      success: true,
+      round: revealed,
+      verification: verifyRound(revealed),
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Downloadable audit report of a finished round: the round, every vote, each
+// winner's payout status and the fairness check (?format=json|csv)
+app.get("/api/rounds/:roundNumber/report", async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber);
+    const format = req.query.format || "json";
+
+    if (Number.isNaN(roundNumber)) {
+      return res.status(400).json({ success: false, error: "Invalid round number" });
+    }
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ success: false, error: "format must be json or csv" });
+    }
+
+    const tableId = req.table.id;
+    const round = await Round.findOne({ tableId, roundNumber }).select("+serverSeed");
+
+    if (!round) {
+      return res.status(404).json({ success: false, error: "Round not found" });
+    }
+
+    if (!["completed", "cancelled"].includes(round.status)) {
+      return res.status(400).json({
+        success: false,
+        error: "Audit reports are available once the round has ended",
+      });
+    }
+
+    const votes = await Vote.find({ tableId, roundId: roundNumber.toString() })
+      .sort({ walletAddress: 1 })
+      .lean();
+    const payouts = await Payout.find({ tableId, roundNumber }).lean();
+
+    const verification =
+      round.status === "completed" && round.serverSeed
+        ? verifyRound(revealRound(round, votes))
+        : null;
+    const report = buildAuditReport({
+      round: round.toObject(),
+      votes,
+      payouts,
+      verification: verification && { valid: verification.valid, checks: verification.checks },
+    });
+
+    const filename = `${tableId}-round-${roundNumber}-audit.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") {
+      res.type("text/csv").send(auditReportCsv(report));
+    } else {
+      res.json(report);
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Health check (client counts are summed across live instances)
+app.get("/api/health", async (req, res) => {
+  try {
+    const clusterStats = await cluster.getClusterStats();
+
+    res.json({
+      success: true,
+      status: "🎰 GAMBLING SERVER ONLINE",
+      timestamp: new Date().toISOString(),
+      currentRound: req.table.engine.gameState
+        ? req.table.engine.gameState.currentRound
+        : "Not initialized",
+      connectedClients: clusterStats.connectedClients,
+      instance: {
+        id: cluster.instanceId,
+        isLeader: cluster.isLeader,
+        connectedClients: connectedClients,
+      },
+      cluster: {
+        instances: clusterStats.instances,
+        leader: clusterStats.leader,
+      },
+      gameType: "MANUAL_ADMIN_PAYMENTS",
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 // Error handling
@@ -693,36 +2180,65 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
-server.listen(PORT, async () => {
-  console.log(`🎰 GAMBLING SERVER RUNNING ON PORT ${PORT}`);
-  console.log(`🎯 Game Type: MANUAL ADMIN PAYMENTS`);
-  console.log(`⏰ Round Duration: ${CONFIG.ROUND_DURATION / 60000} minutes`);
-  console.log(`🪙 Required Token: ${CONFIG.REQUIRED_TOKEN_MINT}`);
-  console.log(`💰 Min Token Balance: ${CONFIG.MIN_TOKEN_BALANCE / 1000000}M`);
-  console.log(`🔌 WebSocket Server: ACTIVE`);
-  console.log("🔄 Initializing game state...");
-
-  await initializeGameState();
-
-  console.log("✅ GAMBLING SERVER READY!");
-  console.log("🎲 Players can verify wallets and vote!");
-  console.log("🏆 Admin handles payments manually!");
-  console.log("📡 Real-time updates via WebSockets!");
-});
-
-// Graceful shutdown
-process.on("SIGTERM", async () => {
-  console.log("🛑 Shutting down server...");
-  if (roundTimer) clearTimeout(roundTimer);
-  await mongoose.connection.close();
-  server.close();
-  process.exit(0);
-});
-
-process.on("SIGINT", async () => {
-  console.log("🛑 Shutting down server...");
-  if (roundTimer) clearTimeout(roundTimer);
-  await mongoose.connection.close();
-  server.close();
-  process.exit(0);
-});
+function start() {
+  connectDatabase();
+
+  server.listen(PORT, async () => {
+    console.log(`🎰 GAMBLING SERVER RUNNING ON PORT ${PORT}`);
+    console.log(`🎯 Game Type: MANUAL ADMIN PAYMENTS`);
+    console.log(`🧮 Balance Provider: ${balanceProvider.name}`);
+    console.log(`🔌 WebSocket Server: ACTIVE`);
+    console.log("🔄 Initializing game state...");
+
+    await migrateToTables();
+    await migrateToBets();
+    for (const table of tables.values()) {
+      await table.engine.initialize();
+      const settings = table.engine.settings;
+      console.log(`🎰 Table ${table.id} (${table.name})`);
+      console.log(`⚙️ Game Settings: v${settings.version}`);
+      console.log(`⏰ Round Duration: ${settings.roundDuration / 60000} minutes`);
+      console.log(`🪙 Required Token: ${settings.tokenMint}`);
+      console.log(`💰 Min Token Balance: ${settings.minTokenBalance / 1000000}M`);
+      console.log(
+        `🏦 Prize Mode: ${settings.prizePool ? settings.prizePool.mode : "manual"}` +
+          (treasury ? ` (treasury ${treasury.wallet}, ${treasury.name})` : "")
+      );
+    }
+    await cluster.start();
+    webhooks.start();
+    console.log(
+      `🖥️ Instance ${cluster.instanceId} (${cluster.isLeader ? "leader" : "follower"})`
+    );
+
+    console.log("✅ GAMBLING SERVER READY!");
+    console.log("🎲 Players can verify wallets and vote!");
+    console.log("🏆 Admin handles payments manually!");
+    console.log("📡 Real-time updates via WebSockets!");
+  });
+
+  // Graceful shutdown
+  process.on("SIGTERM", async () => {
+    console.log("🛑 Shutting down server...");
+    await cluster.stop();
+    webhooks.stop();
+    await mongoose.connection.close();
+    server.close();
+    process.exit(0);
+  });
+
+  process.on("SIGINT", async () => {
+    console.log("🛑 Shutting down server...");
+    await cluster.stop();
+    webhooks.stop();
+    await mongoose.connection.close();
+    server.close();
+    process.exit(0);
+  });
+}
+
+// `node server.js` starts everything. Required from the tests it only builds
+// the app, with no database connection and no port.
+if (require.main === module) start();
+
+module.exports = { app, server, io };
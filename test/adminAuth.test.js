@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseAdminKeys,
+  parseAdminWallets,
+  findAdminByKey,
+  hasRole,
+} = require("../lib/adminAuth");
+
+test("parses admin keys and drops invalid entries", () => {
+  const admins = parseAdminKeys("alice:operator:k1, bob:viewer:k:2 ,eve:root:k3,broken");
+
+  assert.deepEqual(admins, [
+    { name: "alice", role: "operator", key: "k1" },
+    { name: "bob", role: "viewer", key: "k:2" },
+  ]);
+  assert.equal(findAdminByKey(admins, "k:2").name, "bob");
+  assert.equal(findAdminByKey(admins, "nope"), null);
+  assert.equal(findAdminByKey(admins, undefined), null);
+});
+
+test("parses admin wallets", () => {
+  assert.deepEqual(parseAdminWallets("W1:operator,W2:god"), [
+    { walletAddress: "W1", role: "operator" },
+  ]);
+});
+
+test("operators can do what viewers can, not the other way round", () => {
+  assert.equal(hasRole("operator", "viewer"), true);
+  assert.equal(hasRole("operator", "operator"), true);
+  assert.equal(hasRole("viewer", "operator"), false);
+  assert.equal(hasRole(undefined, "viewer"), false);
+});
@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parsePeriod,
+  topWinnersPipeline,
+  mostActivePipeline,
+  playerRollupPipeline,
+  resultDistributionPipeline,
+  mergeRollups,
+} = require("../lib/analytics");
+
+test("falls back to daily periods", () => {
+  assert.equal(parsePeriod("week"), "week");
+  assert.equal(parsePeriod("month"), "day");
+  assert.equal(parsePeriod(undefined), "day");
+});
+
+test("ranks winners by wins or by prize total", () => {
+  const sortOf = (pipeline) => pipeline.find((stage) => stage.$sort).$sort;
+
+  assert.deepEqual(Object.keys(sortOf(topWinnersPipeline({ by: "wins" }))), [
+    "wins",
+    "totalPrize",
+    "_id",
+  ]);
+  assert.deepEqual(Object.keys(sortOf(topWinnersPipeline({ by: "prizes" }))), [
+    "totalPrize",
+    "wins",
+    "_id",
+  ]);
+  assert.equal(
+    topWinnersPipeline({ limit: 5 }).find((stage) => stage.$limit).$limit,
+    5
+  );
+});
+
+test("credits each winner of a round with their share", () => {
+  const pipeline = topWinnersPipeline({});
+  const group = pipeline.find((stage) => stage.$group).$group;
+
+  assert.ok(pipeline.some((stage) => stage.$unwind === "$winners"));
+  assert.equal(group._id, "$winners.walletAddress");
+  assert.deepEqual(group.totalPrize, { $sum: "$winners.amount" });
+});
+
+test("buckets weeks starting on Monday", () => {
+  const since = new Date("2025-01-01T00:00:00Z");
+  const [match, group] = resultDistributionPipeline({ period: "week", since });
+
+  assert.deepEqual(match.$match.endTime, { $gte: since });
+  assert.deepEqual(group.$group._id.$dateTrunc, {
+    date: "$endTime",
+    unit: "week",
+    startOfWeek: "monday",
+  });
+});
+
+test("merges round and player rollups by period", () => {
+  const day1 = new Date("2025-01-01T00:00:00Z");
+  const day2 = new Date("2025-01-02T00:00:00Z");
+  const day3 = new Date("2025-01-03T00:00:00Z");
+
+  const rollups = mergeRollups(
+    [
+      { _id: day2, rounds: 4, votes: 20, prizes: 8, roundsWithWinner: 3 },
+      { _id: day1, rounds: 2, votes: 5, prizes: 1, roundsWithWinner: 1 },
+    ],
+    [
+      { _id: day1, players: 3 },
+      { _id: day2, players: 9 },
+      // Votes in a round that hasn't completed yet
+      { _id: day3, players: 2 },
+    ]
+  );
+
+  assert.deepEqual(rollups, [
+    { period: day1, rounds: 2, votes: 5, prizes: 1, roundsWithWinner: 1, players: 3 },
+    { period: day2, rounds: 4, votes: 20, prizes: 8, roundsWithWinner: 3, players: 9 },
+    { period: day3, rounds: 0, votes: 0, prizes: 0, roundsWithWinner: 0, players: 2 },
+  ]);
+});
+
+test("activity counts leave out votes voided by a cancelled round", () => {
+  const since = new Date("2025-01-01");
+  assert.deepEqual(mostActivePipeline({ tableId: "fast" })[0].$match, {
+    tableId: "fast",
+    voided: { $ne: true },
+  });
+  assert.deepEqual(playerRollupPipeline({ tableId: "fast", period: "day", since })[0].$match, {
+    tableId: "fast",
+    voided: { $ne: true },
+    timestamp: { $gte: since },
+  });
+});
@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require("@solana/spl-token");
+const {
+  createSolanaBalanceProvider,
+  createMemoryBalanceProvider,
+  createCachedBalanceProvider,
+  createBalanceProvider,
+} = require("../lib/balanceProviders");
+const { createManualClock } = require("../lib/clock");
+const { newWallet } = require("./helpers");
+
+const MINT = newWallet().address;
+const OTHER_MINT = newWallet().address;
+
+function tokenAccount(mint, amount) {
+  return {
+    account: { data: { parsed: { info: { mint, tokenAmount: { amount: String(amount) } } } } },
+  };
+}
+
+test("solana provider sums every account across both token programs", async () => {
+  const accounts = {
+    [TOKEN_PROGRAM_ID.toBase58()]: [
+      tokenAccount(MINT, 400),
+      tokenAccount(MINT, 100),
+      tokenAccount(OTHER_MINT, 9999),
+    ],
+    [TOKEN_2022_PROGRAM_ID.toBase58()]: [tokenAccount(MINT, 25)],
+  };
+  const connection = {
+    async getParsedTokenAccountsByOwner(owner, { programId }) {
+      return { value: accounts[programId.toBase58()] };
+    },
+  };
+
+  const provider = createSolanaBalanceProvider(connection);
+  assert.equal(await provider.getTokenBalance(newWallet().address, MINT), 525);
+});
+
+test("solana provider surfaces RPC errors", async () => {
+  const connection = {
+    async getParsedTokenAccountsByOwner() {
+      throw new Error("rpc down");
+    },
+  };
+
+  const provider = createSolanaBalanceProvider(connection);
+  await assert.rejects(provider.getTokenBalance(newWallet().address, MINT), /rpc down/);
+});
+
+test("memory provider reads flat and per-mint fixtures", async () => {
+  const provider = createMemoryBalanceProvider(
+    { alice: 5, [MINT]: { bob: 7 } },
+    1
+  );
+
+  assert.equal(await provider.getTokenBalance("alice", MINT), 5);
+  assert.equal(await provider.getTokenBalance("bob", MINT), 7);
+  assert.equal(await provider.getTokenBalance("bob", OTHER_MINT), 1);
+
+  provider.setBalance("alice", 0);
+  assert.equal(await provider.getTokenBalance("alice", MINT), 0);
+});
+
+test("selects the provider from the environment", () => {
+  assert.equal(createBalanceProvider({ BALANCE_PROVIDER: "memory" }).name, "memory");
+  assert.equal(createBalanceProvider({}, {}).name, "solana");
+});
+
+test("cached provider reuses recent balances and shares in-flight lookups", async () => {
+  const clock = createManualClock();
+  let lookups = 0;
+  const provider = {
+    name: "counting",
+    async getTokenBalance() {
+      lookups += 1;
+      return 1000 * lookups;
+    },
+  };
+  const cached = createCachedBalanceProvider(provider, { ttlMs: 30000, clock });
+
+  const [first, second] = await Promise.all([
+    cached.getTokenBalance("wallet-a", MINT),
+    cached.getTokenBalance("wallet-a", MINT),
+  ]);
+  assert.equal(first, 1000);
+  assert.equal(second, 1000);
+  assert.equal(await cached.getTokenBalance("wallet-a", MINT), 1000);
+  assert.equal(lookups, 1);
+
+  await clock.advance(30000);
+  assert.equal(await cached.getTokenBalance("wallet-a", MINT), 2000);
+  assert.equal(cached.name, "counting+cache");
+});
+
+test("cached provider doesn't cache failures", async () => {
+  let fail = true;
+  const provider = {
+    name: "flaky",
+    async getTokenBalance() {
+      if (fail) throw new Error("rpc down");
+      return 500;
+    },
+  };
+  const cached = createCachedBalanceProvider(provider, { ttlMs: 30000 });
+
+  await assert.rejects(cached.getTokenBalance("wallet-a", MINT), /rpc down/);
+  fail = false;
+  assert.equal(await cached.getTokenBalance("wallet-a", MINT), 500);
+});
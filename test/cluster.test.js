@@ -0,0 +1,137 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createClusterNode } = require("../lib/cluster");
+const { createMemoryStore } = require("../lib/memoryStore");
+const { createManualClock } = require("../lib/clock");
+const { silentLogger } = require("./helpers");
+
+function createTestNode(store, clock, instanceId, connectedClients = 0) {
+  const calls = [];
+  const node = createClusterNode({
+    store,
+    clock,
+    instanceId,
+    leaseTtl: 10000,
+    heartbeatInterval: 2000,
+    getConnectedClients: () => connectedClients,
+    onElected: () => calls.push("elected"),
+    onDemoted: () => calls.push("demoted"),
+    onFollowerTick: () => calls.push("follower"),
+    logger: silentLogger,
+  });
+  return { node, calls };
+}
+
+test("only one instance becomes the scheduler leader", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const a = createTestNode(store, clock, "node-a");
+  const b = createTestNode(store, clock, "node-b");
+
+  await a.node.start();
+  await b.node.start();
+  await clock.advance(10000);
+
+  assert.equal(a.node.isLeader, true);
+  assert.equal(b.node.isLeader, false);
+  assert.deepEqual(a.calls, ["elected"]);
+  assert.ok(b.calls.every((call) => call === "follower"));
+
+  await a.node.stop();
+  await b.node.stop();
+});
+
+test("a follower takes over once the leader stops renewing", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const a = createTestNode(store, clock, "node-a");
+  const b = createTestNode(store, clock, "node-b");
+
+  await a.node.start();
+  await b.node.start();
+
+  // Leader hangs: its heartbeat timer stops but the lease isn't released
+  clock.clearInterval(1);
+  await clock.advance(8000);
+  assert.equal(b.node.isLeader, false);
+
+  await clock.advance(4000);
+  assert.equal(b.node.isLeader, true);
+  assert.equal(b.calls.at(-1), "elected");
+
+  // The old leader notices on its next heartbeat and stands down
+  await a.node.heartbeat();
+  assert.equal(a.node.isLeader, false);
+  assert.equal(a.calls.at(-1), "demoted");
+
+  await a.node.stop();
+  await b.node.stop();
+});
+
+test("stopping the leader hands the lease over immediately", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const a = createTestNode(store, clock, "node-a");
+  const b = createTestNode(store, clock, "node-b");
+
+  await a.node.start();
+  await b.node.start();
+  await a.node.stop();
+  assert.deepEqual(a.calls, ["elected", "demoted"]);
+
+  await clock.advance(2000);
+  assert.equal(b.node.isLeader, true);
+
+  await b.node.stop();
+});
+
+test("the leader gets a tick on every heartbeat after its election", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const calls = [];
+  const node = createClusterNode({
+    store,
+    clock,
+    instanceId: "node-a",
+    heartbeatInterval: 2000,
+    onElected: () => calls.push("elected"),
+    onLeaderTick: () => calls.push("leader"),
+    logger: silentLogger,
+  });
+
+  await node.start();
+  await clock.advance(4000);
+  assert.deepEqual(calls, ["elected", "leader", "leader"]);
+
+  await node.stop();
+});
+
+test("cluster stats sum clients across live instances", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const a = createTestNode(store, clock, "node-a", 3);
+  const b = createTestNode(store, clock, "node-b", 4);
+  const c = createTestNode(store, clock, "node-c", 5);
+
+  await a.node.start();
+  await b.node.start();
+  await c.node.start();
+
+  assert.deepEqual(await a.node.getClusterStats(), {
+    instances: 3,
+    connectedClients: 12,
+    leader: "node-a",
+  });
+
+  // node-c stops heartbeating and drops out of the stats
+  clock.clearInterval(3);
+  await clock.advance(8000);
+  assert.deepEqual(await b.node.getClusterStats(), {
+    instances: 2,
+    connectedClients: 7,
+    leader: "node-a",
+  });
+
+  await a.node.stop();
+  await b.node.stop();
+});
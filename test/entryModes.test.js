@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildEntryMode, computeTickets, parseTiers } = require("../lib/entryModes");
+
+test("defaults to one ticket per wallet", () => {
+  const entryMode = buildEntryMode({});
+  assert.equal(entryMode.mode, "single");
+  assert.equal(computeTickets(500000000, entryMode), 1);
+});
+
+test("weighted mode gives a ticket per unit, capped", () => {
+  const entryMode = buildEntryMode({
+    ENTRY_MODE: "weighted",
+    ENTRY_TICKET_UNIT: "1000000",
+    ENTRY_MAX_TICKETS: "10",
+  });
+
+  assert.equal(computeTickets(1000000, entryMode), 1);
+  assert.equal(computeTickets(4500000, entryMode), 4);
+  assert.equal(computeTickets(99000000, entryMode), 10);
+  // Never fewer than one ticket for a verified voter
+  assert.equal(computeTickets(10, entryMode), 1);
+});
+
+test("tiered mode uses the highest band reached", () => {
+  const entryMode = buildEntryMode({
+    ENTRY_MODE: "tiered",
+    ENTRY_TIERS: "100000000:10,1000000:1,10000000:3",
+  });
+
+  assert.equal(computeTickets(1000000, entryMode), 1);
+  assert.equal(computeTickets(9999999, entryMode), 1);
+  assert.equal(computeTickets(10000000, entryMode), 3);
+  assert.equal(computeTickets(250000000, entryMode), 10);
+});
+
+test("ignores malformed tiers and unknown modes", () => {
+  assert.deepEqual(parseTiers("abc,1000:2,5:0"), [{ minBalance: 1000, tickets: 2 }]);
+  assert.equal(buildEntryMode({ ENTRY_MODE: "lottery" }).mode, "single");
+});
@@ -0,0 +1,191 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+const {
+  buildExportQuery,
+  csvCell,
+  streamRows,
+  buildAuditReport,
+  auditReportCsv,
+} = require("../lib/exports");
+
+async function* documents(list) {
+  for (const doc of list) yield doc;
+}
+
+// Cells of one CSV line (quoted cells may hold commas)
+function parseCsvLine(line) {
+  return [...line.matchAll(/("(?:[^"]|"")*"|[^,]*)(?:,|$)/g)]
+    .slice(0, -1)
+    .map(([, cell]) => (cell.startsWith('"') ? cell.slice(1, -1).replace(/""/g, '"') : cell));
+}
+
+function collect(stream) {
+  let text = "";
+  stream.on("data", (chunk) => (text += chunk));
+  return () => text;
+}
+
+const completedRound = {
+  tableId: "main",
+  roundNumber: 3,
+  status: "completed",
+  startTime: new Date("2025-01-01T00:00:00Z"),
+  endTime: new Date("2025-01-01T00:00:30Z"),
+  winningNumber: 7,
+  winningColor: "red",
+  winningBets: ["red", "odd", "low", "dozen1"],
+  winners: [{ walletAddress: "wallet-a", category: "color", bet: "red", rank: 1, amount: 2 }],
+  prizeAmount: 2,
+  payoutStatus: "pending",
+  participants: ["wallet-a", "wallet-b"],
+  votes: { red: 1, black: 1 },
+  tickets: { red: 3, black: 1 },
+  serverSeedHash: "hash",
+  serverSeed: "seed",
+  clientSeed: "client",
+};
+
+const roundVotes = [
+  { tableId: "main", roundId: "3", walletAddress: "wallet-a", bet: "red", category: "color", tickets: 3 },
+  { tableId: "main", roundId: "3", walletAddress: "wallet-b", bet: "black", category: "color", tickets: 1 },
+];
+
+test("builds export queries over dates and round numbers", () => {
+  assert.deepEqual(
+    buildExportQuery({ dataset: "rounds", fromRound: "5", toRound: "9" }, "fast"),
+    {
+      dataset: "rounds",
+      format: "csv",
+      query: { tableId: "fast", roundNumber: { $gte: 5, $lte: 9 } },
+      sort: { roundNumber: 1 },
+    }
+  );
+
+  const payouts = buildExportQuery({
+    dataset: "payouts",
+    format: "ndjson",
+    from: "2025-01-01",
+    to: "2025-02-01",
+  });
+  assert.equal(payouts.format, "ndjson");
+  assert.deepEqual(payouts.query.createdAt, {
+    $gte: new Date("2025-01-01"),
+    $lte: new Date("2025-02-01"),
+  });
+
+  // Votes name their round by a string id
+  assert.deepEqual(buildExportQuery({ dataset: "votes", fromRound: "2", toRound: "4" }).query, {
+    tableId: "main",
+    roundId: { $in: ["2", "3", "4"] },
+  });
+  assert.deepEqual(buildExportQuery({ dataset: "votes", fromRound: "2" }).query.$expr, {
+    $and: [{ $gte: [{ $toInt: "$roundId" }, 2] }],
+  });
+});
+
+test("rejects bad export parameters", () => {
+  assert.match(buildExportQuery({}).error, /^dataset must be one of/);
+  assert.match(buildExportQuery({ dataset: "votes", format: "xml" }).error, /^format/);
+  assert.equal(buildExportQuery({ dataset: "votes", from: "soon" }).error, "Invalid from date");
+  assert.equal(
+    buildExportQuery({ dataset: "rounds", fromRound: "0" }).error,
+    "fromRound must be a round number"
+  );
+  assert.equal(
+    buildExportQuery({ dataset: "rounds", fromRound: "9", toRound: "5" }).error,
+    "fromRound must not be after toRound"
+  );
+});
+
+test("escapes CSV cells and defuses formulas", () => {
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(new Date("2025-01-01T00:00:00Z")), "2025-01-01T00:00:00.000Z");
+  assert.equal(csvCell(["red", "odd"]), "red|odd");
+  assert.equal(csvCell('say "hi", then'), '"say ""hi"", then"');
+  assert.equal(csvCell("=HYPERLINK(1)"), "'=HYPERLINK(1)");
+  assert.equal(csvCell(-1.5), "-1.5");
+  assert.equal(csvCell([{ a: 1 }]), '"[{""a"":1}]"');
+});
+
+test("streams rounds as CSV without the seed of an open round", async () => {
+  const output = new PassThrough();
+  const text = collect(output);
+  const openRound = { ...completedRound, roundNumber: 4, status: "voting", winners: [] };
+
+  const rows = await streamRows(documents([completedRound, openRound]), output, {
+    dataset: "rounds",
+    format: "csv",
+  });
+  const [columns, first, second] = text().trim().split("\n").map(parseCsvLine);
+  const cell = (row, column) => row[columns.indexOf(column)];
+
+  assert.equal(rows, 2);
+  assert.equal(columns[0], "tableId");
+  assert.equal(cell(first, "votes"), "2");
+  assert.equal(cell(first, "tickets"), "4");
+  assert.equal(cell(first, "winningBets"), "red|odd|low|dozen1");
+  assert.equal(JSON.parse(cell(first, "winners"))[0].walletAddress, "wallet-a");
+  assert.equal(cell(first, "serverSeed"), "seed");
+  assert.equal(cell(second, "serverSeed"), "");
+});
+
+test("streams votes as NDJSON", async () => {
+  const output = new PassThrough();
+  const text = collect(output);
+
+  await streamRows(documents(roundVotes), output, { dataset: "votes", format: "ndjson" });
+  const lines = text().trim().split("\n").map((line) => JSON.parse(line));
+
+  assert.deepEqual(lines.map((line) => [line.roundNumber, line.walletAddress]), [
+    [3, "wallet-a"],
+    [3, "wallet-b"],
+  ]);
+});
+
+test("waits for a full output to drain and stops when it closes", async () => {
+  const output = new PassThrough({ highWaterMark: 16 });
+  const many = Array.from({ length: 200 }, (_, i) => ({ ...roundVotes[0], walletAddress: `w-${i}` }));
+  let read = 0;
+  output.on("data", () => {
+    if (++read === 5) output.destroy();
+  });
+
+  const rows = await streamRows(documents(many), output, { dataset: "votes", format: "csv" });
+  assert.ok(rows < many.length);
+});
+
+test("builds a round audit report with payout status", () => {
+  const report = buildAuditReport({
+    round: completedRound,
+    votes: roundVotes,
+    payouts: [{ walletAddress: "wallet-a", status: "paid", txSignature: "tx-1" }],
+    verification: { valid: true, checks: {} },
+  });
+
+  assert.equal(report.round.serverSeed, "seed");
+  assert.deepEqual(report.winners, [
+    {
+      walletAddress: "wallet-a",
+      category: "color",
+      bet: "red",
+      rank: 1,
+      amount: 2,
+      payoutStatus: "paid",
+      txSignature: "tx-1",
+      paidAt: null,
+    },
+  ]);
+  assert.equal(report.votes.length, 2);
+  assert.equal(report.verification.valid, true);
+
+  const [columns, ...rows] = auditReportCsv(report).trim().split("\n").map(parseCsvLine);
+  const pick = (row) => ["walletAddress", "won", "payoutStatus"].map((column) => row[columns.indexOf(column)]);
+  assert.deepEqual(
+    rows.map(pick),
+    [
+      ["wallet-a", "true", "paid"],
+      ["wallet-b", "false", ""],
+    ]
+  );
+});
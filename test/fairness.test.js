@@ -0,0 +1,267 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  numberColor,
+  winningBets,
+  hashServerSeed,
+  computeClientSeed,
+  computeOutcome,
+  computeColorOutcome,
+  verifyRound,
+} = require("../lib/fairness");
+
+const votes = [
+  { walletAddress: "wallet-c", bet: "black" },
+  { walletAddress: "wallet-a", bet: "red" },
+  { walletAddress: "wallet-b", bet: "odd" },
+  { walletAddress: "wallet-d", bet: "even" },
+  { walletAddress: "wallet-e", bet: "dozen2" },
+];
+
+function completedRound(serverSeed, roundVotes = votes, roundNumber = 7) {
+  const clientSeed = computeClientSeed(roundVotes);
+  const outcome = computeOutcome({ serverSeed, clientSeed, roundNumber, votes: roundVotes });
+  return {
+    roundNumber,
+    serverSeed,
+    serverSeedHash: hashServerSeed(serverSeed),
+    clientSeed,
+    winningNumber: outcome.winningNumber,
+    winningColor: outcome.winningColor,
+    winners: outcome.winners,
+    votes: roundVotes,
+  };
+}
+
+// A round from before the wheel: red/black only, one winner
+function completedColorRound(serverSeed, roundNumber = 7) {
+  const roundVotes = [
+    { walletAddress: "wallet-a", color: "red" },
+    { walletAddress: "wallet-b", color: "black" },
+  ];
+  const clientSeed = computeClientSeed(roundVotes);
+  const outcome = computeColorOutcome({ serverSeed, clientSeed, roundNumber, votes: roundVotes });
+  return {
+    roundNumber,
+    serverSeed,
+    serverSeedHash: hashServerSeed(serverSeed),
+    clientSeed,
+    winningColor: outcome.winningColor,
+    winner: outcome.winner,
+    votes: roundVotes,
+  };
+}
+
+test("client seed does not depend on vote order", () => {
+  assert.equal(computeClientSeed(votes), computeClientSeed([...votes].reverse()));
+});
+
+test("maps wheel numbers to the bets they win", () => {
+  assert.deepEqual(winningBets(0), { color: "green", parity: null, range: null, dozen: null });
+  assert.deepEqual(winningBets(1), { color: "red", parity: "odd", range: "low", dozen: "dozen1" });
+  assert.deepEqual(winningBets(24), { color: "black", parity: "even", range: "high", dozen: "dozen2" });
+  assert.deepEqual(winningBets(36), { color: "red", parity: "even", range: "high", dozen: "dozen3" });
+
+  const colors = Array.from({ length: 37 }, (_, number) => numberColor(number));
+  assert.equal(colors.filter((color) => color === "red").length, 18);
+  assert.equal(colors.filter((color) => color === "black").length, 18);
+});
+
+test("draws a winner in every category somebody won", () => {
+  for (let i = 0; i < 50; i++) {
+    const round = completedRound(`seed-${i}`);
+    const bets = winningBets(round.winningNumber);
+
+    for (const winner of round.winners) {
+      assert.equal(winner.bet, bets[winner.category]);
+      const vote = votes.find((entry) => entry.walletAddress === winner.walletAddress);
+      assert.equal(vote.bet, winner.bet);
+    }
+    for (const vote of votes) {
+      const won = Object.values(bets).includes(vote.bet);
+      assert.equal(
+        round.winners.some((winner) => winner.walletAddress === vote.walletAddress),
+        won
+      );
+    }
+  }
+});
+
+test("spreads the wheel over every number", () => {
+  const seen = new Set();
+  for (let i = 0; i < 2000; i++) seen.add(completedRound(`seed-${i}`).winningNumber);
+  assert.equal(seen.size, 37);
+});
+
+test("verifies an honest round", () => {
+  const result = verifyRound(completedRound("server-seed"));
+  assert.equal(result.valid, true);
+});
+
+test("verifies a round played before the wheel", () => {
+  const result = verifyRound(completedColorRound("server-seed"));
+  assert.equal(result.valid, true);
+  assert.equal(result.checks.winner, true);
+});
+
+test("detects a seed that doesn't match the commitment", () => {
+  const round = completedRound("server-seed");
+  round.serverSeed = "another-seed";
+  const result = verifyRound(round);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.commitment, false);
+});
+
+test("detects a tampered winner", () => {
+  const round = completedRound("server-seed");
+  round.winners = [{ category: "color", walletAddress: "wallet-z" }];
+  const result = verifyRound(round);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.winners, false);
+
+  const colorRound = completedColorRound("server-seed");
+  colorRound.winner = colorRound.winner === "wallet-a" ? "wallet-b" : "wallet-a";
+  assert.equal(verifyRound(colorRound).checks.winner, false);
+});
+
+test("never draws a disqualified vote", () => {
+  const roundVotes = [
+    { walletAddress: "wallet-a", bet: "red", disqualified: true },
+    { walletAddress: "wallet-b", bet: "red" },
+    { walletAddress: "wallet-c", bet: "black", disqualified: true },
+    { walletAddress: "wallet-d", bet: "black" },
+  ];
+
+  for (let i = 0; i < 50; i++) {
+    const round = completedRound(`seed-${i}`, roundVotes);
+    for (const winner of round.winners) {
+      assert.ok(["wallet-b", "wallet-d"].includes(winner.walletAddress));
+    }
+    assert.equal(verifyRound(round).valid, true);
+  }
+});
+
+test("draws in proportion to tickets", () => {
+  const roundVotes = [
+    { walletAddress: "wallet-a", bet: "odd", tickets: 3 },
+    { walletAddress: "wallet-b", bet: "odd", tickets: 1 },
+    { walletAddress: "wallet-c", bet: "even", tickets: 3 },
+    { walletAddress: "wallet-d", bet: "even", tickets: 1 },
+  ];
+  let heavyWins = 0;
+  let draws = 0;
+
+  for (let i = 0; i < 2000; i++) {
+    const [winner] = completedRound(`seed-${i}`, roundVotes).winners;
+    if (!winner) continue;
+    draws++;
+    if (winner.walletAddress === "wallet-a" || winner.walletAddress === "wallet-c") {
+      heavyWins++;
+    }
+  }
+
+  assert.ok(heavyWins / draws > 0.7 && heavyWins / draws < 0.8);
+});
+
+test("draws further winners without replacement, the first as a single draw would", () => {
+  const roundVotes = ["a", "b", "c", "d", "e"].flatMap((letter) =>
+    ["red", "black", "odd", "even"].map((bet) => ({
+      walletAddress: `wallet-${letter}-${bet}`,
+      bet,
+      tickets: letter === "a" ? 3 : 1,
+    }))
+  );
+  const clientSeed = computeClientSeed(roundVotes);
+
+  for (let i = 0; i < 20; i++) {
+    const input = { serverSeed: `seed-${i}`, clientSeed, roundNumber: 3, votes: roundVotes };
+    const single = computeOutcome(input);
+    const ranked = computeOutcome({ ...input, winnersPerCategory: 3 });
+
+    for (const winner of single.winners) {
+      const [first] = ranked.winners.filter((entry) => entry.category === winner.category);
+      assert.equal(first.walletAddress, winner.walletAddress);
+      assert.equal(first.rank, 1);
+    }
+    for (const category of Object.keys(ranked.draws)) {
+      const wallets = ranked.draws[category].winners.map((entry) => entry.walletAddress);
+      assert.equal(new Set(wallets).size, wallets.length);
+      const bettors = roundVotes.filter((vote) => vote.bet === ranked.draws[category].bet);
+      assert.equal(wallets.length, Math.min(3, bettors.length));
+    }
+  }
+});
+
+test("pays every bettor on a winning bet when all of them win", () => {
+  const clientSeed = computeClientSeed(votes);
+  const outcome = computeOutcome({
+    serverSeed: "server-seed",
+    clientSeed,
+    roundNumber: 7,
+    votes,
+    winnersPerCategory: "all",
+  });
+
+  assert.deepEqual(
+    outcome.winners.map((winner) => winner.walletAddress).sort(),
+    votes
+      .filter((vote) => outcome.winningBets.includes(vote.bet))
+      .map((vote) => vote.walletAddress)
+      .sort()
+  );
+});
+
+test("verifies ranked winners in their order", () => {
+  const roundVotes = ["a", "b", "c"].map((letter) => ({
+    walletAddress: `wallet-${letter}`,
+    bet: "dozen1",
+  }));
+  const clientSeed = computeClientSeed(roundVotes);
+  // A round landing on 1-12, so the dozen bettors are all drawn
+  let round;
+  for (let i = 0; !round; i++) {
+    const outcome = computeOutcome({
+      serverSeed: `seed-${i}`,
+      clientSeed,
+      roundNumber: 9,
+      votes: roundVotes,
+      winnersPerCategory: 3,
+    });
+    if (outcome.winningBets.includes("dozen1")) {
+      round = {
+        roundNumber: 9,
+        serverSeed: `seed-${i}`,
+        serverSeedHash: hashServerSeed(`seed-${i}`),
+        clientSeed,
+        winningNumber: outcome.winningNumber,
+        winners: outcome.winners,
+        winnersPerCategory: 3,
+        votes: roundVotes,
+      };
+    }
+  }
+
+  assert.equal(round.winners.length, 3);
+  assert.equal(verifyRound(round).valid, true);
+
+  const [first, second, third] = round.winners;
+  const swapped = [
+    { ...second, rank: 1 },
+    { ...first, rank: 2 },
+    third,
+  ];
+  assert.equal(verifyRound({ ...round, winners: swapped }).checks.winners, false);
+});
+
+test("has no winner when nobody picked a winning bet", () => {
+  const outcome = computeOutcome({
+    serverSeed: "server-seed",
+    clientSeed: computeClientSeed([]),
+    roundNumber: 1,
+    votes: [],
+  });
+  assert.deepEqual(outcome.winners, []);
+  assert.ok(outcome.winningBets.length >= 1);
+});
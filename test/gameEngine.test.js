@@ -0,0 +1,1121 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createGameEngine } = require("../lib/gameEngine");
+const { createMemoryStore } = require("../lib/memoryStore");
+const { createManualClock } = require("../lib/clock");
+const { createMemoryBalanceProvider } = require("../lib/balanceProviders");
+const { buildEntryMode } = require("../lib/entryModes");
+const { createMemoryTreasury } = require("../lib/prizePool");
+const { settingsFromConfig } = require("../lib/gameSettings");
+const {
+  BETS,
+  betCategory,
+  numberColor,
+  hashServerSeed,
+  computeClientSeed,
+  verifyRound,
+} = require("../lib/fairness");
+const { silentLogger } = require("./helpers");
+
+const CONFIG = {
+  ROUND_DURATION: 30000,
+  SPIN_DURATION: 3000,
+  INTERMISSION_DURATION: 5000,
+  ENTRY_MODE: buildEntryMode({}),
+  REQUIRED_TOKEN_MINT: "DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263",
+  MIN_TOKEN_BALANCE: 1000000,
+};
+
+function createTestEngine({
+  store = createMemoryStore(),
+  clock = createManualClock(),
+  balances = createMemoryBalanceProvider({}, 5000000),
+  treasury = null,
+  defaults = null,
+} = {}) {
+  let seeds = 0;
+  const events = [];
+  const engine = createGameEngine({
+    store,
+    clock,
+    balances,
+    treasury,
+    config: CONFIG,
+    defaults,
+    logger: silentLogger,
+    rng: { createServerSeed: () => `seed-${++seeds}` },
+    onEvent: (type) => events.push(type),
+  });
+  return { engine, store, clock, balances, events };
+}
+
+function castVotes(store, roundNumber, votes) {
+  for (const [walletAddress, bet] of votes) {
+    store.addVote({ roundNumber, walletAddress, bet, category: betCategory(bet) });
+  }
+}
+
+test("opens the first round with a committed seed and deadline", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+
+  const round = await store.findRound(1);
+  assert.equal(round.status, "voting");
+  assert.equal(round.serverSeedHash, hashServerSeed("seed-1"));
+  assert.equal(round.serverSeed, undefined);
+  assert.equal(round.votingEndsAt.getTime(), clock.now() + CONFIG.ROUND_DURATION);
+  assert.equal(engine.getTimeLeft(round), 30);
+
+  engine.stop();
+});
+
+test("plays a full round through to the next one", async () => {
+  const { engine, store, clock, events } = createTestEngine();
+  await engine.start();
+  await store.updateRound(1, { $set: { prizeAmount: 2 } });
+  castVotes(store, 1, [
+    ["wallet-a", "red"],
+    ["wallet-b", "red"],
+    ["wallet-c", "black"],
+    ["wallet-d", "black"],
+  ]);
+
+  await clock.advance(CONFIG.ROUND_DURATION);
+  let round = await store.findRound(1);
+  assert.equal(round.status, "spinning");
+  assert.ok(["red", "black"].includes(round.winningColor));
+
+  await clock.advance(CONFIG.SPIN_DURATION);
+  round = await store.findRound(1, { withSeed: true });
+  assert.equal(round.status, "completed");
+  assert.ok(round.winner);
+  assert.equal(round.payoutStatus, "pending");
+  assert.equal(engine.gameState.currentRound, 2);
+  assert.equal(engine.gameState.totalRoundsPlayed, 1);
+  assert.deepEqual(
+    store.listPayouts().map((payout) => payout.walletAddress),
+    [round.winner]
+  );
+
+  // The published outcome verifies from the revealed seed
+  const votes = await store.findVotes(1);
+  assert.equal(verifyRound({ ...round, votes }).valid, true);
+
+  await clock.advance(CONFIG.INTERMISSION_DURATION);
+  const next = await store.findRound(2);
+  assert.equal(next.status, "voting");
+  assert.equal(next.serverSeedHash, hashServerSeed("seed-2"));
+  assert.deepEqual(
+    events.filter((type) => type !== "tick"),
+    ["round:started", "round:spinning", "round:result", "round:started"]
+  );
+
+  engine.stop();
+});
+
+test("draws a winner per bet category and splits the prize", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+  await store.updateRound(1, { $set: { prizeAmount: 3 } });
+  castVotes(store, 1, BETS.map((bet) => [`wallet-${bet}`, bet]));
+
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+  const round = await store.findRound(1, { withSeed: true });
+  const share = Math.floor((3 / round.winningBets.length) * 1e9) / 1e9;
+
+  assert.equal(round.winningColor, numberColor(round.winningNumber));
+  assert.deepEqual(
+    round.winners.map((winner) => [winner.bet, winner.walletAddress, winner.amount]),
+    round.winningBets.map((bet) => [bet, `wallet-${bet}`, share])
+  );
+  assert.equal(round.winner, round.winners[0].walletAddress);
+  assert.deepEqual(
+    store.listPayouts().map((payout) => [payout.walletAddress, payout.amount]),
+    round.winners.map((winner) => [winner.walletAddress, share])
+  );
+  assert.equal(verifyRound({ ...round, votes: await store.findVotes(1) }).valid, true);
+
+  engine.stop();
+});
+
+test("tiered payouts pay ranked winners drawn without replacement", async () => {
+  const { engine, store, clock } = createTestEngine({
+    defaults: {
+      ...settingsFromConfig(CONFIG),
+      payoutStructure: { mode: "tiers", winners: 3, tiers: [50, 30, 20] },
+    },
+  });
+  await engine.start();
+  await store.updateRound(1, { $set: { prizeAmount: 12 } });
+  castVotes(
+    store,
+    1,
+    BETS.flatMap((bet) => [1, 2, 3, 4].map((i) => [`wallet-${bet}-${i}`, bet]))
+  );
+
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+  const round = await store.findRound(1, { withSeed: true });
+  const part = 12 / round.winningBets.length;
+
+  for (const bet of round.winningBets) {
+    const ranked = round.winners.filter((winner) => winner.bet === bet);
+    assert.deepEqual(ranked.map((winner) => winner.rank), [1, 2, 3]);
+    assert.equal(new Set(ranked.map((winner) => winner.walletAddress)).size, 3);
+    assert.deepEqual(
+      ranked.map((winner) => winner.amount),
+      [50, 30, 20].map((percent) => Math.floor(part * percent * 1e7) / 1e9)
+    );
+  }
+  assert.equal(store.listPayouts().length, round.winners.length);
+  assert.equal(
+    verifyRound({ ...round, votes: await store.findVotes(1), winnersPerCategory: 3 }).valid,
+    true
+  );
+
+  engine.stop();
+});
+
+test("refuses unknown bets", async () => {
+  const { engine } = createTestEngine();
+  await engine.start();
+
+  const { error } = await engine.castVote({
+    roundNumber: 1,
+    walletAddress: "wallet-a",
+    bet: "purple",
+    tickets: 1,
+  });
+  assert.match(error, /^Bet must be one of/);
+
+  engine.stop();
+});
+
+test("completes a round with no votes without a winner", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+  const round = await store.findRound(1);
+  assert.equal(round.status, "completed");
+  assert.equal(round.winner, null);
+  assert.deepEqual(store.listPayouts(), []);
+
+  engine.stop();
+});
+
+test("resumes a spinning round after a restart without losing votes", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const first = createTestEngine({ store, clock });
+  await first.engine.start();
+  castVotes(store, 1, [
+    ["wallet-a", "red"],
+    ["wallet-b", "black"],
+  ]);
+  await clock.advance(CONFIG.ROUND_DURATION);
+  const spinning = await store.findRound(1);
+  first.engine.stop();
+
+  // Server is down past the spin deadline
+  await clock.advance(60000);
+
+  const second = createTestEngine({ store, clock });
+  await second.engine.start();
+
+  const round = await store.findRound(1);
+  assert.equal(round.status, "completed");
+  assert.equal(round.winningColor, spinning.winningColor);
+  assert.equal((await store.findVotes(1)).length, 2);
+  assert.ok(round.winner);
+  assert.equal(second.engine.gameState.currentRound, 2);
+
+  second.engine.stop();
+});
+
+test("closes a voting round whose deadline passed while down", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const first = createTestEngine({ store, clock });
+  await first.engine.start();
+  castVotes(store, 1, [["wallet-a", "red"]]);
+  first.engine.stop();
+
+  await clock.advance(CONFIG.ROUND_DURATION + 1000);
+
+  const second = createTestEngine({ store, clock });
+  await second.engine.start();
+
+  const round = await store.findRound(1);
+  assert.equal(round.status, "spinning");
+  assert.equal((await store.findVotes(1)).length, 1);
+
+  second.engine.stop();
+});
+
+test("keeps counting down a voting round across a restart", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const first = createTestEngine({ store, clock });
+  await first.engine.start();
+  first.engine.stop();
+
+  await clock.advance(10000);
+
+  const second = createTestEngine({ store, clock });
+  await second.engine.start();
+  const round = await store.findRound(1);
+  assert.equal(round.status, "voting");
+  assert.equal(second.engine.getTimeLeft(round), 20);
+
+  await clock.advance(20000);
+  assert.equal((await store.findRound(1)).status, "spinning");
+
+  second.engine.stop();
+});
+
+test("moves the game on from a round completed just before a restart", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const first = createTestEngine({ store, clock });
+  await first.engine.start();
+  castVotes(store, 1, [["wallet-a", "red"]]);
+
+  // Down after the result was saved, before the game state moved on
+  const updateGameState = store.updateGameState;
+  store.updateGameState = async () => {
+    first.engine.stop();
+    throw new Error("server down");
+  };
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+  store.updateGameState = updateGameState;
+  assert.equal((await store.findRound(1)).status, "completed");
+  assert.equal((await store.loadGameState()).currentRound, 1);
+
+  const second = createTestEngine({ store, clock });
+  await second.engine.start();
+  assert.ok(second.events.includes("round:result"));
+  assert.equal(second.engine.gameState.currentRound, 2);
+  assert.equal(second.engine.gameState.totalRoundsPlayed, 1);
+
+  await clock.advance(CONFIG.INTERMISSION_DURATION);
+  assert.equal((await store.findRound(2)).status, "voting");
+
+  second.engine.stop();
+});
+
+test("disqualifies winning voters who dropped below the minimum", async () => {
+  const balances = createMemoryBalanceProvider({}, 0);
+  const { engine, store, clock } = createTestEngine({ balances });
+  await engine.start();
+  castVotes(store, 1, [
+    ["wallet-a", "red"],
+    ["wallet-b", "black"],
+  ]);
+
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+  const round = await store.findRound(1);
+  const loser = round.winningColor === "red" ? "wallet-a" : "wallet-b";
+
+  assert.equal(round.winner, null);
+  assert.equal(round.disqualifications.length, 1);
+  assert.equal(round.disqualifications[0].walletAddress, loser);
+  assert.match(round.disqualifications[0].reason, /below minimum/);
+
+  const votes = await store.findVotes(1);
+  assert.equal(votes.find((vote) => vote.walletAddress === loser).disqualified, true);
+
+  engine.stop();
+});
+
+test("keeps voters whose balance can't be read", async () => {
+  const balances = {
+    async getTokenBalance() {
+      throw new Error("rpc down");
+    },
+  };
+  const { engine, store, clock } = createTestEngine({ balances });
+  await engine.start();
+  castVotes(store, 1, [
+    ["wallet-a", "red"],
+    ["wallet-b", "black"],
+  ]);
+
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+  const round = await store.findRound(1);
+  assert.ok(round.winner);
+  assert.equal(round.disqualifications.length, 0);
+
+  engine.stop();
+});
+
+test("followers see totals another instance recorded", async () => {
+  const store = createMemoryStore();
+  const leader = createTestEngine({ store });
+  const follower = createTestEngine({ store });
+  await leader.engine.start();
+  await follower.engine.initialize();
+
+  await leader.engine.recordPrizePaid(250);
+  await follower.engine.recordPrizePaid(100);
+  assert.equal(follower.engine.gameState.totalPrizesGiven, 350);
+  assert.equal(follower.engine.gameState.lastPrizeAmount, 100);
+
+  await leader.engine.refreshState();
+  assert.equal(leader.engine.gameState.totalPrizesGiven, 350);
+
+  leader.engine.stop();
+});
+
+test("accepts one vote per wallet under concurrent requests", async () => {
+  const { engine, store } = createTestEngine();
+  await engine.start();
+
+  const attempts = await Promise.all(
+    Array.from({ length: 20 }, (_, i) =>
+      engine.castVote({
+        roundNumber: 1,
+        walletAddress: "wallet-a",
+        bet: i % 2 ? "red" : "black",
+        tickets: 1,
+      })
+    )
+  );
+
+  assert.equal(attempts.filter((result) => !result.error).length, 1);
+  assert.ok(attempts.filter((result) => result.error).every(
+    (result) => result.error === "Already voted this round"
+  ));
+
+  const round = await store.findRound(1);
+  assert.equal(round.votes.red + round.votes.black, 1);
+  assert.deepEqual(round.participants, ["wallet-a"]);
+  assert.equal((await store.findVotes(1)).length, 1);
+
+  engine.stop();
+});
+
+test("keeps tallies equal to vote documents under parallel votes", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+
+  await Promise.all(
+    Array.from({ length: 300 }, (_, i) =>
+      engine.castVote({
+        roundNumber: 1,
+        walletAddress: `wallet-${i % 200}`,
+        bet: i % 3 ? "red" : "black",
+        tickets: (i % 4) + 1,
+      })
+    )
+  );
+
+  const round = await store.findRound(1);
+  const votes = await store.findVotes(1);
+  const countTickets = (bet) =>
+    votes
+      .filter((vote) => vote.bet === bet)
+      .reduce((total, vote) => total + vote.tickets, 0);
+
+  assert.equal(votes.length, 200);
+  assert.equal(round.votes.red, votes.filter((vote) => vote.bet === "red").length);
+  assert.equal(round.votes.black, votes.filter((vote) => vote.bet === "black").length);
+  assert.equal(round.tickets.red, countTickets("red"));
+  assert.equal(round.tickets.black, countTickets("black"));
+  assert.equal(round.participants.length, 200);
+
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+  const completed = await store.findRound(1, { withSeed: true });
+  assert.equal(verifyRound({ ...completed, votes }).valid, true);
+
+  engine.stop();
+});
+
+test("rejects votes after the persisted deadline", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+  // Scheduler not running, so the round is still marked as voting
+  engine.stop();
+  await clock.advance(CONFIG.ROUND_DURATION);
+
+  const result = await engine.castVote({
+    roundNumber: 1,
+    walletAddress: "wallet-a",
+    bet: "red",
+    tickets: 1,
+  });
+
+  assert.equal(result.error, "Voting is not currently active");
+  assert.equal((await store.findRound(1)).status, "voting");
+  assert.equal((await store.findVotes(1)).length, 0);
+});
+
+test("waits for votes counted just before the deadline", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+
+  // Counted on the round, vote document still being written at the deadline
+  const lateVote = { walletAddress: "wallet-late", bet: "black", tickets: 1 };
+  await store.tallyVote(1, lateVote, new Date(clock.now()));
+  clock.setTimeout(
+    () => store.insertVote({ ...lateVote, roundId: "1" }),
+    CONFIG.ROUND_DURATION + 150
+  );
+
+  await clock.advance(CONFIG.ROUND_DURATION);
+  let round = await store.findRound(1);
+  assert.equal(round.status, "spinning");
+  assert.equal(round.winningColor, undefined);
+
+  await clock.advance(200);
+  round = await store.findRound(1, { withSeed: true });
+  assert.ok(round.winningColor);
+  assert.equal(round.clientSeed, computeClientSeed(await store.findVotes(1)));
+  assert.equal(round.votes.black, 1);
+  assert.equal(round.votes.red, 0);
+
+  engine.stop();
+});
+
+test("drops votes that were counted but never written", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+  await store.tallyVote(
+    1,
+    { walletAddress: "wallet-lost", bet: "red", tickets: 1 },
+    new Date(clock.now())
+  );
+
+  await clock.advance(CONFIG.ROUND_DURATION + 2000);
+  const round = await store.findRound(1);
+  assert.ok(round.winningColor);
+  assert.equal(round.votes.red, 0);
+  assert.deepEqual(round.participants, []);
+
+  engine.stop();
+});
+
+test("seeds settings from config and records them on each round", async () => {
+  const { engine, store } = createTestEngine();
+  await engine.start();
+
+  assert.equal(engine.settings.version, 1);
+  assert.equal(engine.settings.updatedBy, "config");
+
+  const round = await store.findRound(1);
+  assert.equal(round.settings.version, 1);
+  assert.equal(round.settings.roundDuration, CONFIG.ROUND_DURATION);
+  assert.deepEqual(round.entryMode, CONFIG.ENTRY_MODE);
+
+  engine.stop();
+});
+
+test("tables run their own rounds under their own settings", async () => {
+  const clock = createManualClock();
+  const main = createTestEngine({ clock, store: createMemoryStore() });
+  const fast = createTestEngine({
+    clock,
+    store: createMemoryStore({ tableId: "fast" }),
+    defaults: { ...settingsFromConfig(CONFIG), roundDuration: 10000 },
+  });
+  await main.engine.start();
+  await fast.engine.start();
+
+  const fastRound = await fast.store.findRound(1);
+  assert.equal(fastRound.tableId, "fast");
+  assert.equal(fastRound.settings.roundDuration, 10000);
+  assert.equal((await main.store.findRound(1)).tableId, "main");
+
+  await clock.advance(10000);
+  assert.equal((await fast.store.findRound(1)).status, "spinning");
+  assert.equal((await main.store.findRound(1)).status, "voting");
+
+  main.engine.stop();
+  fast.engine.stop();
+});
+
+test("applies changed settings from the next round", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+
+  const { settings, previous } = await engine.updateSettings(
+    { roundDuration: 60000, spinDuration: 1000, intermissionDuration: 2000 },
+    "alice"
+  );
+  assert.equal(settings.version, 2);
+  assert.equal(previous.version, 1);
+
+  // Round 1 keeps the rules it opened with
+  await clock.advance(CONFIG.ROUND_DURATION);
+  assert.equal((await store.findRound(1)).status, "spinning");
+  await clock.advance(CONFIG.SPIN_DURATION);
+  assert.equal((await store.findRound(1)).status, "completed");
+  assert.equal(
+    engine.gameState.nextRoundStartTime.getTime(),
+    clock.now() + CONFIG.INTERMISSION_DURATION
+  );
+
+  await clock.advance(CONFIG.INTERMISSION_DURATION);
+  const round = await store.findRound(2);
+  assert.equal(round.settings.version, 2);
+  assert.equal(engine.getTimeLeft(round), 60);
+
+  await clock.advance(60000);
+  assert.equal((await store.findRound(2)).status, "spinning");
+  await clock.advance(1000);
+  assert.equal((await store.findRound(2)).status, "completed");
+
+  const versions = await engine.listSettings();
+  assert.deepEqual(versions.map((version) => version.version), [2, 1]);
+
+  engine.stop();
+});
+
+test("rejects invalid settings without a new version", async () => {
+  const { engine } = createTestEngine();
+  await engine.initialize();
+
+  const { error } = await engine.updateSettings({ roundDuration: 10 }, "alice");
+  assert.match(error, /roundDuration/);
+  assert.equal((await engine.loadSettings()).version, 1);
+});
+
+test("pausing freezes the countdown and voting until resumed", async () => {
+  const { engine, store, clock, events } = createTestEngine();
+  await engine.start();
+  await clock.advance(10000);
+
+  const { round } = await engine.pause("alice");
+  assert.ok(round.pausedAt);
+  assert.equal(engine.gameState.isActive, false);
+  assert.deepEqual(await engine.pause("alice"), { error: "Game is already paused" });
+
+  const vote = { roundNumber: 1, walletAddress: "wallet-a", bet: "red", tickets: 1 };
+  assert.deepEqual(await engine.castVote(vote), { error: "Voting is paused" });
+
+  await clock.advance(60000);
+  const paused = await store.findRound(1);
+  assert.equal(paused.status, "voting");
+  assert.equal(engine.getTimeLeft(paused), 20);
+
+  await engine.resume("alice");
+  const resumed = await store.findRound(1);
+  assert.equal(resumed.pausedAt, undefined);
+  assert.equal(resumed.votingEndsAt.getTime(), clock.now() + 20000);
+  assert.ok((await engine.castVote(vote)).vote);
+
+  await clock.advance(20000);
+  assert.equal((await store.findRound(1)).status, "spinning");
+  assert.ok(events.includes("game:paused") && events.includes("game:resumed"));
+
+  engine.stop();
+});
+
+test("stays paused across a restart", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const first = createTestEngine({ store, clock });
+  await first.engine.start();
+  await first.engine.pause("alice");
+  first.engine.stop();
+
+  const second = createTestEngine({ store, clock });
+  await second.engine.start();
+  await clock.advance(CONFIG.ROUND_DURATION * 2);
+  assert.equal((await store.findRound(1)).status, "voting");
+
+  await second.engine.resume("alice");
+  await clock.advance(CONFIG.ROUND_DURATION);
+  assert.equal((await store.findRound(1)).status, "spinning");
+
+  second.engine.stop();
+});
+
+test("the leader honours a pause and resume made on another instance", async () => {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const leader = createTestEngine({ store, clock });
+  const follower = createTestEngine({ store, clock });
+  await leader.engine.start();
+  await follower.engine.initialize();
+
+  await follower.engine.pause("alice");
+  await clock.advance(CONFIG.ROUND_DURATION);
+  assert.equal((await store.findRound(1)).status, "voting");
+
+  await follower.engine.resume("alice");
+  await leader.engine.syncState();
+  await clock.advance(CONFIG.ROUND_DURATION);
+  assert.equal((await store.findRound(1)).status, "spinning");
+
+  leader.engine.stop();
+});
+
+test("cancelling a round voids its votes and opens the next one", async () => {
+  const { engine, store, clock, events } = createTestEngine();
+  await engine.start();
+  await engine.castVote({ roundNumber: 1, walletAddress: "wallet-a", bet: "red", tickets: 1 });
+  await engine.castVote({ roundNumber: 1, walletAddress: "wallet-b", bet: "black", tickets: 1 });
+
+  const { round, voidedVotes } = await engine.cancelRound("alice", "RPC outage");
+  assert.equal(round.status, "cancelled");
+  assert.equal(round.cancelReason, "RPC outage");
+  assert.equal(round.winner, undefined);
+  assert.equal(voidedVotes, 2);
+  assert.ok((await store.findVotes(1)).every((vote) => vote.voided));
+  assert.equal(engine.gameState.currentRound, 2);
+  assert.equal(engine.gameState.totalRoundsPlayed, 0);
+  assert.equal(store.listPayouts().length, 0);
+  assert.ok(events.includes("round:cancelled"));
+
+  assert.deepEqual(await engine.cancelRound("alice"), {
+    error: "No round in progress to cancel",
+  });
+
+  await clock.advance(CONFIG.INTERMISSION_DURATION);
+  assert.equal((await store.findRound(2)).status, "voting");
+
+  engine.stop();
+});
+
+test("a round cancelled while paused starts the intermission on resume", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+  await engine.pause("alice");
+  await clock.advance(10000);
+  await engine.cancelRound("alice");
+
+  await clock.advance(60000);
+  assert.equal(await store.findRound(2), null);
+
+  await engine.resume("alice");
+  assert.equal(
+    engine.gameState.nextRoundStartTime.getTime(),
+    clock.now() + CONFIG.INTERMISSION_DURATION
+  );
+  await clock.advance(CONFIG.INTERMISSION_DURATION);
+  assert.equal((await store.findRound(2)).status, "voting");
+
+  engine.stop();
+});
+
+// Run `action` the next time the engine reads the round's votes, i.e. in
+// the middle of a transition
+function duringNextVoteRead(store, action) {
+  const findVotes = store.findVotes;
+  store.findVotes = async (roundNumber) => {
+    store.findVotes = findVotes;
+    await action();
+    return findVotes(roundNumber);
+  };
+}
+
+test("a round cancelled by another instance during the spin gets no winners", async () => {
+  const { engine, store, clock, events } = createTestEngine();
+  const other = createTestEngine({ store, clock });
+  await engine.start();
+  castVotes(store, 1, [
+    ["wallet-a", "red"],
+    ["wallet-b", "black"],
+  ]);
+  await clock.advance(CONFIG.ROUND_DURATION);
+
+  duringNextVoteRead(store, () => other.engine.cancelRound("alice"));
+  await clock.advance(CONFIG.SPIN_DURATION);
+
+  const round = await store.findRound(1);
+  assert.equal(round.status, "cancelled");
+  assert.equal(round.winners, undefined);
+  assert.equal(store.listPayouts().length, 0);
+  assert.ok(!events.includes("round:completed"));
+
+  await clock.advance(CONFIG.INTERMISSION_DURATION);
+  assert.equal((await store.findRound(2)).status, "voting");
+
+  engine.stop();
+});
+
+test("a round cancelled by another instance while the wheel spins is not announced", async () => {
+  const { engine, store, clock, events } = createTestEngine();
+  const other = createTestEngine({ store, clock });
+  await engine.start();
+  castVotes(store, 1, [["wallet-a", "red"]]);
+
+  duringNextVoteRead(store, () => other.engine.cancelRound("alice"));
+  await clock.advance(CONFIG.ROUND_DURATION);
+
+  const round = await store.findRound(1);
+  assert.equal(round.status, "cancelled");
+  assert.equal(round.winningNumber, undefined);
+  assert.ok(!events.includes("round:spinning"));
+
+  engine.stop();
+});
+
+test("a round finished by two instances is counted once", async () => {
+  const { engine, store, clock } = createTestEngine();
+  const other = createTestEngine({ store, clock });
+  await engine.start();
+  await other.engine.initialize();
+  castVotes(store, 1, [["wallet-a", "red"]]);
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+
+  // The other instance saw the round completed before the game state moved on
+  await other.engine.finishRound(await store.findRound(1));
+
+  const state = await store.loadGameState();
+  assert.equal(state.totalRoundsPlayed, 1);
+  assert.equal(state.currentRound, 2);
+  assert.equal(other.engine.gameState.currentRound, 2);
+  assert.ok(!other.events.includes("round:result"));
+
+  engine.stop();
+});
+
+test("operator actions wait for the transition in progress", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+  castVotes(store, 1, [["wallet-a", "red"]]);
+  await clock.advance(CONFIG.ROUND_DURATION);
+
+  let cancelling;
+  duringNextVoteRead(store, () => {
+    cancelling = engine.cancelRound("alice");
+  });
+  await clock.advance(CONFIG.SPIN_DURATION);
+
+  // The draw finished first, so there was nothing left to cancel
+  assert.deepEqual(await cancelling, { error: "No round in progress to cancel" });
+  const round = await store.findRound(1);
+  assert.equal(round.status, "completed");
+  assert.equal(engine.gameState.currentRound, 2);
+
+  engine.stop();
+});
+
+test("locks the prize from the treasury and rolls it over when nobody wins", async () => {
+  const treasury = createMemoryTreasury({ wallet: "treasury", balance: 100 });
+  const { engine, store, clock } = createTestEngine({ treasury });
+  await engine.initialize();
+  await engine.updateSettings({ prizePool: { mode: "treasury", percent: 10 } }, "alice");
+  await engine.start();
+
+  // Round 1: nobody votes, so its prize carries over
+  await clock.advance(CONFIG.ROUND_DURATION);
+  let round = await store.findRound(1);
+  assert.equal(round.prizeAmount, 10);
+  assert.equal(round.prizeSource.mode, "treasury");
+  assert.equal(round.prizeSource.balance, 100);
+  await clock.advance(CONFIG.SPIN_DURATION);
+  assert.equal(engine.gameState.prizeRollover, 10);
+
+  // Round 2: the rollover comes on top, and is used up once someone wins
+  await clock.advance(CONFIG.INTERMISSION_DURATION);
+  castVotes(store, 2, [
+    ["wallet-a", "red"],
+    ["wallet-b", "black"],
+  ]);
+  await clock.advance(CONFIG.ROUND_DURATION);
+  round = await store.findRound(2);
+  assert.equal(round.prizeAmount, 20);
+  assert.equal(round.prizeSource.rollover, 10);
+  await clock.advance(CONFIG.SPIN_DURATION);
+  assert.equal(engine.gameState.prizeRollover, 0);
+  assert.deepEqual(
+    store.listPayouts().map((payout) => payout.amount),
+    [20]
+  );
+
+  engine.stop();
+});
+
+test("keeps the set prize when the treasury can't be read", async () => {
+  const treasury = {
+    wallet: "treasury",
+    mint: null,
+    getBalance: async () => {
+      throw new Error("RPC down");
+    },
+  };
+  const { engine, store, clock } = createTestEngine({ treasury });
+  await engine.initialize();
+  await engine.updateSettings({ prizePool: { mode: "treasury" } }, "alice");
+  await engine.start();
+
+  await clock.advance(CONFIG.ROUND_DURATION);
+  const round = await store.findRound(1);
+  assert.equal(round.prizeAmount, 0);
+  assert.equal(round.prizeSource.mode, "manual");
+  assert.match(round.prizeSource.error, /RPC down/);
+
+  engine.stop();
+});
+
+test("refuses the treasury prize mode without a treasury", async () => {
+  const { engine } = createTestEngine();
+  await engine.initialize();
+
+  const { error } = await engine.updateSettings({ prizePool: { mode: "treasury" } }, "alice");
+  assert.match(error, /treasury wallet/);
+});
+
+// A completed round won by wallet-a (2) and wallet-b (1)
+async function createWonRound(store, roundNumber, winners = ["wallet-a", "wallet-b"]) {
+  await store.createRound({
+    roundNumber,
+    status: "completed",
+    prizeAmount: 3,
+    participants: winners,
+    winners: winners.map((walletAddress, i) => ({
+      walletAddress,
+      category: i === 0 ? "color" : "parity",
+      bet: i === 0 ? "red" : "odd",
+      rank: 1,
+      amount: i === 0 ? 2 : 1,
+    })),
+  });
+}
+
+function confirmingVerifier() {
+  const checked = [];
+  const verify = async (payout) => {
+    checked.push(payout.walletAddress);
+    return { ok: true, received: payout.amount };
+  };
+  return { verify, checked };
+}
+
+test("one transaction can pay every winner of a round, each once", async () => {
+  const { engine, store } = createTestEngine();
+  await engine.initialize();
+  await createWonRound(store, 50);
+  const { verify, checked } = confirmingVerifier();
+  const pay = (walletAddress) =>
+    engine.markPaid({ roundNumber: 50, walletAddress, txSignature: "tx-1", paidBy: "ops", verify });
+
+  assert.equal((await pay(undefined)).status, 400);
+
+  const first = await pay("wallet-a");
+  assert.equal(first.payout.status, "paid");
+  assert.equal(first.payout.txSignature, "tx-1");
+  assert.equal((await store.findRound(50)).payoutStatus, "pending");
+
+  const second = await pay("wallet-b");
+  assert.equal(second.payout.status, "paid");
+  assert.equal(second.round.payoutStatus, "paid");
+  assert.equal((await store.findRound(50)).payoutStatus, "paid");
+  assert.equal(engine.gameState.totalPrizesGiven, 3);
+
+  // Repeating it is a no-op: no second check, no double count
+  const repeat = await pay("wallet-a");
+  assert.equal(repeat.alreadyPaid, true);
+  assert.equal(repeat.payout.paidBy, "ops");
+  assert.deepEqual(checked, ["wallet-a", "wallet-b"]);
+  assert.equal(engine.gameState.totalPrizesGiven, 3);
+});
+
+test("refuses a signature that already paid the same wallet", async () => {
+  const { engine, store } = createTestEngine();
+  await engine.initialize();
+  await createWonRound(store, 50, ["wallet-a"]);
+  await createWonRound(store, 51, ["wallet-a"]);
+  const { verify } = confirmingVerifier();
+
+  await engine.markPaid({ roundNumber: 50, txSignature: "tx-1", verify });
+  assert.deepEqual(await engine.markPaid({ roundNumber: 51, txSignature: "tx-1", verify }), {
+    error: "Transaction signature already recorded for this wallet",
+    status: 409,
+  });
+  assert.equal((await store.findPayout(51, "wallet-a")).status, "pending");
+  assert.equal(engine.gameState.totalPrizesGiven, 2);
+});
+
+test("validates mark-paid requests and keeps unconfirmed payments pending", async () => {
+  const { engine, store } = createTestEngine();
+  await engine.initialize();
+  await createWonRound(store, 50);
+  const { verify } = confirmingVerifier();
+  const request = { roundNumber: 50, walletAddress: "wallet-a", txSignature: "tx-1", verify };
+
+  assert.deepEqual(await engine.markPaid({ ...request, roundNumber: undefined }), {
+    error: "roundNumber must be a positive integer",
+    status: 400,
+  });
+  assert.equal((await engine.markPaid({ ...request, roundNumber: "50" })).status, 400);
+  assert.equal((await engine.markPaid({ ...request, txSignature: { $ne: null } })).status, 400);
+  assert.equal((await engine.markPaid({ ...request, roundNumber: 99 })).status, 404);
+  assert.deepEqual(await engine.markPaid({ ...request, walletAddress: "wallet-z" }), {
+    error: "Wallet did not win this round",
+    status: 404,
+  });
+
+  const rejected = await engine.markPaid({
+    ...request,
+    verify: async () => ({ ok: false, reason: "Transaction not found or not confirmed" }),
+  });
+  assert.equal(rejected.rejected, "Transaction not found or not confirmed");
+  assert.equal(rejected.payout.status, "pending");
+  assert.equal(rejected.payout.failureReason, "Transaction not found or not confirmed");
+  assert.equal(engine.gameState.totalPrizesGiven, 0);
+
+  // A later valid payment clears the failure
+  const paid = await engine.markPaid(request);
+  assert.equal(paid.payout.status, "paid");
+  assert.equal(paid.payout.failureReason, undefined);
+});
+
+test("marking a prize paid again is a no-op, whatever signature comes with it", async () => {
+  const { engine, store } = createTestEngine();
+  await engine.initialize();
+  await createWonRound(store, 50, ["wallet-a"]);
+  const { verify, checked } = confirmingVerifier();
+
+  const first = await engine.markPaid({ roundNumber: 50, txSignature: "tx-1", paidBy: "ops", verify });
+  assert.equal(first.payout.status, "paid");
+  assert.equal(first.round.payoutStatus, "paid");
+
+  // The same request repeated, e.g. a retried click
+  const repeat = await engine.markPaid({ roundNumber: 50, txSignature: "tx-1", paidBy: "ops", verify });
+  assert.equal(repeat.alreadyPaid, true);
+  assert.equal(repeat.payout.txSignature, "tx-1");
+
+  // Already paid: a second transaction is neither checked nor recorded
+  const other = await engine.markPaid({ roundNumber: 50, txSignature: "tx-2", paidBy: "bob", verify });
+  assert.equal(other.alreadyPaid, true);
+  assert.equal(other.payout.txSignature, "tx-1");
+  assert.equal(other.payout.paidBy, "ops");
+
+  assert.deepEqual(checked, ["wallet-a"]);
+  assert.equal(engine.gameState.totalPrizesGiven, 2);
+  assert.equal((await store.listPayouts()).length, 1);
+});
+
+test("owes nothing for a round won without a prize", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+  castVotes(store, 1, BETS.map((bet, i) => [`wallet-${i}`, bet]));
+  await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+
+  const round = await store.findRound(1);
+  assert.ok(round.winners.length > 1);
+  assert.ok(round.winners.every((winner) => winner.amount === 0));
+  assert.equal(round.payoutStatus, undefined);
+  assert.deepEqual(store.listPayouts(), []);
+
+  assert.deepEqual(
+    await engine.markPaid({
+      roundNumber: 1,
+      walletAddress: round.winners[0].walletAddress,
+      txSignature: "tx-1",
+      verify: () => assert.fail("nothing to verify"),
+    }),
+    { error: "Nothing is owed to this wallet for this round", status: 400 }
+  );
+
+  engine.stop();
+});
+
+test("closes a zero payout left by an older version without a transaction", async () => {
+  const { engine, store } = createTestEngine();
+  await engine.initialize();
+  await store.createRound({
+    roundNumber: 50,
+    status: "completed",
+    prizeAmount: 0,
+    payoutStatus: "pending",
+    winners: [{ walletAddress: "wallet-a", category: "color", bet: "red", rank: 1, amount: 0 }],
+  });
+  await store.ensurePayout({ roundNumber: 50, walletAddress: "wallet-a", amount: 0 });
+
+  const result = await engine.markPaid({
+    roundNumber: 50,
+    paidBy: "ops",
+    verify: () => assert.fail("nothing to verify"),
+  });
+  assert.equal(result.payout.status, "paid");
+  assert.equal(result.payout.txSignature, undefined);
+  assert.equal((await store.findRound(50)).payoutStatus, "paid");
+  assert.equal(engine.gameState.totalPrizesGiven, 0);
+});
+
+test("still needs a transaction for a prize above 0", async () => {
+  const { engine, store } = createTestEngine();
+  await engine.initialize();
+  await createWonRound(store, 50, ["wallet-a"]);
+
+  assert.deepEqual(
+    await engine.markPaid({ roundNumber: 50, verify: () => assert.fail("no signature") }),
+    { error: "Transaction signature is required", status: 400 }
+  );
+  assert.equal((await store.findPayout(50, "wallet-a")).status, "pending");
+});
+
+for (const status of ["voting", "spinning"]) {
+  test(`resumes a ${status} round left without a seed by an older version`, async () => {
+    const { engine, store, clock, events } = createTestEngine();
+    const startTime = new Date(clock.now() - 60000);
+    await store.createRound({
+      roundNumber: 1,
+      status,
+      startTime,
+      prizeAmount: 0,
+      votes: { red: 1, black: 1 },
+      participants: ["wallet-a", "wallet-b"],
+    });
+    castVotes(store, 1, [
+      ["wallet-a", "red"],
+      ["wallet-b", "black"],
+    ]);
+
+    await engine.start();
+    let round = await store.findRound(1);
+    assert.equal(round.status, "voting");
+    assert.equal(round.serverSeedHash, hashServerSeed("seed-1"));
+    assert.equal(round.votingEndsAt.getTime(), clock.now() + CONFIG.ROUND_DURATION);
+    assert.deepEqual(events, ["round:started"]);
+
+    await clock.advance(CONFIG.ROUND_DURATION + CONFIG.SPIN_DURATION);
+    round = await store.findRound(1, { withSeed: true });
+    assert.equal(round.status, "completed");
+    assert.equal(round.participants.length, 2);
+    const votes = await store.findVotes(1);
+    assert.equal(verifyRound({ ...round, votes }).valid, true);
+    assert.equal(engine.gameState.currentRound, 2);
+
+    engine.stop();
+  });
+}
+
+test("the prize can only be set while voting is open", async () => {
+  const { engine, store, clock } = createTestEngine();
+  await engine.start();
+
+  assert.equal((await engine.setPrize("5")).status, 400);
+  assert.equal((await engine.setPrize(0)).status, 400);
+
+  const { round, previousPrize } = await engine.setPrize(5);
+  assert.equal(round.prizeAmount, 5);
+  assert.equal(previousPrize, 0);
+
+  castVotes(store, 1, [["wallet-a", "red"]]);
+  await clock.advance(CONFIG.ROUND_DURATION);
+  assert.equal((await store.findRound(1)).status, "spinning");
+  assert.deepEqual(await engine.setPrize(50), {
+    error: "Voting has closed, this round's prize is locked",
+    status: 409,
+  });
+  assert.equal((await store.findRound(1)).prizeAmount, 5);
+
+  engine.stop();
+});
+
+test("the prize can't be set by hand in treasury mode", async () => {
+  const treasury = createMemoryTreasury({ wallet: "treasury", balance: 100 });
+  const { engine } = createTestEngine({ treasury });
+  await engine.initialize();
+  await engine.updateSettings({ prizePool: { mode: "treasury", percent: 10 } }, "alice");
+  await engine.start();
+
+  assert.equal((await engine.setPrize(5)).status, 409);
+
+  engine.stop();
+});
@@ -0,0 +1,109 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  settingsFromConfig,
+  validateSettingsUpdate,
+} = require("../lib/gameSettings");
+const { buildEntryMode } = require("../lib/entryModes");
+const { newWallet } = require("./helpers");
+
+const current = {
+  version: 3,
+  ...settingsFromConfig({
+    REQUIRED_TOKEN_MINT: newWallet().address,
+    MIN_TOKEN_BALANCE: 1000000,
+    ROUND_DURATION: 30000,
+    SPIN_DURATION: 3000,
+    INTERMISSION_DURATION: 5000,
+    ENTRY_MODE: buildEntryMode({}),
+  }),
+};
+
+test("applies a partial update on top of the current settings", () => {
+  const { settings, error } = validateSettingsUpdate(current, {
+    roundDuration: 60000,
+    entryMode: { mode: "weighted", maxTickets: 5 },
+  });
+
+  assert.equal(error, undefined);
+  assert.equal(settings.roundDuration, 60000);
+  assert.equal(settings.spinDuration, 3000);
+  assert.equal(settings.tokenMint, current.tokenMint);
+  assert.deepEqual(settings.entryMode, {
+    mode: "weighted",
+    ticketUnit: 1000000,
+    maxTickets: 5,
+    tiers: [],
+  });
+  assert.equal(settings.version, undefined);
+});
+
+test("sorts tiers by balance", () => {
+  const { settings } = validateSettingsUpdate(current, {
+    entryMode: {
+      mode: "tiered",
+      tiers: [
+        { minBalance: 10000000, tickets: 3 },
+        { minBalance: 1000000, tickets: 1 },
+      ],
+    },
+  });
+
+  assert.deepEqual(
+    settings.entryMode.tiers.map((tier) => tier.minBalance),
+    [1000000, 10000000]
+  );
+});
+
+test("rejects invalid settings", () => {
+  const errorFor = (changes) => validateSettingsUpdate(current, changes).error;
+
+  assert.equal(errorFor({}), "No settings to change");
+  assert.equal(errorFor({ payoutMint: "x" }), "Unknown settings: payoutMint");
+  assert.equal(errorFor({ tokenMint: "not-a-mint" }), "tokenMint must be a valid Solana address");
+  assert.match(errorFor({ roundDuration: 1000 }), /roundDuration must be an integer between 5000/);
+  assert.match(errorFor({ minTokenBalance: -1 }), /minTokenBalance/);
+  assert.match(errorFor({ spinDuration: "3000" }), /spinDuration/);
+  assert.match(errorFor({ entryMode: { mode: "lottery" } }), /entryMode.mode/);
+  assert.equal(
+    errorFor({ entryMode: { mode: "tiered", tiers: [] } }),
+    "Tiered entry mode needs at least one tier"
+  );
+  assert.match(errorFor({ entryMode: { ticketUnit: 0 } }), /ticketUnit/);
+});
+
+test("validates the prize pool", () => {
+  const { settings } = validateSettingsUpdate(current, {
+    prizePool: { mode: "treasury", percent: 5, maxPrize: 20 },
+  });
+  assert.deepEqual(settings.prizePool, {
+    mode: "treasury",
+    percent: 5,
+    minPrize: 0,
+    maxPrize: 20,
+    rollover: true,
+  });
+
+  assert.match(
+    validateSettingsUpdate(current, { prizePool: { percent: 150 } }).error,
+    /percent/
+  );
+  assert.match(
+    validateSettingsUpdate(current, { prizePool: { minPrize: 10, maxPrize: 5 } }).error,
+    /maxPrize/
+  );
+});
+
+test("validates the payout structure", () => {
+  const { settings } = validateSettingsUpdate(current, {
+    payoutStructure: { mode: "tiers", tiers: [60, 40] },
+  });
+  assert.deepEqual(settings.payoutStructure, { mode: "tiers", winners: 3, tiers: [60, 40] });
+
+  const errorFor = (payoutStructure) =>
+    validateSettingsUpdate(current, { payoutStructure }).error;
+  assert.match(errorFor({ mode: "jackpot" }), /payoutStructure.mode/);
+  assert.match(errorFor({ mode: "draws", winners: 0 }), /payoutStructure.winners/);
+  assert.equal(errorFor({ tiers: [50, 30] }), "payoutStructure.tiers must add up to 100");
+  assert.match(errorFor({ tiers: [] }), /positive percentages/);
+});
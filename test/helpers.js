@@ -0,0 +1,33 @@
+// test/helpers.js - Shared fixtures for the test suite
+const crypto = require("crypto");
+const bs58 = require("bs58").default;
+const { Keypair } = require("@solana/web3.js");
+
+// DER prefix that wraps a raw 32-byte ed25519 seed as a PKCS#8 private key
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+// Sign a UTF-8 message the way a wallet's signMessage does, base58 encoded
+function signMessage(keypair, message) {
+  const key = crypto.createPrivateKey({
+    key: Buffer.concat([
+      ED25519_PKCS8_PREFIX,
+      Buffer.from(keypair.secretKey.slice(0, 32)),
+    ]),
+    format: "der",
+    type: "pkcs8",
+  });
+  return bs58.encode(crypto.sign(null, Buffer.from(message, "utf8"), key));
+}
+
+function newWallet() {
+  const keypair = Keypair.generate();
+  return { keypair, address: keypair.publicKey.toBase58() };
+}
+
+const silentLogger = { log() {}, error() {} };
+
+module.exports = {
+  signMessage,
+  newWallet,
+  silentLogger,
+};
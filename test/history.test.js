@@ -0,0 +1,64 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildHistoryQuery } = require("../lib/history");
+
+test("lists completed rounds 50 at a time by default", () => {
+  assert.deepEqual(buildHistoryQuery({}), {
+    query: { tableId: "main", status: "completed" },
+    limit: 50,
+  });
+  assert.equal(buildHistoryQuery({ limit: "1000" }).limit, 100);
+});
+
+test("pages with the previous page's last round number", () => {
+  const { query } = buildHistoryQuery({ before: "120" });
+  assert.deepEqual(query.roundNumber, { $lt: 120 });
+});
+
+test("filters by color, winner, date range and unpaid prizes", () => {
+  const { query } = buildHistoryQuery({
+    winningColor: "red",
+    hasWinner: "true",
+    from: "2025-01-01",
+    to: "2025-01-31T23:59:59Z",
+  });
+
+  assert.equal(query.winningColor, "red");
+  assert.deepEqual(query["winners.0"], { $exists: true });
+  assert.deepEqual(query.endTime, {
+    $gte: new Date("2025-01-01"),
+    $lte: new Date("2025-01-31T23:59:59Z"),
+  });
+
+  assert.deepEqual(buildHistoryQuery({ hasWinner: "false" }).query["winners.0"], {
+    $exists: false,
+  });
+  assert.equal(buildHistoryQuery({ winningNumber: "0" }).query.winningNumber, 0);
+  assert.equal(buildHistoryQuery({ winner: "wallet-a" }).query["winners.walletAddress"], "wallet-a");
+  assert.deepEqual(buildHistoryQuery({ unpaid: "true" }).query, {
+    tableId: "main",
+    status: "completed",
+    "winners.0": { $exists: true },
+    prizeAmount: { $gt: 0 },
+    payoutStatus: { $ne: "paid" },
+  });
+});
+
+test("only lists the given table's rounds", () => {
+  assert.equal(buildHistoryQuery({}, "fast").query.tableId, "fast");
+});
+
+test("rejects bad parameters", () => {
+  assert.deepEqual(buildHistoryQuery({ winningColor: "blue" }), {
+    error: "winningColor must be 'red', 'black' or 'green'",
+  });
+  assert.deepEqual(buildHistoryQuery({ winningNumber: "37" }), {
+    error: "winningNumber must be between 0 and 36",
+  });
+  assert.deepEqual(buildHistoryQuery({ from: "yesterday" }), {
+    error: "Invalid from date",
+  });
+  assert.deepEqual(buildHistoryQuery({ before: "abc" }), {
+    error: "Invalid before cursor",
+  });
+});
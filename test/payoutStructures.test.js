@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  buildPayoutStructure,
+  parsePayoutTiers,
+  winnersPerCategory,
+  payoutShares,
+  assignPrizes,
+} = require("../lib/payoutStructures");
+
+test("defaults to one winner per category", () => {
+  const structure = buildPayoutStructure({});
+  assert.equal(structure.mode, "single");
+  assert.equal(winnersPerCategory(structure), 1);
+  assert.equal(winnersPerCategory(undefined), 1);
+  assert.equal(buildPayoutStructure({ PAYOUT_MODE: "jackpot" }).mode, "single");
+});
+
+test("reads the winner count and tiers from the environment", () => {
+  const draws = buildPayoutStructure({ PAYOUT_MODE: "draws", PAYOUT_WINNERS: "5" });
+  assert.equal(winnersPerCategory(draws), 5);
+
+  const tiers = buildPayoutStructure({ PAYOUT_MODE: "tiers", PAYOUT_TIERS: "60, 25,15" });
+  assert.deepEqual(tiers.tiers, [60, 25, 15]);
+  assert.equal(winnersPerCategory(tiers), 3);
+
+  assert.equal(winnersPerCategory(buildPayoutStructure({ PAYOUT_MODE: "split" })), "all");
+  assert.deepEqual(parsePayoutTiers("50,abc,-1,30"), [50, 30]);
+});
+
+test("pays tiers by percentage, sharing out tiers nobody filled", () => {
+  const structure = buildPayoutStructure({ PAYOUT_MODE: "tiers" });
+  assert.deepEqual(payoutShares(10, 3, structure), [5, 3, 2]);
+  assert.deepEqual(payoutShares(8, 2, structure), [5, 3]);
+  assert.deepEqual(payoutShares(10, 0, structure), []);
+});
+
+test("splits the prize between categories, then within each", () => {
+  const winners = [
+    { category: "color", walletAddress: "wallet-a", rank: 1 },
+    { category: "color", walletAddress: "wallet-b", rank: 2 },
+    { category: "parity", walletAddress: "wallet-c", rank: 1 },
+  ];
+
+  const equal = assignPrizes(6, winners, buildPayoutStructure({ PAYOUT_MODE: "draws" }));
+  assert.deepEqual(equal.map((winner) => winner.amount), [1.5, 1.5, 3]);
+
+  const tiered = assignPrizes(6, winners, buildPayoutStructure({ PAYOUT_MODE: "tiers" }));
+  assert.deepEqual(tiered.map((winner) => winner.amount), [1.875, 1.125, 3]);
+  assert.equal(tiered[0].walletAddress, "wallet-a");
+});
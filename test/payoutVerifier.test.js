@@ -0,0 +1,134 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { verifyPayoutTransaction } = require("../lib/payoutVerifier");
+
+const WINNER = "Winner1111111111111111111111111111111111111";
+const TREASURY = "Treasury111111111111111111111111111111111111";
+const MINT = "Mint111111111111111111111111111111111111111";
+
+// Mocked RPC: getParsedTransaction resolves to `tx` (or rejects with `error`)
+function mockConnection(tx, error) {
+  return {
+    async getParsedTransaction() {
+      if (error) throw error;
+      return tx;
+    },
+  };
+}
+
+function solTransfer(lamports, { err = null } = {}) {
+  return {
+    transaction: {
+      message: {
+        accountKeys: [{ pubkey: TREASURY }, { pubkey: WINNER }],
+      },
+    },
+    meta: {
+      err,
+      preBalances: [10_000_000_000, 1_000_000],
+      postBalances: [10_000_000_000 - lamports - 5000, 1_000_000 + lamports],
+      preTokenBalances: [],
+      postTokenBalances: [],
+    },
+  };
+}
+
+function tokenTransfer(amount) {
+  const balance = (owner, value) => ({
+    owner,
+    mint: MINT,
+    uiTokenAmount: { amount: String(value), decimals: 6 },
+  });
+  return {
+    transaction: { message: { accountKeys: [] } },
+    meta: {
+      err: null,
+      preBalances: [],
+      postBalances: [],
+      preTokenBalances: [balance(TREASURY, 900_000_000), balance(WINNER, 0)],
+      postTokenBalances: [
+        balance(TREASURY, 900_000_000 - amount),
+        balance(WINNER, amount),
+      ],
+    },
+  };
+}
+
+const payout = { txSignature: "sig", recipient: WINNER, minAmount: 1.5 };
+
+test("accepts a confirmed SOL transfer of at least the prize", async () => {
+  const result = await verifyPayoutTransaction(
+    mockConnection(solTransfer(1_500_000_000)),
+    payout
+  );
+  assert.deepEqual(result, { ok: true, received: 1.5 });
+});
+
+test("rejects a SOL transfer below the prize", async () => {
+  const result = await verifyPayoutTransaction(
+    mockConnection(solTransfer(1_000_000_000)),
+    payout
+  );
+  assert.equal(result.ok, false);
+  assert.match(result.reason, /expected at least 1500000000/);
+});
+
+test("rejects a transfer to someone else", async () => {
+  const result = await verifyPayoutTransaction(
+    mockConnection(solTransfer(1_500_000_000)),
+    { ...payout, recipient: "Someone11111111111111111111111111111111111" }
+  );
+  assert.equal(result.ok, false);
+});
+
+test("rejects a failed transaction", async () => {
+  const result = await verifyPayoutTransaction(
+    mockConnection(solTransfer(1_500_000_000, { err: { InstructionError: [0, "Custom"] } })),
+    payout
+  );
+  assert.deepEqual(result, { ok: false, reason: "Transaction failed on-chain" });
+});
+
+test("rejects an unknown or unconfirmed signature", async () => {
+  const result = await verifyPayoutTransaction(mockConnection(null), payout);
+  assert.deepEqual(result, { ok: false, reason: "Transaction not found or not confirmed" });
+});
+
+test("reports RPC errors as a reason", async () => {
+  const result = await verifyPayoutTransaction(
+    mockConnection(null, new Error("429 Too Many Requests")),
+    payout
+  );
+  assert.deepEqual(result, { ok: false, reason: "RPC error: 429 Too Many Requests" });
+});
+
+test("checks SPL token transfers by mint and decimals", async () => {
+  const enough = await verifyPayoutTransaction(
+    mockConnection(tokenTransfer(1_500_000)),
+    { ...payout, mint: MINT }
+  );
+  assert.deepEqual(enough, { ok: true, received: 1.5 });
+
+  const short = await verifyPayoutTransaction(
+    mockConnection(tokenTransfer(1_000_000)),
+    { ...payout, mint: MINT }
+  );
+  assert.equal(short.ok, false);
+});
+
+test("rejects a payout without a positive amount before any lookup", async () => {
+  let lookups = 0;
+  const connection = {
+    async getParsedTransaction() {
+      lookups++;
+      return solTransfer(1);
+    },
+  };
+
+  for (const minAmount of [0, -1, undefined, NaN]) {
+    const result = await verifyPayoutTransaction(connection, { ...payout, minAmount });
+    assert.equal(result.ok, false);
+    assert.match(result.reason, /must be positive/);
+  }
+  assert.equal(lookups, 0);
+});
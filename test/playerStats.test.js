@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  voteOutcome,
+  extendStreak,
+  emptyStreak,
+  summarizePayouts,
+  playerTotalsPipeline,
+  playerBetsPipeline,
+} = require("../lib/playerStats");
+
+const completed = (winningColor) => ({ status: "completed", winningColor });
+
+test("classifies votes against the round result", () => {
+  assert.equal(voteOutcome({ color: "red" }, completed("red")), "win");
+  assert.equal(voteOutcome({ color: "black" }, completed("red")), "loss");
+  assert.equal(
+    voteOutcome({ color: "red", disqualified: true }, completed("red")),
+    "disqualified"
+  );
+  assert.equal(voteOutcome({ color: "red" }, { status: "voting" }), null);
+  assert.equal(voteOutcome({ color: "red" }, undefined), null);
+});
+
+test("a bet wins when any category's winning bet matches it", () => {
+  const round = {
+    status: "completed",
+    winningColor: "black",
+    winningBets: ["black", "odd", "low", "dozen1"],
+  };
+  assert.equal(voteOutcome({ bet: "odd" }, round), "win");
+  assert.equal(voteOutcome({ bet: "dozen2" }, round), "loss");
+});
+
+test("counts the current streak from the newest outcome", () => {
+  assert.deepEqual(extendStreak(emptyStreak(), [null, "win", "win", "loss", "win"]), {
+    type: "win",
+    length: 2,
+    ended: true,
+  });
+  assert.deepEqual(extendStreak(emptyStreak(), ["disqualified", "loss"]), {
+    type: "loss",
+    length: 2,
+    ended: false,
+  });
+  assert.deepEqual(extendStreak(emptyStreak(), []), {
+    type: null,
+    length: 0,
+    ended: false,
+  });
+});
+
+test("continues a streak across batches", () => {
+  const first = extendStreak(emptyStreak(), ["win", "win"]);
+  assert.equal(first.ended, false);
+
+  const second = extendStreak(first, ["win", "loss", "win"]);
+  assert.deepEqual(second, { type: "win", length: 3, ended: true });
+  // Nothing more is counted once the streak has ended
+  assert.deepEqual(extendStreak(second, ["win"]), second);
+});
+
+test("splits prize totals by payout status", () => {
+  assert.deepEqual(
+    summarizePayouts([
+      { status: "paid", amount: 5 },
+      { status: "pending", amount: 2 },
+      { status: "failed", amount: 1 },
+    ]),
+    { total: 8, paid: 5, pending: 3 }
+  );
+});
+
+test("player totals leave out votes voided by a cancelled round", () => {
+  for (const pipeline of [
+    playerTotalsPipeline({ tableId: "fast", walletAddress: "wallet-a" }),
+    playerBetsPipeline({ tableId: "fast", walletAddress: "wallet-a" }),
+  ]) {
+    assert.deepEqual(pipeline[0], {
+      $match: { tableId: "fast", walletAddress: "wallet-a", voided: { $ne: true } },
+    });
+  }
+});
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const {
+  buildPrizePool,
+  computeTreasuryPrize,
+  createSolanaTreasury,
+  createTreasury,
+} = require("../lib/prizePool");
+const { newWallet } = require("./helpers");
+
+const pool = { mode: "treasury", percent: 10, minPrize: 1, maxPrize: 50, rollover: true };
+
+test("builds a manual prize pool by default", () => {
+  assert.deepEqual(buildPrizePool({}), {
+    mode: "manual",
+    percent: 10,
+    minPrize: 0,
+    maxPrize: null,
+    rollover: true,
+  });
+  assert.equal(buildPrizePool({ PRIZE_MODE: "treasury", PRIZE_ROLLOVER: "false" }).rollover, false);
+});
+
+test("takes the percentage of what the treasury doesn't already owe", () => {
+  assert.equal(computeTreasuryPrize({ balance: 120, owed: 20 }, pool), 10);
+});
+
+test("keeps the prize within the minimum and maximum", () => {
+  assert.equal(computeTreasuryPrize({ balance: 5 }, pool), 1);
+  assert.equal(computeTreasuryPrize({ balance: 10000 }, pool), 50);
+});
+
+test("adds the rollover on top of the capped prize", () => {
+  assert.equal(computeTreasuryPrize({ balance: 10000, rollover: 30 }, pool), 80);
+  assert.equal(
+    computeTreasuryPrize({ balance: 10000, rollover: 30 }, { ...pool, rollover: false }),
+    50
+  );
+});
+
+test("never promises more than the treasury holds", () => {
+  assert.equal(computeTreasuryPrize({ balance: 0.5 }, pool), 0.5);
+  assert.equal(computeTreasuryPrize({ balance: 10, owed: 12 }, pool), 0);
+  assert.equal(computeTreasuryPrize({ balance: 40, rollover: 100 }, pool), 40);
+});
+
+test("reads SOL or whole tokens of the payout mint", async () => {
+  const wallet = newWallet().address;
+  const mint = newWallet().address;
+  const connection = {
+    getBalance: async () => 2.5 * LAMPORTS_PER_SOL,
+    getParsedTokenAccountsByOwner: async () => ({
+      value: [1500000, 500000].map((amount) => ({
+        account: {
+          data: { parsed: { info: { tokenAmount: { amount: String(amount), decimals: 6 } } } },
+        },
+      })),
+    }),
+  };
+
+  assert.equal(await createSolanaTreasury(connection, { wallet }).getBalance(), 2.5);
+  assert.equal(await createSolanaTreasury(connection, { wallet, mint }).getBalance(), 2);
+});
+
+test("only creates a treasury when a wallet is configured", async () => {
+  assert.equal(createTreasury({}, null), null);
+
+  const treasury = createTreasury(
+    { TREASURY_WALLET: "treasury", BALANCE_PROVIDER: "memory", TREASURY_BALANCE: "42" },
+    null
+  );
+  assert.equal(treasury.name, "memory");
+  assert.equal(await treasury.getBalance(), 42);
+});
@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createRateLimiter,
+  createConnectionLimiter,
+} = require("../lib/rateLimit");
+const { createManualClock } = require("../lib/clock");
+
+test("allows max hits per window, then reports when to retry", async () => {
+  const clock = createManualClock();
+  const limiter = createRateLimiter({ windowMs: 60000, max: 3, clock });
+
+  assert.deepEqual(
+    [1, 2, 3].map(() => limiter.hit("1.2.3.4").remaining),
+    [2, 1, 0]
+  );
+
+  await clock.advance(15000);
+  const blocked = limiter.hit("1.2.3.4");
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.retryAfter, 45);
+
+  // Other keys have their own budget
+  assert.equal(limiter.hit("5.6.7.8").allowed, true);
+
+  await clock.advance(45000);
+  assert.equal(limiter.hit("1.2.3.4").allowed, true);
+});
+
+test("reset clears a key's window", () => {
+  const limiter = createRateLimiter({ windowMs: 1000, max: 1 });
+  limiter.hit("socket-1");
+  assert.equal(limiter.hit("socket-1").allowed, false);
+
+  limiter.reset("socket-1");
+  assert.equal(limiter.hit("socket-1").allowed, true);
+});
+
+test("limits open connections per key and overall", () => {
+  const limiter = createConnectionLimiter({ maxPerKey: 2, maxTotal: 3 });
+
+  assert.equal(limiter.acquire("a"), null);
+  assert.equal(limiter.acquire("a"), null);
+  assert.equal(limiter.acquire("a"), "Too many connections from this address");
+  assert.equal(limiter.acquire("b"), null);
+  assert.equal(limiter.acquire("c"), "Server is at capacity, try again later");
+  assert.equal(limiter.total, 3);
+
+  limiter.release("a");
+  assert.equal(limiter.acquire("c"), null);
+
+  // Releasing an unknown key doesn't go negative
+  limiter.release("unknown");
+  assert.equal(limiter.total, 3);
+});
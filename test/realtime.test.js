@@ -0,0 +1,174 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { Server } = require("socket.io");
+const { io: connect } = require("socket.io-client");
+const {
+  PROTOCOL_VERSION,
+  createRealtime,
+  createAuthHandler,
+  walletRoom,
+  summarizeRound,
+} = require("../lib/realtime");
+
+// Records what would have been emitted, and to which room
+function fakeIo() {
+  const sent = [];
+  return {
+    sent,
+    emit: (event, payload) => sent.push({ room: null, event, payload }),
+    to: (room) => ({
+      emit: (event, payload) => sent.push({ room, event, payload }),
+    }),
+  };
+}
+
+test("public events carry the version and a gapless sequence", () => {
+  const io = fakeIo();
+  const realtime = createRealtime(io, { source: "node-1" });
+
+  realtime.publish("vote:cast", { color: "red" });
+  realtime.publish("tick", { timeLeft: 10 });
+
+  assert.deepEqual(
+    io.sent.map(({ event, payload }) => [event, payload.v, payload.src, payload.seq]),
+    [
+      ["vote:cast", PROTOCOL_VERSION, "node-1", 1],
+      ["tick", PROTOCOL_VERSION, "node-1", 2],
+    ]
+  );
+  assert.deepEqual(realtime.snapshot({ ok: true }), {
+    v: PROTOCOL_VERSION,
+    src: "node-1",
+    seq: 2,
+    ok: true,
+  });
+});
+
+test("private events go to the wallet's room without using a sequence number", () => {
+  const io = fakeIo();
+  const realtime = createRealtime(io);
+
+  realtime.sendToWallet("wallet-a", "round:won", { roundNumber: 3 });
+
+  assert.deepEqual(io.sent, [
+    {
+      room: walletRoom("wallet-a"),
+      event: "round:won",
+      payload: { v: PROTOCOL_VERSION, roundNumber: 3 },
+    },
+  ]);
+  assert.equal(realtime.seq, 0);
+});
+
+test("table events go to the table's room with their own sequence", () => {
+  const io = fakeIo();
+  const fast = createRealtime(io, { source: "node-1", table: "fast" });
+  const slow = createRealtime(io, { source: "node-1", table: "slow" });
+
+  fast.publish("tick", { timeLeft: 10 });
+  slow.publish("tick", { timeLeft: 500 });
+  fast.sendToWallet("wallet-a", "round:won", { roundNumber: 3 });
+
+  assert.deepEqual(
+    io.sent.map(({ room, payload }) => [room, payload.table, payload.seq]),
+    [
+      ["table:fast", "fast", 1],
+      ["table:slow", "slow", 1],
+      [walletRoom("wallet-a"), "fast", undefined],
+    ]
+  );
+  assert.equal(fast.snapshot({}).table, "fast");
+});
+
+test("round summaries never include the server seed", () => {
+  const summary = summarizeRound({
+    roundNumber: 1,
+    status: "voting",
+    serverSeed: "secret",
+    serverSeedHash: "hash",
+  });
+
+  assert.equal(summary.serverSeed, undefined);
+  assert.equal(summary.serverSeedHash, "hash");
+});
+
+// A Socket.IO server on a free port whose sockets authenticate with
+// createAuthHandler against one known session
+async function startAuthServer() {
+  const server = http.createServer();
+  const io = new Server(server);
+  io.on("connection", (socket) => {
+    socket.on(
+      "auth",
+      createAuthHandler(socket, {
+        findSession: async (token) => (token === "good" ? { walletAddress: "wallet-a" } : null),
+      })
+    );
+    socket.on("rooms", (ack) => ack([...socket.rooms]));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  const client = connect(`http://localhost:${server.address().port}`, {
+    transports: ["websocket"],
+  });
+  await new Promise((resolve) => client.once("connect", resolve));
+
+  return {
+    client,
+    close: async () => {
+      client.close();
+      io.close();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+test("socket auth survives malformed payloads and acks", async () => {
+  const rejections = [];
+  const onRejection = (error) => rejections.push(error);
+  process.on("unhandledRejection", onRejection);
+  const { client, close } = await startAuthServer();
+
+  try {
+    client.emit("auth", null);
+    client.emit("auth", {}, 1);
+    client.emit("auth", "good");
+    assert.deepEqual(await client.emitWithAck("auth", { sessionToken: { $ne: null } }), {
+      success: false,
+      error: "Invalid or expired session",
+    });
+
+    // Still serving: a valid session joins the wallet's room
+    assert.deepEqual(await client.emitWithAck("auth", { sessionToken: "good" }), {
+      success: true,
+      walletAddress: "wallet-a",
+    });
+    assert.ok((await client.emitWithAck("rooms")).includes(walletRoom("wallet-a")));
+    assert.deepEqual(rejections, []);
+  } finally {
+    process.off("unhandledRejection", onRejection);
+    await close();
+  }
+});
+
+test("socket auth reports lookup failures and rate limits", async () => {
+  const socket = { join: () => assert.fail("must not join") };
+  const replies = [];
+  const ack = (reply) => replies.push(reply);
+
+  await createAuthHandler(socket, {
+    findSession: async () => {
+      throw new Error("db down");
+    },
+  })({ sessionToken: "good" }, ack);
+  await createAuthHandler(socket, {
+    findSession: async () => ({ walletAddress: "wallet-a" }),
+    allow: () => false,
+  })({ sessionToken: "good" }, ack);
+
+  assert.deepEqual(replies, [
+    { success: false, error: "db down" },
+    { success: false, error: "Too many requests" },
+  ]);
+});
@@ -0,0 +1,152 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { newWallet } = require("./helpers");
+
+// No database here: a request that reaches MongoDB fails at once instead of
+// waiting for a connection, so these tests only pass on paths that answer
+// before any lookup
+process.env.DOTENV_CONFIG_QUIET = "true";
+mongoose.set("bufferCommands", false);
+
+const OPERATOR_KEY = "operator-key";
+const VIEWER_KEY = "viewer-key";
+const adminWallet = newWallet();
+process.env.ADMIN_API_KEYS = `alice:operator:${OPERATOR_KEY},dashboard:viewer:${VIEWER_KEY}`;
+process.env.ADMIN_WALLETS = `${adminWallet.address}:operator`;
+
+const { server, io } = require("../server");
+
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => io.close());
+
+async function request(method, path, { body, headers = {} } = {}) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("issues challenges only for valid wallet addresses", async () => {
+  for (const body of [{}, { walletAddress: "not-a-wallet" }, { walletAddress: { $ne: null } }]) {
+    const res = await request("POST", "/api/auth/challenge", { body });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invalid Solana wallet address");
+  }
+});
+
+test("verifies a wallet only with a signed challenge", async () => {
+  const wallet = newWallet();
+
+  const invalid = await request("POST", "/api/verify-wallet", {
+    body: { walletAddress: "not-a-wallet", nonce: "n", signature: "s" },
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, "Invalid Solana wallet address");
+
+  // An operator in place of the nonce would match another wallet's challenge
+  for (const fields of [{}, { nonce: "n" }, { nonce: { $ne: null }, signature: "s" }, { nonce: "n", signature: 1 }]) {
+    const res = await request("POST", "/api/verify-wallet", {
+      body: { walletAddress: wallet.address, ...fields },
+    });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /^Missing nonce or signature/);
+  }
+});
+
+test("takes votes only with a session token", async () => {
+  for (const headers of [{}, { Authorization: "Basic abc" }, { Authorization: "Bearer " }]) {
+    const res = await request("POST", "/api/vote", { body: { bet: "red" }, headers });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Missing session token. Please verify your wallet first.");
+  }
+});
+
+test("answers 400 to a round number that isn't a number", async () => {
+  for (const path of ["/api/rounds/abc", "/api/rounds/abc/verify", "/api/rounds/abc/report"]) {
+    const res = await request("GET", path);
+    assert.equal(res.status, 400, path);
+    assert.equal(res.body.error, "Invalid round number");
+  }
+
+  const format = await request("GET", "/api/rounds/1/report?format=xml");
+  assert.equal(format.status, 400);
+  assert.equal(format.body.error, "format must be json or csv");
+});
+
+test("admin routes need an admin key or session", async () => {
+  for (const headers of [{}, { "X-Admin-Key": "wrong-key" }, { "X-Admin-Key": "" }]) {
+    const res = await request("GET", "/api/admin/payouts", { headers });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Admin authentication required");
+  }
+});
+
+test("viewers can't use operator routes", async () => {
+  const headers = { "X-Admin-Key": VIEWER_KEY };
+  for (const [method, path] of [
+    ["POST", "/api/admin/set-prize"],
+    ["POST", "/api/admin/mark-paid"],
+    ["PUT", "/api/admin/settings"],
+    ["POST", "/api/admin/pause"],
+    ["POST", "/api/admin/resume"],
+    ["POST", "/api/admin/cancel-round"],
+    ["POST", "/api/admin/webhooks"],
+  ]) {
+    const res = await request(method, path, { body: {}, headers });
+    assert.equal(res.status, 403, path);
+    assert.equal(res.body.error, "Requires operator role");
+  }
+
+  const audit = await request("GET", "/api/admin/audit?before=yesterday", { headers });
+  assert.equal(audit.status, 400);
+  assert.equal(audit.body.error, "Invalid before date");
+});
+
+test("admin login needs an admin wallet and a signed challenge", async () => {
+  for (const body of [
+    { walletAddress: newWallet().address, nonce: "n", signature: "s" },
+    { walletAddress: adminWallet.address },
+    { walletAddress: adminWallet.address, nonce: { $ne: null }, signature: "s" },
+  ]) {
+    const res = await request("POST", "/api/admin/login", { body });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Not an admin wallet or missing signature");
+  }
+});
+
+test("mark-paid needs a round number and a wallet as a string", async () => {
+  const headers = { "X-Admin-Key": OPERATOR_KEY };
+
+  for (const roundNumber of [undefined, "1", 0, 1.5]) {
+    const res = await request("POST", "/api/admin/mark-paid", { body: { roundNumber }, headers });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "roundNumber must be a positive integer");
+  }
+
+  const wallet = await request("POST", "/api/admin/mark-paid", {
+    body: { roundNumber: 1, walletAddress: { $ne: null } },
+    headers,
+  });
+  assert.equal(wallet.status, 400);
+  assert.equal(wallet.body.error, "walletAddress must be a string");
+});
+
+test("mark-paid only takes a transaction signature as a string", async () => {
+  for (const txSignature of [{ $ne: null }, ["sig"], 42]) {
+    const res = await request("POST", "/api/admin/mark-paid", {
+      body: { roundNumber: 1, txSignature },
+      headers: { "X-Admin-Key": OPERATOR_KEY },
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Transaction signature must be a string");
+  }
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTables, tableRoom } = require("../lib/tables");
+const { buildEntryMode } = require("../lib/entryModes");
+const { newWallet } = require("./helpers");
+
+const CONFIG = {
+  REQUIRED_TOKEN_MINT: newWallet().address,
+  MIN_TOKEN_BALANCE: 1000000,
+  ROUND_DURATION: 30000,
+  SPIN_DURATION: 3000,
+  INTERMISSION_DURATION: 5000,
+  ENTRY_MODE: buildEntryMode({}),
+};
+
+test("defaults to a single main table with the environment settings", () => {
+  const [table, ...rest] = parseTables({}, CONFIG);
+
+  assert.equal(rest.length, 0);
+  assert.equal(table.id, "main");
+  assert.equal(table.settings.roundDuration, 30000);
+  assert.equal(tableRoom(table.id), "table:main");
+});
+
+test("applies each table's overrides on top of the environment", () => {
+  const tables = parseTables(
+    {
+      TABLES: JSON.stringify([
+        { id: "fast", name: "Fast", settings: { roundDuration: 10000 } },
+        { id: "high", settings: { minTokenBalance: 100000000 } },
+      ]),
+    },
+    CONFIG
+  );
+
+  assert.deepEqual(
+    tables.map((table) => [table.id, table.name]),
+    [["fast", "Fast"], ["high", "high"]]
+  );
+  assert.equal(tables[0].settings.roundDuration, 10000);
+  assert.equal(tables[0].settings.minTokenBalance, 1000000);
+  assert.equal(tables[1].settings.minTokenBalance, 100000000);
+});
+
+test("rejects bad table lists", () => {
+  const parse = (definitions) =>
+    parseTables({ TABLES: JSON.stringify(definitions) }, CONFIG);
+
+  assert.throws(() => parse([]), /non-empty/);
+  assert.throws(() => parse([{ id: "Main Table" }]), /Invalid table id/);
+  assert.throws(() => parse([{ id: "a" }, { id: "a" }]), /Duplicate table id/);
+  assert.throws(
+    () => parse([{ id: "a", settings: { roundDuration: 1 } }]),
+    /Table "a": roundDuration/
+  );
+});
@@ -0,0 +1,40 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTtlCache } = require("../lib/ttlCache");
+const { createManualClock } = require("../lib/clock");
+
+test("serves cached values until they expire", async () => {
+  const clock = createManualClock();
+  const cache = createTtlCache({ ttlMs: 60000, clock });
+  let loads = 0;
+  const load = async () => ++loads;
+
+  assert.equal(await cache.wrap("winners", load), 1);
+  await clock.advance(59999);
+  assert.equal(await cache.wrap("winners", load), 1);
+  assert.equal(await cache.wrap("active", load), 2);
+
+  await clock.advance(1);
+  assert.equal(await cache.wrap("winners", load), 3);
+
+  cache.clear();
+  assert.equal(await cache.wrap("active", load), 4);
+});
+
+test("shares one load between concurrent callers and skips failures", async () => {
+  const cache = createTtlCache({ ttlMs: 60000 });
+  let loads = 0;
+
+  const results = await Promise.all(
+    [1, 2, 3].map(() => cache.wrap("key", async () => ++loads))
+  );
+  assert.deepEqual(results, [1, 1, 1]);
+
+  await assert.rejects(
+    cache.wrap("broken", () => {
+      throw new Error("db down");
+    }),
+    /db down/
+  );
+  assert.equal(await cache.wrap("broken", async () => "ok"), "ok");
+});
@@ -0,0 +1,134 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createChallenge,
+  checkChallengeResponse,
+  verifyWalletSignature,
+  redeemChallenge,
+} = require("../lib/walletAuth");
+const { signMessage, newWallet } = require("./helpers");
+
+const TTL = 5 * 60 * 1000;
+
+test("accepts a signature from the challenged wallet", () => {
+  const wallet = newWallet();
+  const challenge = createChallenge(wallet.address, TTL);
+  const signature = signMessage(wallet.keypair, challenge.message);
+
+  assert.equal(checkChallengeResponse(challenge, signature), null);
+});
+
+test("rejects a signature forged by another wallet", () => {
+  const victim = newWallet();
+  const attacker = newWallet();
+  const challenge = createChallenge(victim.address, TTL);
+  const signature = signMessage(attacker.keypair, challenge.message);
+
+  assert.equal(checkChallengeResponse(challenge, signature), "Invalid signature");
+});
+
+test("rejects a signature over a different message", () => {
+  const wallet = newWallet();
+  const challenge = createChallenge(wallet.address, TTL);
+  const signature = signMessage(wallet.keypair, "something else");
+
+  assert.equal(checkChallengeResponse(challenge, signature), "Invalid signature");
+});
+
+test("rejects an expired challenge even with a valid signature", () => {
+  const wallet = newWallet();
+  const issuedAt = new Date("2025-01-01T00:00:00Z");
+  const challenge = createChallenge(wallet.address, TTL, issuedAt);
+  const signature = signMessage(wallet.keypair, challenge.message);
+
+  const later = new Date(issuedAt.getTime() + TTL + 1);
+  assert.equal(checkChallengeResponse(challenge, signature, later), "Challenge expired");
+});
+
+// Pending challenges as AuthChallenge holds them, taken the way
+// findOneAndDelete does
+function createChallengeStore(...challenges) {
+  const pending = [...challenges];
+  return {
+    pending,
+    take: async (query) => {
+      const index = pending.findIndex(
+        (challenge) =>
+          challenge.walletAddress === query.walletAddress && challenge.nonce === query.nonce
+      );
+      return index === -1 ? null : pending.splice(index, 1)[0];
+    },
+  };
+}
+
+test("rejects a replayed signature", async () => {
+  const wallet = newWallet();
+  const first = createChallenge(wallet.address, TTL);
+  const signature = signMessage(wallet.keypair, first.message);
+  const challenges = createChallengeStore(first);
+  const answer = { walletAddress: wallet.address, nonce: first.nonce, signature };
+
+  assert.equal(await redeemChallenge(challenges.take, answer), null);
+  assert.equal(
+    await redeemChallenge(challenges.take, answer),
+    "Challenge not found or already used"
+  );
+
+  // And the old signature doesn't answer a fresh challenge
+  const second = createChallenge(wallet.address, TTL);
+  challenges.pending.push(second);
+  assert.equal(
+    await redeemChallenge(challenges.take, { ...answer, nonce: second.nonce }),
+    "Invalid signature"
+  );
+});
+
+test("a wrong answer still uses up the challenge", async () => {
+  const wallet = newWallet();
+  const attacker = newWallet();
+  const challenge = createChallenge(wallet.address, TTL);
+  const challenges = createChallengeStore(challenge);
+  const answer = { walletAddress: wallet.address, nonce: challenge.nonce };
+
+  assert.equal(
+    await redeemChallenge(challenges.take, {
+      ...answer,
+      signature: signMessage(attacker.keypair, challenge.message),
+    }),
+    "Invalid signature"
+  );
+  assert.equal(
+    await redeemChallenge(challenges.take, {
+      ...answer,
+      signature: signMessage(wallet.keypair, challenge.message),
+    }),
+    "Challenge not found or already used"
+  );
+});
+
+test("never looks up a challenge for a nonce that isn't a string", async () => {
+  const wallet = newWallet();
+  const challenge = createChallenge(wallet.address, TTL);
+  let lookups = 0;
+  const take = async () => {
+    lookups++;
+    return challenge;
+  };
+
+  const signature = signMessage(wallet.keypair, challenge.message);
+  assert.equal(
+    await redeemChallenge(take, { walletAddress: wallet.address, nonce: { $ne: null }, signature }),
+    "Challenge not found or already used"
+  );
+  assert.equal(
+    await redeemChallenge(take, { walletAddress: { $ne: null }, nonce: challenge.nonce, signature }),
+    "Challenge not found or already used"
+  );
+  assert.equal(lookups, 0);
+});
+
+test("rejects malformed signatures and addresses", () => {
+  const wallet = newWallet();
+  assert.equal(verifyWalletSignature(wallet.address, "hi", "not-base58!"), false);
+  assert.equal(verifyWalletSignature("not-a-wallet", "hi", signMessage(wallet.keypair, "hi")), false);
+});
@@ -0,0 +1,186 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createMemoryStore } = require("../lib/memoryStore");
+const { createManualClock } = require("../lib/clock");
+const {
+  createWebhookDispatcher,
+  signPayload,
+  verifySignature,
+  validateWebhook,
+} = require("../lib/webhooks");
+const { silentLogger } = require("./helpers");
+
+const SECRET = "test-secret";
+
+// Local endpoint answering with the next queued status (200 once they run out)
+async function startReceiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function createTestDispatcher(options = {}) {
+  const store = createMemoryStore();
+  const clock = createManualClock();
+  const dispatcher = createWebhookDispatcher({
+    store,
+    clock,
+    retryDelay: 1000,
+    maxAttempts: 3,
+    timeout: 2000,
+    logger: silentLogger,
+    ...options,
+  });
+  return { store, clock, dispatcher };
+}
+
+const result = {
+  roundNumber: 4,
+  winningNumber: 7,
+  winningColor: "red",
+  winners: [{ walletAddress: "wallet-a-123456", bet: "red", amount: 1.5 }],
+};
+
+test("sends signed JSON to subscribed webhooks", async () => {
+  const receiver = await startReceiver();
+  const { store, dispatcher } = createTestDispatcher();
+  store.addWebhook({ url: receiver.url, events: ["round.result"], secret: SECRET });
+  store.addWebhook({ url: receiver.url, events: ["round.started"], secret: SECRET });
+  store.addWebhook({ url: receiver.url, events: ["round.result"], tableId: "fast", secret: SECRET });
+
+  await dispatcher.emit("round.result", "main", result);
+
+  assert.equal(receiver.requests.length, 1);
+  const [{ headers, body }] = receiver.requests;
+  assert.equal(headers["x-webhook-event"], "round.result");
+  assert.equal(
+    verifySignature(SECRET, headers["x-webhook-timestamp"], body, headers["x-webhook-signature"]),
+    true
+  );
+  assert.equal(
+    verifySignature("other", headers["x-webhook-timestamp"], body, headers["x-webhook-signature"]),
+    false
+  );
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, "round.result");
+  assert.equal(payload.table, "main");
+  assert.deepEqual(payload.data, result);
+  assert.match(payload.text, /Round 4: 7 RED - wall…3456 \(red, 1.5 SOL\)/);
+
+  const [delivery] = store.listWebhookDeliveries();
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.lastStatusCode, 200);
+
+  await receiver.close();
+});
+
+test("retries failed deliveries with backoff, then gives up", async () => {
+  const receiver = await startReceiver([500, 503, 500]);
+  const { store, clock, dispatcher } = createTestDispatcher();
+  store.addWebhook({ url: receiver.url, events: ["round.prize"], secret: SECRET });
+
+  await dispatcher.emit("round.prize", "main", { roundNumber: 2, prizeAmount: 3 });
+  let [delivery] = store.listWebhookDeliveries();
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.lastError, "HTTP 500");
+  assert.equal(delivery.nextAttemptAt.getTime(), clock.now() + 1000);
+
+  // Not due yet
+  await clock.advance(999);
+  await dispatcher.processDue();
+  assert.equal(receiver.requests.length, 1);
+
+  await clock.advance(1);
+  await dispatcher.processDue();
+  [delivery] = store.listWebhookDeliveries();
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.nextAttemptAt.getTime(), clock.now() + 2000);
+
+  await clock.advance(2000);
+  await dispatcher.processDue();
+  [delivery] = store.listWebhookDeliveries();
+  assert.equal(receiver.requests.length, 3);
+  assert.equal(delivery.status, "failed");
+  assert.equal(delivery.lastStatusCode, 500);
+
+  // Every attempt is signed afresh with the same delivery id
+  const ids = receiver.requests.map(({ body }) => JSON.parse(body).id);
+  assert.equal(new Set(ids).size, 1);
+  for (const { headers, body } of receiver.requests) {
+    assert.equal(
+      headers["x-webhook-signature"],
+      `sha256=${signPayload(SECRET, headers["x-webhook-timestamp"], body)}`
+    );
+  }
+
+  await receiver.close();
+});
+
+test("a retry that succeeds marks the delivery delivered", async () => {
+  const receiver = await startReceiver([502]);
+  const { store, clock, dispatcher } = createTestDispatcher();
+  store.addWebhook({ url: receiver.url, events: ["payout.marked"], secret: SECRET });
+
+  await dispatcher.emit("payout.marked", "main", {
+    roundNumber: 1,
+    walletAddress: "wallet-b-654321",
+    amount: 2,
+  });
+  await clock.advance(1000);
+  await dispatcher.processDue();
+
+  const [delivery] = store.listWebhookDeliveries();
+  assert.equal(delivery.status, "delivered");
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.lastError, undefined);
+
+  await receiver.close();
+});
+
+test("records unreachable endpoints without throwing", async () => {
+  const receiver = await startReceiver();
+  await receiver.close();
+  const { store, dispatcher } = createTestDispatcher();
+  store.addWebhook({ url: receiver.url, events: ["round.started"], secret: SECRET });
+
+  await dispatcher.emit("round.started", "main", { roundNumber: 1, prizeAmount: 0 });
+
+  const [delivery] = store.listWebhookDeliveries();
+  assert.equal(delivery.status, "pending");
+  assert.equal(delivery.lastStatusCode, null);
+  assert.ok(delivery.lastError);
+});
+
+test("validates webhook registrations", () => {
+  assert.deepEqual(
+    validateWebhook({ url: "https://example.com/hook", events: ["round.result", "round.result"] }),
+    {
+      webhook: {
+        url: "https://example.com/hook",
+        events: ["round.result"],
+        description: undefined,
+      },
+    }
+  );
+  assert.match(validateWebhook({ url: "ftp://example.com", events: ["round.result"] }).error, /url/);
+  assert.match(validateWebhook({ url: "nope", events: ["round.result"] }).error, /url/);
+  assert.match(validateWebhook({ url: "https://example.com", events: [] }).error, /events/);
+  assert.match(validateWebhook({ url: "https://example.com", events: ["round.lost"] }).error, /events/);
+});